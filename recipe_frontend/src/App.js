@@ -5,6 +5,11 @@ import NavBar from './components/NavBar';
 import Home from './pages/Home';
 import RecipeDetail from './pages/RecipeDetail';
 import Favorites from './pages/Favorites';
+import ShoppingList from './pages/ShoppingList';
+import Planner from './pages/Planner';
+import History from './pages/History';
+import ImportRecipe from './pages/ImportRecipe';
+import RecipeEditor from './pages/RecipeEditor';
 import './App.css';
 
 // PUBLIC_INTERFACE
@@ -21,7 +26,13 @@ function App() {
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/recipe/:id" element={<RecipeDetail />} />
+            <Route path="/recipe/:id/edit" element={<RecipeEditor />} />
+            <Route path="/recipes/new" element={<RecipeEditor />} />
             <Route path="/favorites" element={<Favorites />} />
+            <Route path="/shopping-list" element={<ShoppingList />} />
+            <Route path="/planner" element={<Planner />} />
+            <Route path="/history" element={<History />} />
+            <Route path="/import" element={<ImportRecipe />} />
           </Routes>
         </div>
       </Router>
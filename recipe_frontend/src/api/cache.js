@@ -0,0 +1,174 @@
+/**
+ * In-memory response cache for the API client
+ * Entries are keyed by endpoint. Fresh entries (younger than `ttl`) are returned as-is;
+ * stale entries (younger than `maxStale`) are returned immediately while a background
+ * request refreshes them. Identical in-flight requests share a single promise; the shared
+ * network request is only aborted once every caller waiting on it has aborted.
+ * TTL defaults can be set with REACT_APP_API_CACHE_TTL and REACT_APP_API_CACHE_MAX_STALE (ms).
+ */
+
+/**
+ * Parse a duration in milliseconds from an environment variable
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} Duration in milliseconds
+ */
+const parseDuration = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const config = {
+  ttl: parseDuration(process.env.REACT_APP_API_CACHE_TTL, 60 * 1000),
+  maxStale: parseDuration(process.env.REACT_APP_API_CACHE_MAX_STALE, 10 * 60 * 1000),
+};
+
+// key -> { data, timestamp }
+const entries = new Map();
+// key -> { promise, controller, consumers }
+const inFlight = new Map();
+
+// PUBLIC_INTERFACE
+/**
+ * Update cache defaults
+ * @param {Object} options - Cache options
+ * @param {number} [options.ttl] - Milliseconds an entry is served without revalidation
+ * @param {number} [options.maxStale] - Milliseconds a stale entry may still be served while revalidating
+ */
+export const configureCache = ({ ttl, maxStale } = {}) => {
+  if (ttl !== undefined) config.ttl = ttl;
+  if (maxStale !== undefined) config.maxStale = maxStale;
+};
+
+/**
+ * Create the error used to reject aborted requests
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} Abort error
+ */
+const abortError = (signal) => {
+  return signal.reason instanceof Error ? signal.reason : new DOMException('The request was aborted', 'AbortError');
+};
+
+/**
+ * Run a request for a key, sharing it with identical concurrent requests
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Function receiving an AbortSignal and returning a promise of the response data
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<any>} Response data
+ */
+const request = (key, fetcher, signal) => {
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError(signal));
+  }
+
+  let flight = inFlight.get(key);
+  if (!flight) {
+    const controller = new AbortController();
+    const promise = fetcher(controller.signal)
+      .then((data) => {
+        // Skip the write if the request was aborted or the key invalidated while it was running
+        if (!controller.signal.aborted && inFlight.get(key) === flight) {
+          entries.set(key, { data, timestamp: Date.now() });
+        }
+        return data;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === flight) {
+          inFlight.delete(key);
+        }
+      });
+
+    flight = { promise, controller, consumers: 0 };
+    inFlight.set(key, flight);
+  }
+
+  const current = flight;
+  current.consumers += 1;
+
+  if (!signal) {
+    return current.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      current.consumers -= 1;
+      if (current.consumers === 0) {
+        // Forget the flight now so a request made before it settles starts a fresh one
+        if (inFlight.get(key) === current) {
+          inFlight.delete(key);
+        }
+        current.controller.abort();
+      }
+      reject(abortError(signal));
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    current.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return cached data for a key, fetching or revalidating as needed
+ * @param {string} key - Cache key (the endpoint)
+ * @param {Function} fetcher - Function receiving an AbortSignal and returning a promise of the response data
+ * @param {Object} options - Per-call options
+ * @param {number} [options.ttl] - Override the default TTL for this call
+ * @param {AbortSignal} [options.signal] - Abort signal for this caller
+ * @returns {Promise<any>} Response data
+ */
+export const cachedRequest = async (key, fetcher, { ttl = config.ttl, signal } = {}) => {
+  const entry = entries.get(key);
+
+  if (entry) {
+    const age = Date.now() - entry.timestamp;
+    if (age < ttl) {
+      return entry.data;
+    }
+    if (age < ttl + config.maxStale) {
+      // Stale-while-revalidate: the refresh is not tied to the caller's signal;
+      // failures keep the stale entry and are logged by the fetcher
+      request(key, fetcher).catch(() => {});
+      return entry.data;
+    }
+    entries.delete(key);
+  }
+
+  return request(key, fetcher, signal);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read a cached entry without triggering a request
+ * @param {string} key - Cache key (the endpoint)
+ * @returns {any} Cached data, or undefined
+ */
+export const peekCache = (key) => {
+  const entry = entries.get(key);
+  return entry ? entry.data : undefined;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Invalidate cache entries
+ * Accepts an endpoint prefix (e.g. '/recipes' also clears '/recipes/1' and '/recipes?page=2'),
+ * a RegExp, or a predicate function. With no argument the whole cache is cleared.
+ * @param {string|RegExp|Function} [matcher] - Which keys to invalidate
+ */
+export const invalidateCache = (matcher) => {
+  let matches;
+  if (matcher === undefined) {
+    matches = () => true;
+  } else if (typeof matcher === 'function') {
+    matches = matcher;
+  } else if (matcher instanceof RegExp) {
+    matches = (key) => matcher.test(key);
+  } else {
+    matches = (key) => key === matcher || key.startsWith(`${matcher}/`) || key.startsWith(`${matcher}?`);
+  }
+
+  [...entries.keys()].filter(matches).forEach((key) => entries.delete(key));
+  [...inFlight.keys()].filter(matches).forEach((key) => inFlight.delete(key));
+};
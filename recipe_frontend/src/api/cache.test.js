@@ -0,0 +1,116 @@
+import { cachedRequest, configureCache, invalidateCache, peekCache } from './cache';
+
+beforeEach(() => {
+  invalidateCache();
+  configureCache({ ttl: 1000, maxStale: 5000 });
+  jest.spyOn(Date, 'now').mockReturnValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('collapses identical in-flight requests', async () => {
+  const fetcher = jest.fn().mockResolvedValue('data');
+  const [a, b] = await Promise.all([cachedRequest('/recipes', fetcher), cachedRequest('/recipes', fetcher)]);
+  expect(a).toBe('data');
+  expect(b).toBe('data');
+  expect(fetcher).toHaveBeenCalledTimes(1);
+});
+
+test('serves fresh entries without refetching', async () => {
+  const fetcher = jest.fn().mockResolvedValue('data');
+  await cachedRequest('/recipes/1', fetcher);
+  Date.now.mockReturnValue(500);
+  await expect(cachedRequest('/recipes/1', fetcher)).resolves.toBe('data');
+  expect(fetcher).toHaveBeenCalledTimes(1);
+});
+
+test('returns stale data immediately and revalidates in the background', async () => {
+  const fetcher = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+  await cachedRequest('/recipes/featured', fetcher);
+
+  Date.now.mockReturnValue(2000);
+  await expect(cachedRequest('/recipes/featured', fetcher)).resolves.toBe('old');
+  expect(fetcher).toHaveBeenCalledTimes(2);
+
+  await Promise.resolve();
+  await Promise.resolve();
+  expect(peekCache('/recipes/featured')).toBe('new');
+});
+
+test('refetches entries older than the stale window', async () => {
+  const fetcher = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+  await cachedRequest('/categories', fetcher);
+
+  Date.now.mockReturnValue(10000);
+  await expect(cachedRequest('/categories', fetcher)).resolves.toBe('new');
+});
+
+test('invalidates by endpoint prefix', async () => {
+  const fetcher = jest.fn().mockResolvedValue('data');
+  await cachedRequest('/recipes?page=1', fetcher);
+  await cachedRequest('/recipes/1', fetcher);
+  await cachedRequest('/categories', fetcher);
+
+  invalidateCache('/recipes');
+
+  expect(peekCache('/recipes?page=1')).toBeUndefined();
+  expect(peekCache('/recipes/1')).toBeUndefined();
+  expect(peekCache('/categories')).toBe('data');
+});
+
+test('aborting one caller keeps a shared request alive for the others', async () => {
+  let requestSignal;
+  let resolveRequest;
+  const fetcher = jest.fn((signal) => {
+    requestSignal = signal;
+    return new Promise((resolve) => { resolveRequest = resolve; });
+  });
+
+  const first = new AbortController();
+  const firstPromise = cachedRequest('/recipes?search=cu', fetcher, { signal: first.signal });
+  const secondPromise = cachedRequest('/recipes?search=cu', fetcher);
+
+  first.abort();
+  await expect(firstPromise).rejects.toHaveProperty('name', 'AbortError');
+  expect(requestSignal.aborted).toBe(false);
+
+  resolveRequest('data');
+  await expect(secondPromise).resolves.toBe('data');
+});
+
+test('aborts the underlying request once every caller has aborted', async () => {
+  let requestSignal;
+  const fetcher = jest.fn((signal) => {
+    requestSignal = signal;
+    return new Promise(() => {});
+  });
+
+  const controller = new AbortController();
+  const promise = cachedRequest('/recipes?search=curry', fetcher, { signal: controller.signal });
+  controller.abort();
+
+  await expect(promise).rejects.toHaveProperty('name', 'AbortError');
+  expect(requestSignal.aborted).toBe(true);
+});
+
+test('a request made right after every caller aborted starts a fresh flight', async () => {
+  const fetcher = jest.fn()
+    .mockImplementationOnce((signal) => new Promise((resolve) => {
+      // Settles only after the abort, like fetch rejecting on a later tick
+      signal.addEventListener('abort', () => setTimeout(() => resolve('aborted'), 0));
+    }))
+    .mockResolvedValueOnce('fresh');
+
+  const controller = new AbortController();
+  const first = cachedRequest('/recipes/7', fetcher, { signal: controller.signal });
+  controller.abort();
+  const second = cachedRequest('/recipes/7', fetcher, { signal: new AbortController().signal });
+
+  await expect(first).rejects.toHaveProperty('name', 'AbortError');
+  await expect(second).resolves.toBe('fresh');
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(fetcher).toHaveBeenCalledTimes(2);
+  expect(peekCache('/recipes/7')).toBe('fresh');
+});
@@ -1,8 +1,28 @@
 /**
  * API Client for Recipe Explorer
- * Reads base URL from REACT_APP_API_BASE or REACT_APP_BACKEND_URL environment variables
+ * Reads base URL from REACT_APP_API_BASE or REACT_APP_BACKEND_URL environment variables.
+ * With REACT_APP_MOCK_API=true, requests are answered by the mock backend in api/mockServer.js.
  */
 
+import { encodeFilters } from '../utils/filters';
+import { rankByPantry } from '../utils/pantry';
+import { DEFAULT_SORT, isValidSort } from '../utils/sorting';
+import { cachedRequest, invalidateCache } from './cache';
+import { ApiError, NetworkError, NotFoundError, createApiError } from './errors';
+import { isMockApiEnabled, mockFetch } from './mockServer';
+import { withRetry } from './retry';
+
+export { configureCache, invalidateCache, peekCache } from './cache';
+export { isMockApiEnabled } from './mockServer';
+export {
+  ApiError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+} from './errors';
+
 // PUBLIC_INTERFACE
 /**
  * Get the API base URL from environment variables
@@ -17,133 +37,554 @@ export const getApiBaseUrl = () => {
 
 // PUBLIC_INTERFACE
 /**
- * Make a GET request to the API
+ * Check whether an error comes from an aborted request
+ * @param {Error} error - The caught error
+ * @returns {boolean} True if the request was aborted
+ */
+export const isAbortError = (error) => {
+  return Boolean(error) && error.name === 'AbortError';
+};
+
+/**
+ * Send a single request and parse the JSON response
+ * Failures are thrown as typed errors: NetworkError when no response arrives,
+ * otherwise the ApiError subclass matching the status (see api/errors.js).
+ * In mock mode the mock backend answers instead of the network.
  * @param {string} endpoint - The API endpoint
- * @returns {Promise<any>} The response data
+ * @param {RequestInit} init - Fetch options
+ * @returns {Promise<any>} The response data (null for empty responses)
  */
-export const apiGet = async (endpoint) => {
+const sendRequest = async (endpoint, init) => {
   const baseUrl = getApiBaseUrl();
   const url = `${baseUrl}${endpoint}`;
-  
+
+  let response;
   try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    return await response.json();
+    response = isMockApiEnabled()
+      ? await mockFetch(endpoint, init)
+      : await fetch(url, {
+        ...init,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
   } catch (error) {
-    console.error('API GET error:', error);
-    throw error;
+    if (isAbortError(error)) throw error;
+    throw new NetworkError(endpoint, error);
+  }
+
+  if (!response.ok) {
+    throw await createApiError(response, endpoint);
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+  return await response.json();
+};
+
+/**
+ * Perform an uncached GET request, retrying transient failures
+ * Network errors, 429 and 5xx responses are retried with exponential backoff,
+ * honouring Retry-After when the server sends it.
+ * @param {string} endpoint - The API endpoint
+ * @param {AbortSignal} [signal] - Signal to abort the request
+ * @param {number} [retries] - Override the number of retries
+ * @returns {Promise<any>} The response data
+ */
+const fetchJson = (endpoint, signal, retries) => withRetry(
+  () => sendRequest(endpoint, { method: 'GET', signal }),
+  {
+    signal,
+    shouldRetry: (error) => error instanceof ApiError && error.isTransient,
+    ...(retries !== undefined ? { retries } : {}),
+  }
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Make a GET request to the API
+ * Responses are cached by endpoint (see api/cache.js): cached data is returned
+ * immediately, stale data is revalidated in the background, and identical
+ * concurrent requests share one network call. Transient failures are retried.
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} options - Request options
+ * @param {boolean} options.cache - Whether to use the response cache (default: true)
+ * @param {number} options.ttl - Cache TTL in milliseconds for this request
+ * @param {number} options.retries - Number of retries for transient failures (default: 3)
+ * @param {AbortSignal} options.signal - Signal to abort the request; rejects with an AbortError
+ * @returns {Promise<any>} The response data
+ * @throws {ApiError} Typed error (NotFoundError, RateLimitError, ServerError, NetworkError, ...)
+ */
+export const apiGet = async (endpoint, { cache = true, ttl, retries, signal } = {}) => {
+  if (cache) {
+    return cachedRequest(endpoint, (requestSignal) => fetchJson(endpoint, requestSignal, retries), { ttl, signal });
   }
+  return fetchJson(endpoint, signal, retries);
+};
+
+/**
+ * Top-level resource path of an endpoint, used for cache invalidation
+ * @param {string} endpoint - The API endpoint, e.g. '/recipes/12?x=1'
+ * @returns {string} Resource prefix, e.g. '/recipes'
+ */
+const resourcePrefix = (endpoint) => {
+  const [path] = endpoint.split('?');
+  return `/${path.split('/').filter(Boolean)[0] || ''}`;
+};
+
+/**
+ * Send a POST, PUT or DELETE request
+ * Writes are not idempotent in general, so failures are never retried automatically.
+ * Cached responses for the same resource (e.g. everything under '/recipes') are invalidated.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - The API endpoint
+ * @param {any} data - Request body; omitted when undefined
+ * @param {AbortSignal} [signal] - Signal to abort the request
+ * @returns {Promise<any>} The response data
+ */
+const sendMutation = async (method, endpoint, data, signal) => {
+  const result = await sendRequest(endpoint, {
+    method,
+    ...(data !== undefined ? { body: JSON.stringify(data) } : {}),
+    signal,
+  });
+  invalidateCache(resourcePrefix(endpoint));
+  return result;
 };
 
 // PUBLIC_INTERFACE
 /**
  * Make a POST request to the API
+ * POST is not idempotent, so failures are never retried automatically.
+ * Cached responses for the same resource (e.g. everything under '/recipes') are invalidated.
  * @param {string} endpoint - The API endpoint
  * @param {any} data - The data to send
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request; rejects with an AbortError
  * @returns {Promise<any>} The response data
+ * @throws {ApiError} Typed error (ValidationError, ServerError, NetworkError, ...)
  */
-export const apiPost = async (endpoint, data) => {
-  const baseUrl = getApiBaseUrl();
-  const url = `${baseUrl}${endpoint}`;
-  
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('API POST error:', error);
-    throw error;
+export const apiPost = async (endpoint, data, { signal } = {}) => {
+  return sendMutation('POST', endpoint, data, signal);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Make a PUT request to the API
+ * Not retried automatically; cached responses for the same resource are invalidated.
+ * @param {string} endpoint - The API endpoint
+ * @param {any} data - The data to send
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request; rejects with an AbortError
+ * @returns {Promise<any>} The response data
+ * @throws {ApiError} Typed error (ValidationError, NotFoundError, ServerError, ...)
+ */
+export const apiPut = async (endpoint, data, { signal } = {}) => {
+  return sendMutation('PUT', endpoint, data, signal);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Make a DELETE request to the API
+ * Not retried automatically; cached responses for the same resource are invalidated.
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request; rejects with an AbortError
+ * @returns {Promise<any>} The response data (null for 204 No Content)
+ * @throws {ApiError} Typed error (NotFoundError, ServerError, NetworkError, ...)
+ */
+export const apiDelete = async (endpoint, { signal } = {}) => {
+  return sendMutation('DELETE', endpoint, undefined, signal);
+};
+
+/**
+ * Normalize a /recipes list response
+ * Handles both the paginated format and a plain array.
+ * @param {Object|Array} result - Response body
+ * @param {number} page - Page that was requested
+ * @returns {Object} Object containing recipes array, total count, hasMore flag and page
+ */
+const toRecipePage = (result, page) => {
+  if (Array.isArray(result)) {
+    // If API returns simple array, simulate pagination
+    return {
+      recipes: result,
+      total: result.length,
+      hasMore: false,
+      page: 1
+    };
   }
+
+  return {
+    recipes: result.recipes || result.data || [],
+    total: result.total || 0,
+    hasMore: result.hasMore !== undefined ? result.hasMore : false,
+    page: result.page || page
+  };
 };
 
 // PUBLIC_INTERFACE
 /**
  * Fetch recipes with optional filters and pagination
- * @param {Object} filters - Filter parameters (cuisine, diet, maxTime)
+ * List filters (cuisine, diet, difficulty, tags) are sent comma separated,
+ * range bounds (maxTime, minServings, maxServings) as plain values.
+ * With `options.pantry`, recipes are ranked by how much of their ingredient list the
+ * pantry covers and each gets a `pantryMatch` ({ matched, missing, coverage }).
+ * @param {Object} filters - Filter parameters (see FILTER_FIELDS in utils/filters)
  * @param {string} searchQuery - Search query string
  * @param {number} page - Page number (default: 1)
  * @param {number} pageSize - Number of items per page (default: 12)
+ * @param {Object} options - Additional request options
+ * @param {string} options.sort - Sort option value (see SORT_OPTIONS in utils/sorting); 'relevance' and
+ *   personal sorts are not sent
+ * @param {Array<string>} options.pantry - Ingredients on hand (see utils/pantry)
+ * @param {AbortSignal} options.signal - Signal to abort the request
  * @returns {Promise<Object>} Object containing recipes array, total count, and hasMore flag
  */
-export const fetchRecipes = async (filters = {}, searchQuery = '', page = 1, pageSize = 12) => {
+export const fetchRecipes = async (filters = {}, searchQuery = '', page = 1, pageSize = 12, options = {}) => {
+  if (options.pantry && options.pantry.length > 0) {
+    return fetchPantryRecipes(filters, searchQuery, page, pageSize, options);
+  }
+
   let endpoint = '/recipes';
   const params = new URLSearchParams();
   
   if (searchQuery) params.append('search', searchQuery);
-  if (filters.cuisine) params.append('cuisine', filters.cuisine);
-  if (filters.diet) params.append('diet', filters.diet);
-  if (filters.maxTime) params.append('maxTime', filters.maxTime);
+  encodeFilters(filters).forEach(([key, value]) => params.append(key, value));
+  if (isValidSort(options.sort) && options.sort !== DEFAULT_SORT) params.append('sort', options.sort);
   params.append('page', page.toString());
   params.append('pageSize', pageSize.toString());
   
   const queryString = params.toString();
   if (queryString) endpoint += `?${queryString}`;
   
-  const result = await apiGet(endpoint);
-  
-  // Handle both paginated response format and simple array format
-  if (Array.isArray(result)) {
-    // If API returns simple array, simulate pagination
-    return {
-      recipes: result,
-      total: result.length,
-      hasMore: false,
-      page: 1
-    };
+  const result = await apiGet(endpoint, { signal: options.signal });
+  return toRecipePage(result, page);
+};
+
+// Number of recipes ranked on the client when the backend cannot match a pantry
+const PANTRY_POOL_SIZE = 100;
+
+// Whether the backend honours /recipes?pantry=; null until it has answered with results
+let pantrySearchSupported = null;
+
+/**
+ * Ask the backend to match a pantry
+ * Resolves to null when the backend does not support it: the parameter is rejected
+ * (400/501) or ignored, i.e. recipes come back without `missingIngredients`.
+ * @param {Object} filters - Filter parameters
+ * @param {string} searchQuery - Search query string
+ * @param {number} page - Page number
+ * @param {number} pageSize - Number of items per page
+ * @param {Object} options - fetchRecipes options
+ * @returns {Promise<Object|null>} Page of recipes with pantryMatch, or null if unsupported
+ */
+const fetchServerPantryRecipes = async (filters, searchQuery, page, pageSize, options) => {
+  const params = new URLSearchParams();
+  if (searchQuery) params.append('search', searchQuery);
+  encodeFilters(filters).forEach(([key, value]) => params.append(key, value));
+  params.append('pantry', options.pantry.join(','));
+  if (isValidSort(options.sort) && options.sort !== DEFAULT_SORT) params.append('sort', options.sort);
+  params.append('page', page.toString());
+  params.append('pageSize', pageSize.toString());
+
+  let result;
+  try {
+    result = await apiGet(`/recipes?${params.toString()}`, { signal: options.signal });
+  } catch (error) {
+    if (error instanceof ApiError && [400, 501].includes(error.status)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const recipePage = toRecipePage(result, page);
+  if (recipePage.recipes.some((recipe) => !Array.isArray(recipe.missingIngredients))) {
+    return null;
   }
-  
-  // If API returns paginated format
   return {
-    recipes: result.recipes || result.data || [],
-    total: result.total || 0,
-    hasMore: result.hasMore !== undefined ? result.hasMore : false,
-    page: result.page || page
+    ...recipePage,
+    recipes: recipePage.recipes.map((recipe) => {
+      const matched = Array.isArray(recipe.matchedIngredients) ? recipe.matchedIngredients : [];
+      const total = matched.length + recipe.missingIngredients.length;
+      return {
+        ...recipe,
+        pantryMatch: {
+          matched,
+          missing: recipe.missingIngredients,
+          coverage: typeof recipe.coverage === 'number' ? recipe.coverage : (total > 0 ? matched.length / total : 0),
+        },
+      };
+    }),
+  };
+};
+
+/**
+ * Match a pantry on the client
+ * Ranks the first PANTRY_POOL_SIZE recipes for the search and filters, loading the
+ * ingredients of any that came back without them, then pages through the ranking.
+ * @param {Object} filters - Filter parameters
+ * @param {string} searchQuery - Search query string
+ * @param {number} page - Page number
+ * @param {number} pageSize - Number of items per page
+ * @param {Object} options - fetchRecipes options
+ * @returns {Promise<Object>} Page of recipes with pantryMatch
+ */
+const fetchClientPantryRecipes = async (filters, searchQuery, page, pageSize, options) => {
+  const { signal, pantry } = options;
+  const pool = await fetchRecipes(filters, searchQuery, 1, PANTRY_POOL_SIZE, { signal });
+
+  let recipes = pool.recipes;
+  const incompleteIds = recipes.filter((recipe) => !Array.isArray(recipe.ingredients)).map((recipe) => recipe.id);
+  if (incompleteIds.length > 0) {
+    const details = await fetchRecipesByIds(incompleteIds, { signal });
+    const byId = new Map(details.recipes.map((recipe) => [String(recipe.id), recipe]));
+    recipes = recipes.map((recipe) => byId.get(String(recipe.id)) || recipe);
+  }
+
+  const ranked = rankByPantry(recipes, pantry);
+  const start = (page - 1) * pageSize;
+  return {
+    recipes: ranked.slice(start, start + pageSize),
+    total: ranked.length,
+    hasMore: start + pageSize < ranked.length,
+    page,
   };
 };
 
+/**
+ * Fetch recipes ranked against a pantry, on the backend when it supports it
+ * @param {Object} filters - Filter parameters
+ * @param {string} searchQuery - Search query string
+ * @param {number} page - Page number
+ * @param {number} pageSize - Number of items per page
+ * @param {Object} options - fetchRecipes options, including a non-empty pantry
+ * @returns {Promise<Object>} Page of recipes with pantryMatch
+ */
+const fetchPantryRecipes = async (filters, searchQuery, page, pageSize, options) => {
+  if (pantrySearchSupported !== false) {
+    const result = await fetchServerPantryRecipes(filters, searchQuery, page, pageSize, options);
+    if (result === null) {
+      pantrySearchSupported = false;
+    } else {
+      // An empty page says nothing about support, so keep asking until recipes come back
+      if (result.recipes.length > 0) pantrySearchSupported = true;
+      return result;
+    }
+  }
+  return fetchClientPantryRecipes(filters, searchQuery, page, pageSize, options);
+};
+
 // PUBLIC_INTERFACE
 /**
  * Fetch a single recipe by ID
  * @param {string} id - Recipe ID
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request
  * @returns {Promise<Object>} Recipe details
  */
-export const fetchRecipeById = async (id) => {
-  return await apiGet(`/recipes/${id}`);
+export const fetchRecipeById = async (id, { signal } = {}) => {
+  return await apiGet(`/recipes/${id}`, { signal });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Absolute URL fetchRecipeById requests, for caching a recipe ahead of time
+ * @param {string} id - Recipe ID
+ * @returns {string} Recipe URL
+ */
+export const getRecipeUrl = (id) => new URL(`${getApiBaseUrl()}/recipes/${id}`, window.location.href).href;
+
+// PUBLIC_INTERFACE
+/**
+ * Create a recipe
+ * @param {Object} recipe - Recipe fields, without an ID
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request
+ * @returns {Promise<Object>} The created recipe, including its ID
+ * @throws {ValidationError} When the server rejects fields; see fieldErrors
+ */
+export const createRecipe = async (recipe, { signal } = {}) => {
+  return await apiPost('/recipes', recipe, { signal });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Replace a recipe's fields
+ * @param {string} id - Recipe ID
+ * @param {Object} recipe - Recipe fields
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request
+ * @returns {Promise<Object>} The updated recipe
+ * @throws {ValidationError} When the server rejects fields; see fieldErrors
+ */
+export const updateRecipe = async (id, recipe, { signal } = {}) => {
+  return await apiPut(`/recipes/${id}`, recipe, { signal });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a recipe
+ * @param {string} id - Recipe ID
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request
+ * @returns {Promise<void>} Resolves once deleted
+ */
+export const deleteRecipe = async (id, { signal } = {}) => {
+  await apiDelete(`/recipes/${id}`, { signal });
+};
+
+// Maximum number of IDs sent in one /recipes?ids= request
+const IDS_CHUNK_SIZE = 50;
+
+// Whether the backend honours /recipes?ids=; null until the first batch request
+let batchIdsSupported = null;
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Fetch one chunk of recipes through the batch endpoint
+ * Resolves to null when the backend does not support it: the endpoint is rejected
+ * (400/404/405/501) or ignores `ids` and returns recipes that were not requested.
+ * @param {Array<string>} ids - Recipe IDs (at most IDS_CHUNK_SIZE)
+ * @param {AbortSignal} [signal] - Signal to abort the request
+ * @returns {Promise<Array<Object>|null>} Recipes found, or null if unsupported
+ */
+const fetchRecipeChunk = async (ids, signal) => {
+  const params = new URLSearchParams({ ids: ids.join(','), pageSize: ids.length.toString() });
+
+  let result;
+  try {
+    result = await apiGet(`/recipes?${params.toString()}`, { signal });
+  } catch (error) {
+    if (error instanceof ApiError && [400, 404, 405, 501].includes(error.status)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const recipes = Array.isArray(result) ? result : (result && (result.recipes || result.data)) || [];
+  const requested = new Set(ids.map(String));
+  if (recipes.some((recipe) => !requested.has(String(recipe.id)))) {
+    return null;
+  }
+  return recipes;
+};
+
+/**
+ * Fetch recipes one by one, separating missing (404) from failed IDs
+ * @param {Array<string>} ids - Recipe IDs
+ * @param {AbortSignal} [signal] - Signal to abort the requests
+ * @returns {Promise<Object>} Object with recipes, missingIds and failedIds
+ */
+const fetchRecipesIndividually = async (ids, signal) => {
+  const results = await Promise.allSettled(ids.map((id) => fetchRecipeById(id, { signal })));
+  const recipes = [];
+  const missingIds = [];
+  const failedIds = [];
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      recipes.push(result.value);
+    } else if (isAbortError(result.reason)) {
+      throw result.reason;
+    } else if (result.reason instanceof NotFoundError) {
+      missingIds.push(ids[index]);
+    } else {
+      failedIds.push(ids[index]);
+    }
+  });
+
+  if (recipes.length === 0 && failedIds.length > 0) {
+    throw results.find((result) => result.status === 'rejected' && !(result.reason instanceof NotFoundError)).reason;
+  }
+
+  return { recipes, missingIds, failedIds };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetch several recipes by ID
+ * Uses /recipes?ids=a,b,c in chunks of IDS_CHUNK_SIZE and falls back to one
+ * fetchRecipeById call per ID when the backend lacks the batch endpoint.
+ * @param {Array<string>} ids - Recipe IDs
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the requests
+ * @returns {Promise<Object>} Object with recipes (in `ids` order), missingIds (no longer exist)
+ * and failedIds (could not be loaded right now)
+ */
+export const fetchRecipesByIds = async (ids, { signal } = {}) => {
+  const uniqueIds = [...new Set(ids.map(String))];
+  if (uniqueIds.length === 0) {
+    return { recipes: [], missingIds: [], failedIds: [] };
+  }
+
+  const found = new Map();
+  const failedIds = [];
+  let pending = uniqueIds;
+
+  if (batchIdsSupported !== false) {
+    const unsupported = [];
+    for (const chunkIds of chunk(uniqueIds, IDS_CHUNK_SIZE)) {
+      const recipes = batchIdsSupported === false ? null : await fetchRecipeChunk(chunkIds, signal);
+      if (recipes === null) {
+        batchIdsSupported = false;
+        unsupported.push(...chunkIds);
+      } else {
+        batchIdsSupported = true;
+        recipes.forEach((recipe) => found.set(String(recipe.id), recipe));
+      }
+    }
+    pending = unsupported;
+  }
+
+  const missingIds = uniqueIds.filter((id) => !found.has(id) && !pending.includes(id));
+
+  if (pending.length > 0) {
+    const individual = await fetchRecipesIndividually(pending, signal);
+    individual.recipes.forEach((recipe) => found.set(String(recipe.id), recipe));
+    missingIds.push(...individual.missingIds);
+    failedIds.push(...individual.failedIds);
+  }
+
+  return {
+    recipes: uniqueIds.filter((id) => found.has(id)).map((id) => found.get(id)),
+    missingIds: uniqueIds.filter((id) => missingIds.includes(id)),
+    failedIds,
+  };
 };
 
 // PUBLIC_INTERFACE
 /**
  * Fetch featured recipes
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request
  * @returns {Promise<Array>} Array of featured recipes
  */
-export const fetchFeaturedRecipes = async () => {
-  return await apiGet('/recipes/featured');
+export const fetchFeaturedRecipes = async ({ signal } = {}) => {
+  return await apiGet('/recipes/featured', { signal });
 };
 
 // PUBLIC_INTERFACE
 /**
  * Fetch recipe categories
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to abort the request
  * @returns {Promise<Array>} Array of categories
  */
-export const fetchCategories = async () => {
-  return await apiGet('/categories');
+export const fetchCategories = async ({ signal } = {}) => {
+  return await apiGet('/categories', { signal });
 };
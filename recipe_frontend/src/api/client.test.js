@@ -0,0 +1,187 @@
+import { apiGet, apiPost, createRecipe, deleteRecipe, getRecipeUrl, updateRecipe, NetworkError, NotFoundError, ServerError, ValidationError } from './client';
+
+/**
+ * Build a minimal fetch Response stand-in
+ */
+const mockResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+  text: async () => (body === undefined ? '' : JSON.stringify(body)),
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('throws NotFoundError for a 404 without retrying', async () => {
+  fetch.mockResolvedValue(mockResponse(404, { message: 'missing' }));
+
+  const error = await apiGet('/recipes/missing', { cache: false }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(NotFoundError);
+  expect(error.status).toBe(404);
+  expect(error.endpoint).toBe('/recipes/missing');
+  expect(error.body).toEqual({ message: 'missing' });
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(console.error).not.toHaveBeenCalled();
+});
+
+test('retries a 5xx response, honouring Retry-After', async () => {
+  fetch
+    .mockResolvedValueOnce(mockResponse(503, { error: 'busy' }, { 'Retry-After': '0' }))
+    .mockResolvedValueOnce(mockResponse(200, { id: '1' }));
+
+  await expect(apiGet('/recipes/1', { cache: false })).resolves.toEqual({ id: '1' });
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('gives up after the configured retries with a typed error', async () => {
+  fetch.mockResolvedValue(mockResponse(500, { message: 'boom' }, { 'Retry-After': '0' }));
+
+  const error = await apiGet('/recipes', { cache: false, retries: 2 }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(ServerError);
+  expect(error.message).toBe('boom');
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('wraps connection failures in NetworkError', async () => {
+  fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+  const error = await apiGet('/recipes', { cache: false, retries: 0 }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(NetworkError);
+  expect(error.status).toBe(0);
+});
+
+test('does not retry POST and exposes field errors', async () => {
+  fetch.mockResolvedValue(mockResponse(422, { errors: { name: ['Name is required'] } }));
+
+  const error = await apiPost('/recipes', {}).catch((err) => err);
+
+  expect(error).toBeInstanceOf(ValidationError);
+  expect(error.fieldErrors).toEqual({ name: 'Name is required' });
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(console.error).not.toHaveBeenCalled();
+});
+
+test('updateRecipe sends a PUT and drops cached recipe responses', async () => {
+  fetch.mockResolvedValueOnce(mockResponse(200, { id: '7', name: 'Old' }));
+  await apiGet('/recipes/7');
+  fetch.mockResolvedValueOnce(mockResponse(200, { id: '7', name: 'New' }));
+  await updateRecipe('7', { name: 'New' });
+  fetch.mockResolvedValueOnce(mockResponse(200, { id: '7', name: 'New' }));
+
+  const recipe = await apiGet('/recipes/7');
+
+  expect(fetch.mock.calls[1][0]).toMatch(/\/recipes\/7$/);
+  expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'PUT', body: JSON.stringify({ name: 'New' }) });
+  expect(recipe.name).toBe('New');
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test('createRecipe posts to /recipes and deleteRecipe accepts 204', async () => {
+  fetch.mockResolvedValueOnce(mockResponse(201, { id: '9', name: 'Soup' }));
+  fetch.mockResolvedValueOnce(mockResponse(204));
+
+  const created = await createRecipe({ name: 'Soup' });
+  await deleteRecipe('9');
+
+  expect(created).toEqual({ id: '9', name: 'Soup' });
+  expect(fetch.mock.calls[0][1].method).toBe('POST');
+  expect(fetch.mock.calls[1][0]).toMatch(/\/recipes\/9$/);
+  expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'DELETE' });
+  expect(fetch.mock.calls[1][1].body).toBeUndefined();
+});
+
+test('getRecipeUrl resolves the recipe endpoint against the page', () => {
+  expect(getRecipeUrl('12')).toBe(`${window.location.origin}/api/recipes/12`);
+});
+
+/**
+ * Load a fresh copy of the client so module-level batch support detection starts unknown
+ */
+const loadIsolatedClient = () => {
+  let client;
+  jest.isolateModules(() => {
+    client = require('./client');
+  });
+  return client;
+};
+
+test('fetchRecipesByIds uses the batch endpoint and reports missing IDs', async () => {
+  const { fetchRecipesByIds } = loadIsolatedClient();
+  fetch.mockResolvedValue(mockResponse(200, { recipes: [{ id: '3' }, { id: '1' }] }));
+
+  const result = await fetchRecipesByIds(['1', '2', '3']);
+
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(fetch.mock.calls[0][0]).toContain('/recipes?ids=1%2C2%2C3');
+  expect(result.recipes.map((recipe) => recipe.id)).toEqual(['1', '3']);
+  expect(result.missingIds).toEqual(['2']);
+});
+
+test('fetchRecipesByIds falls back to per-ID requests when batch is unsupported', async () => {
+  const { fetchRecipesByIds } = loadIsolatedClient();
+  fetch.mockImplementation(async (url) => {
+    if (url.includes('?ids=')) return mockResponse(404, { message: 'no such route' });
+    if (url.endsWith('/recipes/1')) return mockResponse(200, { id: '1' });
+    return mockResponse(404, { message: 'missing' });
+  });
+
+  const result = await fetchRecipesByIds(['1', '2']);
+
+  expect(result.recipes).toEqual([{ id: '1' }]);
+  expect(result.missingIds).toEqual(['2']);
+  expect(result.failedIds).toEqual([]);
+});
+
+test('fetchRecipes uses the backend pantry match when it is supported', async () => {
+  const { fetchRecipes } = loadIsolatedClient();
+  fetch.mockResolvedValue(mockResponse(200, {
+    recipes: [{ id: '1', matchedIngredients: ['egg'], missingIngredients: ['cream', 'shallot'] }],
+    total: 1,
+  }));
+
+  const result = await fetchRecipes({}, '', 1, 12, { pantry: ['egg', 'butter'] });
+
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(fetch.mock.calls[0][0]).toContain('pantry=egg%2Cbutter');
+  expect(result.recipes[0].pantryMatch).toEqual({ matched: ['egg'], missing: ['cream', 'shallot'], coverage: 1 / 3 });
+});
+
+test('fetchRecipes ranks the pantry on the client when the backend ignores it', async () => {
+  const { fetchRecipes } = loadIsolatedClient();
+  fetch.mockImplementation(async (url) => {
+    if (url.includes('?ids=')) {
+      return mockResponse(200, { recipes: [{ id: '2', name: 'Omelette', ingredients: ['3 eggs', '1 cup spinach'] }] });
+    }
+    return mockResponse(200, {
+      recipes: [
+        { id: '1', name: 'Pancakes', ingredients: ['2 eggs', '1 cup flour'] },
+        { id: '2', name: 'Omelette' },
+        { id: '3', name: 'Salad', ingredients: ['1 lettuce'] },
+      ],
+      total: 3,
+    });
+  });
+
+  const result = await fetchRecipes({}, '', 1, 12, { pantry: ['egg', 'spinach'] });
+
+  expect(result.recipes.map((recipe) => recipe.name)).toEqual(['Omelette', 'Pancakes']);
+  expect(result.recipes[1].pantryMatch.missing).toEqual(['flour']);
+  expect(result.total).toBe(2);
+
+  fetch.mockClear();
+  await fetchRecipes({}, '', 1, 12, { pantry: ['egg'] });
+  expect(fetch.mock.calls.some(([url]) => url.includes('pantry='))).toBe(false);
+});
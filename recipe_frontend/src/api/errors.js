@@ -0,0 +1,211 @@
+/**
+ * Typed errors thrown by the API client
+ * Every error carries the endpoint, the HTTP status (0 for network failures) and
+ * the parsed error body so the UI can react to the kind of failure.
+ */
+
+/**
+ * Pull a message out of common error body shapes
+ * @param {any} body - Parsed response body
+ * @returns {string|null} Message, if present
+ */
+const errorMessageFromBody = (body) => {
+  if (!body) return null;
+  if (typeof body === 'string') return body.length <= 200 ? body : null;
+  if (typeof body.message === 'string') return body.message;
+  if (typeof body.error === 'string') return body.error;
+  if (typeof body.detail === 'string') return body.detail;
+  return null;
+};
+
+/**
+ * Map common validation body shapes to { field: message }
+ * Supports { errors: { field: msg | [msg] } }, { errors: [{ field, message }] }
+ * and FastAPI-style { detail: [{ loc: [..., field], msg }] }.
+ * @param {any} body - Parsed response body
+ * @returns {Object} Field errors keyed by field name
+ */
+const fieldErrorsFromBody = (body) => {
+  const result = {};
+  if (!body || typeof body !== 'object') return result;
+
+  const list = Array.isArray(body.errors) ? body.errors : Array.isArray(body.detail) ? body.detail : null;
+  if (list) {
+    list.forEach((item) => {
+      if (!item) return;
+      const field = item.field || item.param || (Array.isArray(item.loc) ? item.loc[item.loc.length - 1] : null);
+      const message = item.message || item.msg;
+      if (field && message && !result[field]) result[field] = message;
+    });
+  } else if (body.errors && typeof body.errors === 'object') {
+    Object.entries(body.errors).forEach(([field, message]) => {
+      result[field] = Array.isArray(message) ? message[0] : String(message);
+    });
+  }
+
+  return result;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Base class for API errors
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status code (0 when no response was received)
+   * @param {string} details.endpoint - The API endpoint that failed
+   * @param {any} [details.body] - Parsed response body, if any
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status, endpoint, body = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+
+  /**
+   * Whether repeating the same request may succeed
+   * @returns {boolean} True for transient failures
+   */
+  get isTransient() {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The request never reached the server or the connection dropped
+ */
+export class NetworkError extends ApiError {
+  constructor(endpoint, cause) {
+    super('Network error: check your connection and try again', { status: 0, endpoint, cause });
+    this.name = 'NetworkError';
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * 404 Not Found
+ */
+export class NotFoundError extends ApiError {
+  constructor(endpoint, body) {
+    super('The requested resource was not found', { status: 404, endpoint, body });
+    this.name = 'NotFoundError';
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * 400 / 422 with field-level validation errors
+ */
+export class ValidationError extends ApiError {
+  constructor(status, endpoint, body) {
+    super(errorMessageFromBody(body) || 'The request was invalid', { status, endpoint, body });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrorsFromBody(body);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * 429 Too Many Requests
+ */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} endpoint - The API endpoint that failed
+   * @param {any} body - Parsed response body
+   * @param {number|null} retryAfter - Milliseconds to wait before retrying, from Retry-After
+   */
+  constructor(endpoint, body, retryAfter) {
+    super('Too many requests: please wait a moment and try again', { status: 429, endpoint, body });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * 5xx server failure
+ */
+export class ServerError extends ApiError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} endpoint - The API endpoint that failed
+   * @param {any} body - Parsed response body
+   * @param {number|null} retryAfter - Milliseconds to wait before retrying, from Retry-After
+   */
+  constructor(status, endpoint, body, retryAfter = null) {
+    super(errorMessageFromBody(body) || `The server had a problem (${status})`, { status, endpoint, body });
+    this.name = 'ServerError';
+    this.retryAfter = retryAfter;
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value: delay in seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build the matching ApiError for a failed response
+ * @param {Response} response - The fetch response (not ok)
+ * @param {string} endpoint - The API endpoint
+ * @returns {Promise<ApiError>} Typed error with the parsed body
+ */
+export const createApiError = async (response, endpoint) => {
+  let body = null;
+  try {
+    const text = await response.text();
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      body = text;
+    }
+  } catch {
+    body = null;
+  }
+
+  const { status } = response;
+  const retryAfter = parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+
+  if (status === 404) return new NotFoundError(endpoint, body);
+  if (status === 429) return new RateLimitError(endpoint, body, retryAfter);
+  if (status === 400 || status === 422) return new ValidationError(status, endpoint, body);
+  if (status >= 500) return new ServerError(status, endpoint, body, retryAfter);
+
+  return new ApiError(
+    errorMessageFromBody(body) || `API request failed: ${status} ${response.statusText}`,
+    { status, endpoint, body }
+  );
+};
@@ -0,0 +1,668 @@
+/**
+ * Fixture catalog served by the mock backend (see api/mockServer.js)
+ * Cuisine, diet and difficulty are stored as labels, as the real API returns them.
+ */
+
+const image = (text) => `https://via.placeholder.com/800x600?text=${encodeURIComponent(text)}`;
+
+// PUBLIC_INTERFACE
+/**
+ * Recipes in the mock catalog; `featured` marks the ones /recipes/featured returns
+ */
+export const MOCK_RECIPES = Object.freeze([
+  {
+    id: '1',
+    name: 'Classic Margherita Pizza',
+    description: 'A simple yet delicious Italian classic with fresh mozzarella, basil, and tomato sauce.',
+    image: image('Margherita Pizza'),
+    cuisine: 'Italian',
+    diet: 'Vegetarian',
+    difficulty: 'Medium',
+    cookTime: 30,
+    servings: 4,
+    tags: ['pizza', 'baking'],
+    ingredients: [
+      '500 g pizza dough',
+      '200 ml tomato passata',
+      '250 g fresh mozzarella',
+      '1 handful basil leaves',
+      '2 tbsp olive oil',
+      '1 tsp salt',
+    ],
+    steps: [
+      'Heat the oven to 250°C with a baking tray inside.',
+      'Stretch the dough into two thin rounds.',
+      'Spread the passata, tear over the mozzarella and drizzle with olive oil.',
+      'Bake for 8 to 10 minutes until blistered, then scatter with basil.',
+    ],
+    createdAt: '2024-01-12T10:00:00.000Z',
+    featured: true,
+  },
+  {
+    id: '2',
+    name: 'Spicy Thai Green Curry',
+    description: 'An aromatic, spicy curry with coconut milk, vegetables and chicken.',
+    image: image('Green Curry'),
+    cuisine: 'Thai',
+    diet: 'Gluten-Free',
+    difficulty: 'Medium',
+    cookTime: 45,
+    servings: 4,
+    tags: ['curry', 'spicy'],
+    ingredients: [
+      '3 tbsp green curry paste',
+      '400 ml coconut milk',
+      '500 g chicken thighs',
+      '1 aubergine',
+      '100 g green beans',
+      '1 tbsp fish sauce',
+      '1 tsp sugar',
+      '1 handful thai basil',
+    ],
+    steps: [
+      'Fry the curry paste in a splash of coconut milk for 2 minutes.',
+      'Add the chicken and cook until sealed.',
+      'Pour in the rest of the coconut milk with the aubergine and simmer for 15 minutes.',
+      'Add the beans, fish sauce and sugar and cook for 5 minutes more.',
+      'Stir through the basil and serve with rice.',
+    ],
+    createdAt: '2024-02-03T10:00:00.000Z',
+    featured: true,
+  },
+  {
+    id: '3',
+    name: 'Chocolate Lava Cake',
+    description: 'Decadent chocolate cake with a molten centre, perfect for dessert lovers.',
+    image: image('Lava Cake'),
+    cuisine: 'French',
+    diet: 'Vegetarian',
+    difficulty: 'Hard',
+    cookTime: 25,
+    servings: 4,
+    tags: ['dessert', 'chocolate'],
+    ingredients: [
+      '100 g dark chocolate',
+      '100 g butter',
+      '2 eggs',
+      '2 egg yolks',
+      '60 g sugar',
+      '2 tbsp flour',
+    ],
+    steps: [
+      'Heat the oven to 220°C and butter four ramekins.',
+      'Melt the chocolate and butter together.',
+      'Whisk the eggs, yolks and sugar until pale, then fold in the chocolate and flour.',
+      'Bake for 10 to 12 minutes so the centres still wobble, then turn out.',
+    ],
+    createdAt: '2023-11-20T10:00:00.000Z',
+    featured: true,
+  },
+  {
+    id: '4',
+    name: 'Chicken Tikka Masala',
+    description: 'Charred, marinated chicken in a creamy, gently spiced tomato sauce.',
+    image: image('Tikka Masala'),
+    cuisine: 'Indian',
+    diet: 'Gluten-Free',
+    difficulty: 'Medium',
+    cookTime: 60,
+    servings: 4,
+    tags: ['curry', 'family'],
+    ingredients: [
+      '600 g chicken breast',
+      '150 g yogurt',
+      '2 tbsp garam masala',
+      '1 onion',
+      '3 cloves garlic',
+      '400 g chopped tomatoes',
+      '150 ml double cream',
+      '1 tsp salt',
+    ],
+    steps: [
+      'Marinate the chicken in yogurt and half the garam masala for 30 minutes.',
+      'Grill the chicken until charred at the edges.',
+      'Soften the onion and garlic, add the remaining spice and the tomatoes, and simmer for 10 minutes.',
+      'Stir in the cream and chicken and simmer for 5 minutes.',
+    ],
+    createdAt: '2024-03-15T10:00:00.000Z',
+  },
+  {
+    id: '5',
+    name: 'Beef Tacos',
+    description: 'Crisp shells filled with spiced beef, salsa and cool soured cream.',
+    image: image('Beef Tacos'),
+    cuisine: 'Mexican',
+    diet: 'Dairy-Free',
+    difficulty: 'Easy',
+    cookTime: 25,
+    servings: 4,
+    tags: ['quick', 'family'],
+    ingredients: [
+      '500 g beef mince',
+      '1 tbsp chili powder',
+      '1 tsp cumin',
+      '8 taco shells',
+      '2 tomatoes',
+      '1 red onion',
+      '1 lime',
+      '1 handful coriander',
+    ],
+    steps: [
+      'Brown the mince with the chili powder and cumin.',
+      'Dice the tomatoes and onion and mix with lime juice and coriander.',
+      'Warm the shells, then fill with beef and salsa.',
+    ],
+    createdAt: '2024-04-01T10:00:00.000Z',
+  },
+  {
+    id: '6',
+    name: 'Vegetable Stir-Fry',
+    description: 'Crunchy vegetables tossed in a glossy ginger and soy sauce.',
+    image: image('Stir-Fry'),
+    cuisine: 'Chinese',
+    diet: 'Vegan',
+    difficulty: 'Easy',
+    cookTime: 15,
+    servings: 2,
+    tags: ['quick', 'weeknight'],
+    ingredients: [
+      '1 red pepper',
+      '1 head broccoli',
+      '150 g mushrooms',
+      '2 cloves garlic',
+      '1 tbsp ginger',
+      '3 tbsp soy sauce',
+      '1 tbsp sesame oil',
+    ],
+    steps: [
+      'Slice the vegetables into bite-sized pieces.',
+      'Stir-fry the garlic and ginger in sesame oil for 30 seconds.',
+      'Add the vegetables and cook over high heat for 5 minutes.',
+      'Toss with soy sauce and serve straight away.',
+    ],
+    createdAt: '2024-05-10T10:00:00.000Z',
+  },
+  {
+    id: '7',
+    name: 'Salmon Teriyaki',
+    description: 'Sticky glazed salmon fillets with a sweet and savoury teriyaki sauce.',
+    image: image('Salmon Teriyaki'),
+    cuisine: 'Japanese',
+    diet: 'Dairy-Free',
+    difficulty: 'Easy',
+    cookTime: 20,
+    servings: 2,
+    tags: ['fish', 'quick'],
+    ingredients: [
+      '2 salmon fillets',
+      '3 tbsp soy sauce',
+      '2 tbsp mirin',
+      '1 tbsp honey',
+      '1 tsp sesame seeds',
+    ],
+    steps: [
+      'Mix the soy sauce, mirin and honey.',
+      'Sear the salmon skin side down for 4 minutes, then turn.',
+      'Pour over the sauce and let it bubble until sticky.',
+      'Sprinkle with sesame seeds.',
+    ],
+    createdAt: '2024-02-20T10:00:00.000Z',
+    featured: true,
+  },
+  {
+    id: '8',
+    name: 'Classic Cheeseburger',
+    description: 'Juicy beef patties with melted cheese, pickles and all the trimmings.',
+    image: image('Cheeseburger'),
+    cuisine: 'American',
+    difficulty: 'Easy',
+    cookTime: 20,
+    servings: 4,
+    tags: ['grill', 'family'],
+    ingredients: [
+      '600 g beef mince',
+      '4 slices cheddar',
+      '4 burger buns',
+      '1 tomato',
+      '4 lettuce leaves',
+      '8 pickle slices',
+      '1 tsp salt',
+    ],
+    steps: [
+      'Shape the mince into four patties and season well.',
+      'Cook on a hot grill for 3 minutes each side, adding the cheese for the last minute.',
+      'Toast the buns and build the burgers.',
+    ],
+    createdAt: '2023-09-05T10:00:00.000Z',
+  },
+  {
+    id: '9',
+    name: 'Greek Salad',
+    description: 'Tomatoes, cucumber, olives and feta in a bright oregano dressing.',
+    image: image('Greek Salad'),
+    cuisine: 'Mediterranean',
+    diet: 'Vegetarian',
+    difficulty: 'Easy',
+    cookTime: 10,
+    servings: 2,
+    tags: ['salad', 'no-cook'],
+    ingredients: [
+      '4 tomatoes',
+      '1 cucumber',
+      '1 red onion',
+      '100 g kalamata olives',
+      '200 g feta',
+      '3 tbsp olive oil',
+      '1 tsp dried oregano',
+    ],
+    steps: [
+      'Cut the tomatoes and cucumber into chunks and thinly slice the onion.',
+      'Toss with the olives, olive oil and oregano.',
+      'Top with the feta in one slab.',
+    ],
+    createdAt: '2024-06-01T10:00:00.000Z',
+  },
+  {
+    id: '10',
+    name: 'Mushroom Risotto',
+    description: 'Creamy arborio rice slowly cooked with mushrooms and parmesan.',
+    image: image('Risotto'),
+    cuisine: 'Italian',
+    diet: 'Vegetarian',
+    difficulty: 'Medium',
+    cookTime: 40,
+    servings: 4,
+    tags: ['rice', 'comfort'],
+    ingredients: [
+      '300 g arborio rice',
+      '250 g mushrooms',
+      '1 onion',
+      '1 l vegetable stock',
+      '100 ml white wine',
+      '50 g parmesan',
+      '30 g butter',
+    ],
+    steps: [
+      'Soften the onion in butter, then fry the mushrooms until golden.',
+      'Stir in the rice for a minute and add the wine.',
+      'Add the hot stock a ladle at a time, stirring, for about 20 minutes.',
+      'Beat in the parmesan and rest for 2 minutes.',
+    ],
+    createdAt: '2024-01-28T10:00:00.000Z',
+  },
+  {
+    id: '11',
+    name: 'Pad Thai',
+    description: 'Stir-fried rice noodles with prawns, egg, peanuts and tamarind.',
+    image: image('Pad Thai'),
+    cuisine: 'Thai',
+    diet: 'Dairy-Free',
+    difficulty: 'Medium',
+    cookTime: 30,
+    servings: 2,
+    tags: ['noodles', 'seafood'],
+    ingredients: [
+      '200 g rice noodles',
+      '200 g prawns',
+      '2 eggs',
+      '2 tbsp tamarind paste',
+      '2 tbsp fish sauce',
+      '1 tbsp sugar',
+      '50 g peanuts',
+      '100 g bean sprouts',
+    ],
+    steps: [
+      'Soak the noodles in hot water until soft, then drain.',
+      'Stir-fry the prawns, push aside and scramble the eggs.',
+      'Add the noodles with the tamarind, fish sauce and sugar and toss well.',
+      'Serve topped with bean sprouts and crushed peanuts.',
+    ],
+    createdAt: '2024-03-02T10:00:00.000Z',
+  },
+  {
+    id: '12',
+    name: 'Chana Masala',
+    description: 'Chickpeas simmered in a tangy, spiced tomato and onion gravy.',
+    image: image('Chana Masala'),
+    cuisine: 'Indian',
+    diet: 'Vegan',
+    difficulty: 'Easy',
+    cookTime: 35,
+    servings: 4,
+    tags: ['curry', 'budget'],
+    ingredients: [
+      '2 cans chickpeas',
+      '1 onion',
+      '3 cloves garlic',
+      '1 tbsp ginger',
+      '400 g chopped tomatoes',
+      '2 tsp garam masala',
+      '1 tsp cumin seeds',
+    ],
+    steps: [
+      'Toast the cumin seeds, then soften the onion, garlic and ginger.',
+      'Add the garam masala and tomatoes and cook for 10 minutes.',
+      'Add the chickpeas and simmer for 15 minutes, mashing a few to thicken.',
+    ],
+    createdAt: '2024-04-18T10:00:00.000Z',
+  },
+  {
+    id: '13',
+    name: 'Chicken Enchiladas',
+    description: 'Tortillas rolled around chicken and baked under red sauce and cheese.',
+    image: image('Enchiladas'),
+    cuisine: 'Mexican',
+    difficulty: 'Medium',
+    cookTime: 50,
+    servings: 4,
+    tags: ['baking', 'family'],
+    ingredients: [
+      '500 g cooked chicken',
+      '8 flour tortillas',
+      '400 ml enchilada sauce',
+      '150 g cheddar',
+      '1 onion',
+      '1 tsp cumin',
+    ],
+    steps: [
+      'Heat the oven to 190°C.',
+      'Fry the onion with cumin and mix with the chicken and a little sauce.',
+      'Roll the filling in the tortillas and pack into a dish.',
+      'Cover with the remaining sauce and cheese and bake for 25 minutes.',
+    ],
+    createdAt: '2023-12-08T10:00:00.000Z',
+  },
+  {
+    id: '14',
+    name: 'Kung Pao Chicken',
+    description: 'Sichuan stir-fry with chicken, peanuts and dried chillies.',
+    image: image('Kung Pao'),
+    cuisine: 'Chinese',
+    diet: 'Dairy-Free',
+    difficulty: 'Medium',
+    cookTime: 25,
+    servings: 3,
+    tags: ['spicy', 'weeknight'],
+    ingredients: [
+      '500 g chicken thighs',
+      '60 g peanuts',
+      '6 dried chillies',
+      '2 spring onions',
+      '2 tbsp soy sauce',
+      '1 tbsp rice vinegar',
+      '1 tsp sugar',
+      '1 tsp cornflour',
+    ],
+    steps: [
+      'Toss the diced chicken with a little soy sauce and the cornflour.',
+      'Fry the chillies briefly, then add the chicken and cook through.',
+      'Add the remaining soy sauce, vinegar and sugar.',
+      'Stir in the peanuts and spring onions.',
+    ],
+    createdAt: '2024-05-22T10:00:00.000Z',
+  },
+  {
+    id: '15',
+    name: 'Miso Soup',
+    description: 'A light, savoury broth with tofu, wakame and spring onion.',
+    image: image('Miso Soup'),
+    cuisine: 'Japanese',
+    diet: 'Vegan',
+    difficulty: 'Easy',
+    cookTime: 10,
+    servings: 2,
+    tags: ['soup', 'quick'],
+    ingredients: [
+      '500 ml dashi',
+      '2 tbsp miso paste',
+      '150 g silken tofu',
+      '1 tbsp dried wakame',
+      '1 spring onion',
+    ],
+    steps: [
+      'Bring the dashi to a simmer and add the wakame.',
+      'Whisk the miso with a little broth and stir it back in.',
+      'Add the cubed tofu and warm through without boiling.',
+      'Serve scattered with spring onion.',
+    ],
+    createdAt: '2024-06-12T10:00:00.000Z',
+  },
+  {
+    id: '16',
+    name: 'Buttermilk Pancakes',
+    description: 'Fluffy breakfast pancakes to stack high with maple syrup.',
+    image: image('Pancakes'),
+    cuisine: 'American',
+    diet: 'Vegetarian',
+    difficulty: 'Easy',
+    cookTime: 20,
+    servings: 4,
+    tags: ['breakfast', 'sweet'],
+    ingredients: [
+      '200 g flour',
+      '2 tsp baking powder',
+      '1 tbsp sugar',
+      '300 ml buttermilk',
+      '1 egg',
+      '30 g butter',
+    ],
+    steps: [
+      'Whisk the dry ingredients together.',
+      'Beat in the buttermilk, egg and melted butter until just combined.',
+      'Cook ladlefuls in a hot pan until bubbles form, then flip.',
+    ],
+    createdAt: '2023-10-14T10:00:00.000Z',
+  },
+  {
+    id: '17',
+    name: 'French Onion Soup',
+    description: 'Deeply caramelised onions in beef broth under a cheesy crouton lid.',
+    image: image('Onion Soup'),
+    cuisine: 'French',
+    difficulty: 'Medium',
+    cookTime: 75,
+    servings: 4,
+    tags: ['soup', 'comfort'],
+    ingredients: [
+      '1 kg onions',
+      '50 g butter',
+      '1 l beef stock',
+      '150 ml white wine',
+      '1 baguette',
+      '150 g gruyere',
+    ],
+    steps: [
+      'Cook the sliced onions in butter over low heat for 45 minutes until deep brown.',
+      'Add the wine and stock and simmer for 20 minutes.',
+      'Ladle into bowls, top with baguette slices and gruyere, and grill until bubbling.',
+    ],
+    createdAt: '2023-12-30T10:00:00.000Z',
+  },
+  {
+    id: '18',
+    name: 'Ratatouille',
+    description: 'Slow-cooked Provençal vegetables in a rich tomato base.',
+    image: image('Ratatouille'),
+    cuisine: 'French',
+    diet: 'Vegan',
+    difficulty: 'Medium',
+    cookTime: 60,
+    servings: 4,
+    tags: ['vegetables', 'one-pot'],
+    ingredients: [
+      '1 aubergine',
+      '2 courgettes',
+      '1 red pepper',
+      '1 onion',
+      '400 g chopped tomatoes',
+      '3 tbsp olive oil',
+      '1 tsp dried thyme',
+    ],
+    steps: [
+      'Cut all the vegetables into chunks.',
+      'Soften the onion and pepper in olive oil, then add the aubergine and courgettes.',
+      'Add the tomatoes and thyme and simmer gently for 40 minutes.',
+    ],
+    createdAt: '2024-07-04T10:00:00.000Z',
+  },
+  {
+    id: '19',
+    name: 'Falafel Wraps',
+    description: 'Crisp herby falafel wrapped with salad and tahini sauce.',
+    image: image('Falafel'),
+    cuisine: 'Mediterranean',
+    diet: 'Vegan',
+    difficulty: 'Medium',
+    cookTime: 40,
+    servings: 4,
+    tags: ['street-food', 'lunch'],
+    ingredients: [
+      '2 cans chickpeas',
+      '1 handful parsley',
+      '2 cloves garlic',
+      '1 tsp cumin',
+      '3 tbsp flour',
+      '4 flatbreads',
+      '3 tbsp tahini',
+      '1 lemon',
+    ],
+    steps: [
+      'Blitz the chickpeas, parsley, garlic, cumin and flour to a coarse paste.',
+      'Shape into small patties and shallow fry until golden.',
+      'Thin the tahini with lemon juice and water.',
+      'Wrap the falafel in flatbreads with salad and sauce.',
+    ],
+    createdAt: '2024-08-09T10:00:00.000Z',
+  },
+  {
+    id: '20',
+    name: 'Grilled Steak with Chimichurri',
+    description: 'Seared steak with a punchy parsley, garlic and vinegar sauce.',
+    image: image('Steak'),
+    cuisine: 'American',
+    diet: 'Keto',
+    difficulty: 'Medium',
+    cookTime: 25,
+    servings: 2,
+    tags: ['grill', 'low-carb'],
+    ingredients: [
+      '2 sirloin steaks',
+      '1 handful parsley',
+      '2 cloves garlic',
+      '2 tbsp red wine vinegar',
+      '5 tbsp olive oil',
+      '1 tsp chili flakes',
+    ],
+    steps: [
+      'Finely chop the parsley and garlic and mix with the vinegar, oil and chili.',
+      'Sear the steaks on a very hot grill for 3 minutes each side.',
+      'Rest for 5 minutes, slice and spoon over the chimichurri.',
+    ],
+    createdAt: '2024-08-21T10:00:00.000Z',
+  },
+  {
+    id: '21',
+    name: 'Zucchini Noodle Bolognese',
+    description: 'A rich meat sauce served over spiralised courgette instead of pasta.',
+    image: image('Zoodle Bolognese'),
+    cuisine: 'Italian',
+    diet: 'Paleo',
+    difficulty: 'Easy',
+    cookTime: 35,
+    servings: 4,
+    tags: ['low-carb', 'weeknight'],
+    ingredients: [
+      '500 g beef mince',
+      '1 onion',
+      '2 cloves garlic',
+      '400 g chopped tomatoes',
+      '4 courgettes',
+      '1 tsp dried oregano',
+    ],
+    steps: [
+      'Brown the mince, then add the onion and garlic.',
+      'Add the tomatoes and oregano and simmer for 20 minutes.',
+      'Spiralise the courgettes and warm them briefly in a pan.',
+      'Serve the sauce over the courgette noodles.',
+    ],
+    createdAt: '2024-09-02T10:00:00.000Z',
+  },
+  {
+    id: '22',
+    name: 'Avocado Egg Salad',
+    description: 'Creamy egg salad made with avocado instead of mayonnaise.',
+    image: image('Egg Salad'),
+    cuisine: 'American',
+    diet: 'Keto',
+    difficulty: 'Easy',
+    cookTime: 15,
+    servings: 2,
+    tags: ['lunch', 'low-carb'],
+    ingredients: [
+      '4 eggs',
+      '1 avocado',
+      '1 tsp dijon mustard',
+      '1 lemon',
+      '1 tbsp chives',
+    ],
+    steps: [
+      'Hard boil the eggs for 9 minutes, cool and peel.',
+      'Mash the avocado with the mustard and lemon juice.',
+      'Chop the eggs and fold through with the chives.',
+    ],
+    createdAt: '2024-09-18T10:00:00.000Z',
+  },
+  {
+    id: '23',
+    name: 'Shakshuka',
+    description: 'Eggs poached in a smoky pepper and tomato sauce.',
+    image: image('Shakshuka'),
+    cuisine: 'Mediterranean',
+    diet: 'Gluten-Free',
+    difficulty: 'Easy',
+    cookTime: 30,
+    servings: 2,
+    tags: ['breakfast', 'one-pot'],
+    ingredients: [
+      '1 onion',
+      '2 red peppers',
+      '2 cloves garlic',
+      '1 tsp smoked paprika',
+      '400 g chopped tomatoes',
+      '4 eggs',
+    ],
+    steps: [
+      'Soften the onion and peppers, then add the garlic and paprika.',
+      'Add the tomatoes and simmer for 10 minutes.',
+      'Make four wells, crack in the eggs, cover and cook until just set.',
+    ],
+    createdAt: '2024-10-05T10:00:00.000Z',
+  },
+  {
+    id: '24',
+    name: 'Tiramisu',
+    description: 'Layers of coffee-soaked sponge and mascarpone cream, dusted with cocoa.',
+    image: image('Tiramisu'),
+    cuisine: 'Italian',
+    diet: 'Vegetarian',
+    difficulty: 'Medium',
+    cookTime: 30,
+    servings: 6,
+    tags: ['dessert', 'make-ahead'],
+    ingredients: [
+      '250 g mascarpone',
+      '3 eggs',
+      '75 g sugar',
+      '200 ml strong coffee',
+      '200 g ladyfingers',
+      '2 tbsp cocoa powder',
+    ],
+    steps: [
+      'Whisk the yolks with the sugar, then beat in the mascarpone.',
+      'Whisk the whites to soft peaks and fold them in.',
+      'Dip the ladyfingers in coffee and layer with the cream.',
+      'Chill for at least 4 hours and dust with cocoa.',
+    ],
+    createdAt: '2024-10-20T10:00:00.000Z',
+  },
+]);
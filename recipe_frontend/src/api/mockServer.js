@@ -0,0 +1,242 @@
+/**
+ * In-browser mock backend for developing without the API server
+ * Enabled with REACT_APP_MOCK_API=true. Requests never reach the network: the client
+ * asks mockFetch for a Response-like object instead, so caching, retries and error
+ * typing behave exactly as they do against the real backend.
+ *
+ * Optional settings:
+ * - REACT_APP_MOCK_API_LATENCY: milliseconds to wait before answering (default 300)
+ * - REACT_APP_MOCK_API_ERROR_RATE: share of requests, 0 to 1, answered with a 503 (default 0)
+ *
+ * Created, updated and deleted recipes are kept in memory until the page reloads.
+ */
+import { matchesFilters } from '../utils/filters';
+import { parsePantryInput, rankByPantry } from '../utils/pantry';
+import { sortRecipes } from '../utils/sorting';
+import { MOCK_RECIPES } from './mockRecipes';
+import { sleep } from './retry';
+
+const DEFAULT_LATENCY_MS = 300;
+const DEFAULT_PAGE_SIZE = 12;
+
+// Recipes as changed by mock POST/PUT/DELETE requests
+let recipes = MOCK_RECIPES.map(recipe => ({ ...recipe }));
+let nextId = recipes.length + 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether API requests are answered by the mock backend
+ * @returns {boolean} True when REACT_APP_MOCK_API is "true"
+ */
+export const isMockApiEnabled = () => process.env.REACT_APP_MOCK_API === 'true';
+
+// PUBLIC_INTERFACE
+/**
+ * Restore the fixture catalog, discarding changes made through the mock API
+ */
+export const resetMockData = () => {
+  recipes = MOCK_RECIPES.map(recipe => ({ ...recipe }));
+  nextId = recipes.length + 1;
+};
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Setting
+ */
+const numberSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Build an object with the parts of a fetch Response the client reads
+ * @param {number} status - HTTP status
+ * @param {any} [body] - JSON body
+ * @returns {Object} Response-like object
+ */
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: () => null },
+  json: async () => body,
+  text: async () => (body === undefined ? '' : JSON.stringify(body)),
+});
+
+const notFound = (path) => respond(404, { message: `No mock route for ${path}` });
+
+const slug = (label) => label.toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Options for one category, taken from the values used in the catalog
+ * @param {string} field - Recipe field, e.g. 'cuisine'
+ * @returns {Array<{value: string, label: string}>} Options sorted by label
+ */
+const categoryOptions = (field) => {
+  const labels = [...new Set(recipes.flatMap(recipe => recipe[field] || []))].sort();
+  return labels.map(label => ({ value: slug(label), label }));
+};
+
+/**
+ * Answer GET /categories
+ * @returns {Object} Response-like object
+ */
+const getCategories = () => respond(200, {
+  cuisines: categoryOptions('cuisine'),
+  diets: categoryOptions('diet'),
+  difficulties: ['Easy', 'Medium', 'Hard'].map(label => ({ value: slug(label), label })),
+  tags: categoryOptions('tags'),
+  times: ['15', '30', '45', '60', '90', '120'],
+});
+
+/**
+ * Whether a recipe matches a free-text search in its name, description, cuisine, tags or ingredients
+ * @param {Object} recipe - Recipe
+ * @param {string} search - Search text
+ * @returns {boolean} True if every word is found
+ */
+const matchesSearch = (recipe, search) => {
+  const text = [
+    recipe.name,
+    recipe.description,
+    recipe.cuisine,
+    ...(recipe.tags || []),
+    ...(recipe.ingredients || []),
+  ].join(' ').toLowerCase();
+  return search.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+/**
+ * Answer GET /recipes, including the ids, search, filter, sort, pantry and paging parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} Response-like object
+ */
+const listRecipes = (params) => {
+  if (params.has('ids')) {
+    const ids = params.get('ids').split(',');
+    return respond(200, { recipes: recipes.filter(recipe => ids.includes(recipe.id)) });
+  }
+
+  const filters = Object.fromEntries(params.entries());
+  const search = params.get('search') || '';
+  let results = recipes.filter(recipe => matchesFilters(recipe, filters) && (!search || matchesSearch(recipe, search)));
+
+  const pantry = parsePantryInput(params.get('pantry') || '');
+  if (pantry.length > 0) {
+    results = rankByPantry(results, pantry).map(({ pantryMatch, ...recipe }) => ({
+      ...recipe,
+      matchedIngredients: pantryMatch.matched,
+      missingIngredients: pantryMatch.missing,
+      coverage: pantryMatch.coverage,
+    }));
+  } else {
+    results = sortRecipes(results, params.get('sort'));
+  }
+
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  const pageSize = Math.max(1, parseInt(params.get('pageSize'), 10) || DEFAULT_PAGE_SIZE);
+  const start = (page - 1) * pageSize;
+
+  return respond(200, {
+    recipes: results.slice(start, start + pageSize),
+    total: results.length,
+    page,
+    hasMore: start + pageSize < results.length,
+  });
+};
+
+/**
+ * Field errors for a recipe body, in the shape ValidationError reads
+ * @param {Object} body - Submitted recipe
+ * @returns {Object|null} Messages keyed by field, or null if valid
+ */
+const validateRecipe = (body) => {
+  const errors = {};
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) {
+    errors.name = ['Name is required'];
+  }
+  if (!body || !Array.isArray(body.ingredients) || body.ingredients.length === 0) {
+    errors.ingredients = ['At least one ingredient is required'];
+  }
+  if (!body || !Array.isArray(body.steps) || body.steps.length === 0) {
+    errors.steps = ['At least one step is required'];
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Route a request to its mock handler
+ * @param {string} method - HTTP method
+ * @param {string} path - Path without the query string
+ * @param {URLSearchParams} params - Query parameters
+ * @param {any} body - Parsed request body
+ * @returns {Object} Response-like object
+ */
+const route = (method, path, params, body) => {
+  const [resource, id, ...rest] = path.split('/').filter(Boolean);
+
+  if (resource === 'categories' && !id && method === 'GET') return getCategories();
+  if (resource !== 'recipes' || rest.length > 0) return notFound(path);
+
+  if (!id) {
+    if (method === 'GET') return listRecipes(params);
+    if (method === 'POST') {
+      const errors = validateRecipe(body);
+      if (errors) return respond(422, { message: 'Recipe is invalid', errors });
+      const created = { ...body, id: String(nextId), createdAt: new Date().toISOString() };
+      nextId += 1;
+      recipes = [created, ...recipes];
+      return respond(201, created);
+    }
+    return respond(405, { message: `${method} is not allowed on /recipes` });
+  }
+
+  if (id === 'featured' && method === 'GET') {
+    return respond(200, recipes.filter(recipe => recipe.featured));
+  }
+
+  const existing = recipes.find(recipe => recipe.id === id);
+  if (!existing) return respond(404, { message: `Recipe ${id} not found` });
+
+  if (method === 'GET') return respond(200, existing);
+  if (method === 'PUT') {
+    const errors = validateRecipe(body);
+    if (errors) return respond(422, { message: 'Recipe is invalid', errors });
+    const updated = { ...body, id };
+    recipes = recipes.map(recipe => (recipe.id === id ? updated : recipe));
+    return respond(200, updated);
+  }
+  if (method === 'DELETE') {
+    recipes = recipes.filter(recipe => recipe.id !== id);
+    return respond(204);
+  }
+  return respond(405, { message: `${method} is not allowed on /recipes/${id}` });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Answer an API request from the fixture catalog, after the configured latency
+ * Supported: GET /categories, GET /recipes (search, filters, sort, pantry, ids, page,
+ * pageSize), GET /recipes/featured, and GET, PUT and DELETE /recipes/:id, POST /recipes.
+ * @param {string} endpoint - API endpoint, e.g. '/recipes?search=curry'
+ * @param {RequestInit} [init] - Fetch options (method, body, signal)
+ * @returns {Promise<Object>} Response-like object (ok, status, headers.get, json, text)
+ */
+export const mockFetch = async (endpoint, { method = 'GET', body, signal } = {}) => {
+  await sleep(numberSetting('REACT_APP_MOCK_API_LATENCY', DEFAULT_LATENCY_MS), signal);
+
+  if (Math.random() < numberSetting('REACT_APP_MOCK_API_ERROR_RATE', 0)) {
+    return respond(503, { message: 'Simulated mock API failure' });
+  }
+
+  const [path, query = ''] = endpoint.split('?');
+  let data;
+  try {
+    data = body ? JSON.parse(body) : undefined;
+  } catch {
+    return respond(400, { message: 'Request body is not valid JSON' });
+  }
+  return route(method.toUpperCase(), path, new URLSearchParams(query), data);
+};
@@ -0,0 +1,62 @@
+import { fetchRecipes, fetchRecipeById, createRecipe, NotFoundError, ValidationError } from './client';
+import { mockFetch, resetMockData } from './mockServer';
+import { MOCK_RECIPES } from './mockRecipes';
+
+const ORIGINAL_ENV = { ...process.env };
+
+beforeEach(() => {
+  process.env.REACT_APP_MOCK_API = 'true';
+  process.env.REACT_APP_MOCK_API_LATENCY = '0';
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  resetMockData();
+});
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('serves filtered, paginated recipes without touching the network', async () => {
+  const italian = MOCK_RECIPES.filter(recipe => recipe.cuisine === 'Italian');
+
+  const first = await fetchRecipes({ cuisine: ['italian'] }, '', 1, 2);
+  const second = await fetchRecipes({ cuisine: ['italian'] }, '', 2, 2);
+
+  expect(first.total).toBe(italian.length);
+  expect(first.hasMore).toBe(true);
+  expect([...first.recipes, ...second.recipes].every(recipe => recipe.cuisine === 'Italian')).toBe(true);
+  expect(second.hasMore).toBe(italian.length > 4);
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+test('searches text and applies diet and time limits together', async () => {
+  const result = await fetchRecipes({ diet: ['vegan'], maxTime: '30' }, 'soy', 1, 12);
+
+  expect(result.recipes.length).toBeGreaterThan(0);
+  result.recipes.forEach((recipe) => {
+    expect(recipe.diet).toBe('Vegan');
+    expect(recipe.cookTime).toBeLessThanOrEqual(30);
+    expect(JSON.stringify(recipe).toLowerCase()).toContain('soy');
+  });
+});
+
+test('returns typed errors for unknown recipes and invalid writes', async () => {
+  await expect(fetchRecipeById('nope')).rejects.toBeInstanceOf(NotFoundError);
+
+  const error = await createRecipe({ name: ' ' }).catch(err => err);
+  expect(error).toBeInstanceOf(ValidationError);
+  expect(Object.keys(error.fieldErrors).sort()).toEqual(['ingredients', 'name', 'steps']);
+
+  const created = await createRecipe({ name: 'Toast', ingredients: ['bread'], steps: ['Toast it'] });
+  expect(await fetchRecipeById(created.id)).toMatchObject({ name: 'Toast' });
+});
+
+test('simulates failures at the configured error rate', async () => {
+  process.env.REACT_APP_MOCK_API_ERROR_RATE = '1';
+
+  const response = await mockFetch('/recipes/featured');
+
+  expect(response.status).toBe(503);
+});
@@ -0,0 +1,91 @@
+/**
+ * Retry with exponential backoff for idempotent API requests
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Default retry settings
+ * - retries: extra attempts after the first one
+ * - baseDelay: delay before the first retry (doubles each attempt)
+ * - maxDelay: upper bound for a computed backoff delay
+ * - maxRetryAfter: longest server-requested (Retry-After) wait we are willing to honour
+ */
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+  maxRetryAfter: 30000,
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Compute the backoff delay for an attempt, with jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Retry options (baseDelay, maxDelay)
+ * @returns {number} Delay in milliseconds
+ */
+export const backoffDelay = (attempt, { baseDelay, maxDelay } = DEFAULT_RETRY_OPTIONS) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // Jitter between 50% and 100% of the delay spreads out retries from many clients
+  return Math.round(exponential * (0.5 + Math.random() / 2));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>} Resolves after the delay
+ */
+export const sleep = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The request was aborted', 'AbortError');
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    };
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Run an operation, retrying transient failures with exponential backoff
+ * A `retryAfter` (ms) on the thrown error takes precedence over the computed delay.
+ * @param {Function} operation - Function receiving the attempt number and returning a promise
+ * @param {Object} options - Retry options
+ * @param {Function} options.shouldRetry - Predicate deciding whether an error is retryable
+ * @param {AbortSignal} [options.signal] - Stops waiting between attempts when aborted
+ * @param {number} [options.retries] - Extra attempts after the first one
+ * @returns {Promise<any>} Result of the first successful attempt
+ */
+export const withRetry = async (operation, { shouldRetry, signal, ...overrides } = {}) => {
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...overrides };
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= options.retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const retryAfter = typeof error.retryAfter === 'number' ? error.retryAfter : null;
+      if (retryAfter !== null && retryAfter > options.maxRetryAfter) {
+        throw error;
+      }
+
+      await sleep(retryAfter !== null ? retryAfter : backoffDelay(attempt, options), signal);
+    }
+  }
+};
@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import './CollectionPicker.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Popover for choosing which favorite collections a recipe belongs to
+ * Closes on Escape or a click outside. Clicks inside are kept from reaching
+ * surrounding links (e.g. the recipe card), which is why it uses plain buttons
+ * rather than a form.
+ * @param {Object} props - Component props
+ * @param {Object} props.recipe - Recipe being organised
+ * @param {Function} props.onClose - Called when the picker should close
+ * @param {React.RefObject} [props.anchorRef] - Button that toggles the picker; presses on it are left to its own handler
+ * @param {string} [props.className] - Extra class for positioning
+ * @returns {JSX.Element} CollectionPicker component
+ */
+const CollectionPicker = ({ recipe, onClose, anchorRef, className = '' }) => {
+  const {
+    collections,
+    isFavorite,
+    addToCollection,
+    removeFromCollection,
+    createCollection,
+    removeFavorite,
+  } = useAppContext();
+  const [newName, setNewName] = useState('');
+  const recipeId = recipe.id;
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (containerRef.current && containerRef.current.contains(e.target)) return;
+      if (anchorRef && anchorRef.current && anchorRef.current.contains(e.target)) return;
+      onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose, anchorRef]);
+
+  /**
+   * Keep clicks inside the popover from following an enclosing link
+   * @param {React.MouseEvent} e - Click event
+   */
+  const handleContainerClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  /**
+   * Add or remove the recipe from a collection
+   * @param {Object} collection - Collection to toggle
+   */
+  const handleToggle = (collection) => {
+    if (collection.recipeIds.includes(recipeId)) {
+      removeFromCollection(collection.id, recipeId);
+    } else {
+      addToCollection(collection.id, recipeId, recipe);
+    }
+  };
+
+  /**
+   * Create a collection and put the recipe in it
+   */
+  const handleCreate = () => {
+    const id = createCollection(newName);
+    if (id) {
+      addToCollection(id, recipeId, recipe);
+      setNewName('');
+    }
+  };
+
+  /**
+   * Remove the recipe from every collection and close
+   */
+  const handleRemoveAll = () => {
+    removeFavorite(recipeId);
+    onClose();
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`collection-picker ${className}`}
+      role="dialog"
+      aria-label="Save to collections"
+      onClick={handleContainerClick}
+    >
+      <p className="collection-picker-title">Save to…</p>
+      <ul className="collection-picker-list">
+        {collections.map((collection) => {
+          const included = collection.recipeIds.includes(recipeId);
+          return (
+            <li key={collection.id}>
+              <button
+                type="button"
+                className={`collection-picker-option ${included ? 'selected' : ''}`}
+                onClick={() => handleToggle(collection)}
+                aria-pressed={included}
+              >
+                <span className="collection-picker-check" aria-hidden="true">
+                  {included ? '✓' : ''}
+                </span>
+                <span className="collection-picker-name">{collection.name}</span>
+                <span className="collection-picker-count">{collection.recipeIds.length}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="collection-picker-form">
+        <input
+          type="text"
+          className="collection-picker-input"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          placeholder="New collection"
+          aria-label="New collection name"
+          maxLength={50}
+        />
+        <button
+          type="button"
+          className="collection-picker-add"
+          onClick={handleCreate}
+          disabled={!newName.trim()}
+        >
+          Add
+        </button>
+      </div>
+
+      {isFavorite(recipeId) && (
+        <button type="button" className="collection-picker-remove" onClick={handleRemoveAll}>
+          Remove from all collections
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CollectionPicker;
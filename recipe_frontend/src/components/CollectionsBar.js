@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { DEFAULT_COLLECTION_ID } from '../utils/collections';
+import './CollectionsBar.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Value of the "All" tab, which shows every favorited recipe
+ */
+export const ALL_COLLECTIONS = 'all';
+
+// PUBLIC_INTERFACE
+/**
+ * Collection tabs with create, rename and delete actions for the Favorites page
+ * @param {Object} props - Component props
+ * @param {string} props.activeId - Selected collection ID or ALL_COLLECTIONS
+ * @param {Function} props.onSelect - Called with the collection ID to show
+ * @returns {JSX.Element} CollectionsBar component
+ */
+const CollectionsBar = ({ activeId, onSelect }) => {
+  const { collections, favorites, createCollection, renameCollection, deleteCollection } = useAppContext();
+  // 'create' | 'rename' | null
+  const [editMode, setEditMode] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const activeCollection = collections.find(collection => collection.id === activeId);
+
+  /**
+   * Open the name input for creating or renaming
+   * @param {string} mode - 'create' or 'rename'
+   */
+  const startEditing = (mode) => {
+    setEditMode(mode);
+    setDraftName(mode === 'rename' && activeCollection ? activeCollection.name : '');
+  };
+
+  /**
+   * Close the name input without saving
+   */
+  const cancelEditing = () => {
+    setEditMode(null);
+    setDraftName('');
+  };
+
+  /**
+   * Save the name input
+   * @param {React.FormEvent} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draftName.trim()) return;
+
+    if (editMode === 'create') {
+      const id = createCollection(draftName);
+      if (id) onSelect(id);
+    } else if (editMode === 'rename' && activeCollection) {
+      renameCollection(activeCollection.id, draftName);
+    }
+    cancelEditing();
+  };
+
+  /**
+   * Delete the selected collection after confirmation
+   */
+  const handleDelete = () => {
+    if (!activeCollection) return;
+    const confirmed = window.confirm(
+      `Delete "${activeCollection.name}"? Recipes that are only in this collection will be removed from your favorites.`
+    );
+    if (confirmed) {
+      deleteCollection(activeCollection.id);
+      onSelect(ALL_COLLECTIONS);
+    }
+  };
+
+  return (
+    <div className="collections-bar">
+      <div className="collections-tabs" role="tablist" aria-label="Collections">
+        <button
+          type="button"
+          role="tab"
+          className={`collection-tab ${activeId === ALL_COLLECTIONS ? 'active' : ''}`}
+          aria-selected={activeId === ALL_COLLECTIONS}
+          onClick={() => onSelect(ALL_COLLECTIONS)}
+        >
+          All <span className="collection-tab-count">{favorites.length}</span>
+        </button>
+        {collections.map(collection => (
+          <button
+            key={collection.id}
+            type="button"
+            role="tab"
+            className={`collection-tab ${activeId === collection.id ? 'active' : ''}`}
+            aria-selected={activeId === collection.id}
+            onClick={() => onSelect(collection.id)}
+          >
+            {collection.name} <span className="collection-tab-count">{collection.recipeIds.length}</span>
+          </button>
+        ))}
+      </div>
+
+      {editMode ? (
+        <form className="collections-edit-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="collections-edit-input"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            placeholder="Collection name"
+            aria-label="Collection name"
+            maxLength={50}
+            autoFocus
+          />
+          <button type="submit" className="collections-action primary" disabled={!draftName.trim()}>
+            {editMode === 'create' ? 'Create' : 'Save'}
+          </button>
+          <button type="button" className="collections-action" onClick={cancelEditing}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <div className="collections-actions">
+          <button type="button" className="collections-action" onClick={() => startEditing('create')}>
+            + New collection
+          </button>
+          {activeCollection && (
+            <button type="button" className="collections-action" onClick={() => startEditing('rename')}>
+              Rename
+            </button>
+          )}
+          {activeCollection && activeCollection.id !== DEFAULT_COLLECTION_ID && (
+            <button type="button" className="collections-action" onClick={handleDelete}>
+              Delete
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionsBar;
@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useTimers } from '../hooks/useTimers';
+import { useWakeLock } from '../hooks/useWakeLock';
+import { formatClock, splitDurations } from '../utils/durations';
+import { convertTemperatures, displayIngredientLine } from '../utils/unitConversion';
+import './CookMode.css';
+
+// Horizontal travel in pixels before a touch counts as a swipe
+const SWIPE_THRESHOLD = 50;
+
+// PUBLIC_INTERFACE
+/**
+ * Full-screen, one-step-at-a-time view of a recipe's instructions
+ * Arrow keys and horizontal swipes move between steps and Escape exits. Durations
+ * in a step become timer buttons, and the screen is kept awake while open.
+ * @param {Object} props - Component props
+ * @param {Object} props.recipe - Recipe with a non-empty steps array
+ * @param {number} [props.scale] - Factor to multiply ingredient quantities by
+ * @param {string} [props.unitSystem] - Unit system for ingredients and temperatures
+ * @param {Function} props.onClose - Called to leave cook mode
+ * @returns {JSX.Element} CookMode component
+ */
+const CookMode = ({ recipe, scale = 1, unitSystem, onClose }) => {
+  const { steps } = recipe;
+  const [stepIndex, setStepIndex] = useState(0);
+  const [checked, setChecked] = useState(() => new Set());
+  const [showIngredients, setShowIngredients] = useState(false);
+  const { timers, startTimer, toggleTimer, dismissTimer } = useTimers();
+  const containerRef = useRef(null);
+  const touchStartRef = useRef(null);
+
+  useWakeLock(true);
+
+  const ingredients = useMemo(
+    () => (recipe.ingredients || []).map(line => displayIngredientLine(line, scale, unitSystem)),
+    [recipe.ingredients, scale, unitSystem]
+  );
+
+  const segments = useMemo(
+    () => splitDurations(convertTemperatures(steps[stepIndex] || '', unitSystem)),
+    [steps, stepIndex, unitSystem]
+  );
+
+  const isLastStep = stepIndex >= steps.length - 1;
+
+  const goToStep = useCallback((index) => {
+    setStepIndex(Math.min(Math.max(index, 0), Math.max(steps.length - 1, 0)));
+  }, [steps.length]);
+
+  // Go full screen where allowed, and stop the page behind from scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    container.focus();
+    if (container.requestFullscreen) {
+      container.requestFullscreen().catch(() => {});
+    }
+
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      if (document.fullscreenElement && document.exitFullscreen) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      } else if (['ArrowRight', 'ArrowDown', 'PageDown'].includes(event.key)) {
+        event.preventDefault();
+        setStepIndex(index => Math.min(index + 1, Math.max(steps.length - 1, 0)));
+      } else if (['ArrowLeft', 'ArrowUp', 'PageUp'].includes(event.key)) {
+        event.preventDefault();
+        setStepIndex(index => Math.max(index - 1, 0));
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, steps.length]);
+
+  const handleTouchStart = (event) => {
+    const touch = event.touches[0];
+    touchStartRef.current = { x: touch.clientX, y: touch.clientY };
+  };
+
+  const handleTouchEnd = (event) => {
+    const start = touchStartRef.current;
+    touchStartRef.current = null;
+    if (!start) return;
+
+    const touch = event.changedTouches[0];
+    const deltaX = touch.clientX - start.x;
+    const deltaY = touch.clientY - start.y;
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+    goToStep(deltaX < 0 ? stepIndex + 1 : stepIndex - 1);
+  };
+
+  const toggleIngredient = (index) => {
+    setChecked((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="cook-mode"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`Cook mode: ${recipe.name}`}
+      tabIndex={-1}
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+    >
+      <header className="cook-mode-header">
+        <h2 className="cook-mode-title">{recipe.name}</h2>
+        {ingredients.length > 0 && (
+          <button
+            type="button"
+            className={`cook-mode-header-button ${showIngredients ? 'active' : ''}`}
+            onClick={() => setShowIngredients(prev => !prev)}
+            aria-expanded={showIngredients}
+          >
+            🛒 Ingredients ({checked.size}/{ingredients.length})
+          </button>
+        )}
+        <button
+          type="button"
+          className="cook-mode-header-button"
+          onClick={onClose}
+          aria-label="Exit cook mode"
+        >
+          ✕
+        </button>
+      </header>
+
+      <div className="cook-mode-progress" aria-hidden="true">
+        <div
+          className="cook-mode-progress-bar"
+          style={{ width: `${steps.length ? ((stepIndex + 1) / steps.length) * 100 : 0}%` }}
+        />
+      </div>
+
+      <div className="cook-mode-body">
+        {showIngredients && (
+          <aside className="cook-mode-ingredients" aria-label="Ingredient checklist">
+            <ul className="cook-mode-checklist">
+              {ingredients.map((line, index) => (
+                <li key={index}>
+                  <label className={`cook-mode-check ${checked.has(index) ? 'checked' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={checked.has(index)}
+                      onChange={() => toggleIngredient(index)}
+                    />
+                    <span>{line}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </aside>
+        )}
+
+        <section className="cook-mode-step" aria-live="polite">
+          <p className="cook-mode-step-count">
+            Step {stepIndex + 1} of {steps.length}
+          </p>
+          <p className="cook-mode-step-text">
+            {segments.map((segment, index) => (
+              segment.seconds ? (
+                <button
+                  key={index}
+                  type="button"
+                  className="cook-mode-duration"
+                  onClick={() => startTimer(
+                    `${stepIndex}-${index}`,
+                    `Step ${stepIndex + 1}: ${segment.text}`,
+                    segment.seconds
+                  )}
+                  title="Start a timer"
+                >
+                  ⏱ {segment.text}
+                </button>
+              ) : (
+                <React.Fragment key={index}>{segment.text}</React.Fragment>
+              )
+            ))}
+          </p>
+        </section>
+      </div>
+
+      {timers.length > 0 && (
+        <ul className="cook-mode-timers" aria-label="Timers">
+          {timers.map(timer => (
+            <li
+              key={timer.id}
+              className={`cook-mode-timer ${timer.status}`}
+              role={timer.status === 'done' ? 'alert' : undefined}
+            >
+              <span className="cook-mode-timer-label">{timer.label}</span>
+              <span className="cook-mode-timer-clock">
+                {timer.status === 'done' ? 'Done!' : formatClock(timer.remaining)}
+              </span>
+              {timer.status !== 'done' && (
+                <button
+                  type="button"
+                  className="cook-mode-timer-button"
+                  onClick={() => toggleTimer(timer.id)}
+                >
+                  {timer.status === 'paused' ? 'Resume' : 'Pause'}
+                </button>
+              )}
+              <button
+                type="button"
+                className="cook-mode-timer-button"
+                onClick={() => dismissTimer(timer.id)}
+                aria-label={`Dismiss timer ${timer.label}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <footer className="cook-mode-nav">
+        <button
+          type="button"
+          className="cook-mode-nav-button"
+          onClick={() => goToStep(stepIndex - 1)}
+          disabled={stepIndex === 0}
+        >
+          ← Previous
+        </button>
+        <button
+          type="button"
+          className="cook-mode-nav-button primary"
+          onClick={() => (isLastStep ? onClose() : goToStep(stepIndex + 1))}
+        >
+          {isLastStep ? 'Finish' : 'Next →'}
+        </button>
+      </footer>
+    </div>
+  );
+};
+
+export default CookMode;
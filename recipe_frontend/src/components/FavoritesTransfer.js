@@ -0,0 +1,264 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { fetchRecipesByIds, isAbortError } from '../api/client';
+import { collectRecipeIds } from '../utils/collections';
+import { downloadFile } from '../utils/download';
+import { isLocalRecipeId } from '../utils/localRecipes';
+import {
+  FavoritesFileError,
+  buildFavoritesExport,
+  parseFavoritesFile,
+  planFavoritesImport,
+} from '../utils/favoritesFile';
+import { snapshotKey } from '../utils/snapshots';
+import './FavoritesTransfer.css';
+
+// Longest list of recipe names shown in the preview before summarising
+const PREVIEW_LIMIT = 5;
+
+/**
+ * Describe a list of recipe keys using snapshot names where available
+ * @param {Array<string>} keys - Stringified recipe IDs
+ * @param {Object} snapshots - Snapshots keyed by snapshotKey
+ * @returns {string} Comma separated names, truncated to PREVIEW_LIMIT
+ */
+const describeRecipes = (keys, snapshots) => {
+  const names = keys.slice(0, PREVIEW_LIMIT).map((key) => (snapshots[key] && snapshots[key].name) || `#${key}`);
+  const rest = keys.length - PREVIEW_LIMIT;
+  return rest > 0 ? `${names.join(', ')} and ${rest} more` : names.join(', ');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Export and import actions for favorites
+ * Export downloads a versioned JSON file; import validates a file, checks its recipe
+ * IDs against the API and previews the result before merging or replacing.
+ * @returns {JSX.Element} FavoritesTransfer component
+ */
+const FavoritesTransfer = () => {
+  const { collections, snapshots, favorites, replaceFavorites } = useAppContext();
+  const fileInputRef = useRef(null);
+  const checkRef = useRef(null);
+  // { fileName, data, checking, unknownIds, unverifiedIds } while previewing an import
+  const [pendingImport, setPendingImport] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [message, setMessage] = useState(null);
+
+  // Abort the ID check if the component goes away
+  useEffect(() => () => {
+    if (checkRef.current) checkRef.current.abort();
+  }, []);
+
+  const plan = useMemo(() => {
+    if (!pendingImport) return null;
+    return planFavoritesImport(
+      { collections, snapshots },
+      pendingImport.data,
+      { mode, excludeIds: pendingImport.unknownIds }
+    );
+  }, [pendingImport, collections, snapshots, mode]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Download all collections and snapshots as a JSON file
+   */
+  const handleExport = () => {
+    const data = buildFavoritesExport(collections, snapshots);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`recipe-favorites-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+  };
+
+  /**
+   * Look up which imported recipe IDs the API no longer knows
+   * Local recipe IDs are never sent to the API, which would report them as missing.
+   * @param {Object} data - Parsed import file
+   */
+  const checkRecipeIds = async (data) => {
+    if (checkRef.current) checkRef.current.abort();
+    const controller = new AbortController();
+    checkRef.current = controller;
+
+    const ids = collectRecipeIds(data.collections).filter(id => !isLocalRecipeId(id));
+    try {
+      const result = ids.length > 0
+        ? await fetchRecipesByIds(ids, { signal: controller.signal })
+        : { missingIds: [], failedIds: [] };
+      setPendingImport(prev => prev && prev.data === data
+        ? { ...prev, checking: false, unknownIds: result.missingIds, unverifiedIds: result.failedIds }
+        : prev);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('Error checking imported recipes:', err);
+      setPendingImport(prev => prev && prev.data === data
+        ? { ...prev, checking: false, unverifiedIds: ids.map(snapshotKey) }
+        : prev);
+    }
+  };
+
+  /**
+   * Read and validate the chosen file
+   * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    // Reset so choosing the same file again still fires a change
+    e.target.value = '';
+    if (!file) return;
+
+    setMessage(null);
+    try {
+      const data = parseFavoritesFile(await file.text());
+      setMode('merge');
+      setPendingImport({ fileName: file.name, data, checking: true, unknownIds: [], unverifiedIds: [] });
+      checkRecipeIds(data);
+    } catch (err) {
+      setPendingImport(null);
+      setMessage({
+        type: 'error',
+        text: err instanceof FavoritesFileError ? err.message : 'The file could not be read.',
+      });
+    }
+  };
+
+  /**
+   * Apply the previewed import
+   */
+  const handleConfirm = () => {
+    if (!plan) return;
+    replaceFavorites({ collections: plan.collections, snapshots: plan.snapshots });
+    setMessage({
+      type: 'success',
+      text: `Imported ${plan.added.length} new recipe${plan.added.length === 1 ? '' : 's'}`
+        + (mode === 'replace' ? ', replacing your previous favorites.' : '.'),
+    });
+    setPendingImport(null);
+  };
+
+  /**
+   * Discard the previewed import
+   */
+  const handleCancel = () => {
+    if (checkRef.current) checkRef.current.abort();
+    setPendingImport(null);
+  };
+
+  const incomingSnapshots = pendingImport ? pendingImport.data.snapshots : {};
+
+  return (
+    <div className="favorites-transfer">
+      <div className="favorites-transfer-actions">
+        <button
+          type="button"
+          className="favorites-transfer-button"
+          onClick={handleExport}
+          disabled={favorites.length === 0}
+        >
+          ⬇️ Export
+        </button>
+        <button
+          type="button"
+          className="favorites-transfer-button"
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+        >
+          ⬆️ Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="favorites-transfer-input"
+          onChange={handleFileChange}
+          aria-label="Choose a favorites file to import"
+        />
+      </div>
+
+      {message && (
+        <p className={`favorites-transfer-message ${message.type}`} role={message.type === 'error' ? 'alert' : 'status'}>
+          {message.text}
+        </p>
+      )}
+
+      {pendingImport && plan && (
+        <section className="favorites-import-preview" aria-label="Import preview">
+          <h2 className="favorites-import-title">Import “{pendingImport.fileName}”</h2>
+          {pendingImport.data.exportedAt && (
+            <p className="favorites-import-meta">
+              Exported {new Date(pendingImport.data.exportedAt).toLocaleString()}
+            </p>
+          )}
+
+          <ul className="favorites-import-collections">
+            {pendingImport.data.collections.map(collection => (
+              <li key={collection.id}>
+                <strong>{collection.name}</strong> · {collection.recipeIds.length} recipe{collection.recipeIds.length === 1 ? '' : 's'}
+              </li>
+            ))}
+          </ul>
+
+          <fieldset className="favorites-import-mode">
+            <legend>How should these be added?</legend>
+            <label>
+              <input
+                type="radio"
+                name="import-mode"
+                value="merge"
+                checked={mode === 'merge'}
+                onChange={() => setMode('merge')}
+              />
+              Merge with my favorites
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="import-mode"
+                value="replace"
+                checked={mode === 'replace'}
+                onChange={() => setMode('replace')}
+              />
+              Replace my favorites
+            </label>
+          </fieldset>
+
+          <ul className="favorites-import-report">
+            <li>{plan.added.length} new recipe{plan.added.length === 1 ? '' : 's'} will be added.</li>
+            {plan.duplicates.length > 0 && (
+              <li>
+                {plan.duplicates.length} already in your favorites: {describeRecipes(plan.duplicates, incomingSnapshots)}
+              </li>
+            )}
+            {pendingImport.checking && <li>Checking recipes against the server…</li>}
+            {pendingImport.unknownIds.length > 0 && (
+              <li>
+                {pendingImport.unknownIds.length} unknown recipe{pendingImport.unknownIds.length === 1 ? '' : 's'} will be skipped: {describeRecipes(pendingImport.unknownIds, incomingSnapshots)}
+              </li>
+            )}
+            {pendingImport.unverifiedIds.length > 0 && (
+              <li>
+                {pendingImport.unverifiedIds.length} recipe{pendingImport.unverifiedIds.length === 1 ? '' : 's'} could not be checked right now and will be imported as-is.
+              </li>
+            )}
+            {mode === 'replace' && (
+              <li>Your current collections will be replaced.</li>
+            )}
+          </ul>
+
+          <div className="favorites-import-actions">
+            <button
+              type="button"
+              className="favorites-transfer-button primary"
+              onClick={handleConfirm}
+              disabled={pendingImport.checking}
+            >
+              {mode === 'replace' ? 'Replace favorites' : 'Merge favorites'}
+            </button>
+            <button type="button" className="favorites-transfer-button" onClick={handleCancel}>
+              Cancel
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default FavoritesTransfer;
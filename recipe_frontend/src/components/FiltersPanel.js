@@ -1,5 +1,8 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAppContext } from '../context/AppContext';
+import { useCategories } from '../hooks/useCategories';
+import { DEFAULT_FILTERS, hasActiveFilters, normalizeFilters, toggleListValue } from '../utils/filters';
+import { withSelectedOption } from '../utils/categories';
 import './FiltersPanel.css';
 
 // PUBLIC_INTERFACE
@@ -10,13 +13,32 @@ import './FiltersPanel.css';
  * @returns {JSX.Element} FiltersPanel component
  */
 const FiltersPanel = ({ onFilterChange }) => {
-  const { filters, updateFilters, resetFilters } = useAppContext();
+  const { filters: rawFilters, updateFilters, resetFilters } = useAppContext();
+  const { categories, loading } = useCategories();
+  const [tagInput, setTagInput] = useState('');
+
+  const filters = normalizeFilters(rawFilters);
+  // Servings as typed; applied on blur or Enter so one edit makes one filter change
+  const [servingsInput, setServingsInput] = useState({
+    minServings: filters.minServings,
+    maxServings: filters.maxServings,
+  });
+
+  // Reflect external changes (URL hydration, back/forward navigation, reset) in the inputs
+  useEffect(() => {
+    setServingsInput({ minServings: filters.minServings, maxServings: filters.maxServings });
+  }, [filters.minServings, filters.maxServings]);
+  const cuisineOptions = withSelectedOption(categories.cuisines, filters.cuisine, 'cuisines');
+  const dietOptions = withSelectedOption(categories.diets, filters.diet, 'diets');
+  const difficultyOptions = withSelectedOption(categories.difficulties, filters.difficulty, 'difficulties');
+  const timeOptions = withSelectedOption(categories.times, filters.maxTime, 'times');
+  const suggestedTags = categories.tags.filter((option) => !filters.tags.includes(option.value));
 
   // PUBLIC_INTERFACE
   /**
    * Handle filter change
    * @param {string} filterName - Name of the filter
-   * @param {string} value - New value for the filter
+   * @param {string|Array<string>} value - New value for the filter
    */
   const handleFilterChange = (filterName, value) => {
     const newFilters = { [filterName]: value };
@@ -26,26 +48,97 @@ const FiltersPanel = ({ onFilterChange }) => {
     }
   };
 
+  // PUBLIC_INTERFACE
+  /**
+   * Toggle a single value of a list filter
+   * @param {string} filterName - Name of the list filter
+   * @param {string} value - Value to add or remove
+   */
+  const handleToggle = (filterName, value) => {
+    handleFilterChange(filterName, toggleListValue(filters[filterName], value));
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Apply a typed servings bound if it differs from the active filter
+   * @param {string} filterName - 'minServings' or 'maxServings'
+   */
+  const commitServings = (filterName) => {
+    if (servingsInput[filterName] !== filters[filterName]) {
+      handleFilterChange(filterName, servingsInput[filterName]);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Apply a servings bound when Enter is pressed
+   * @param {React.KeyboardEvent<HTMLInputElement>} e - Keyboard event
+   * @param {string} filterName - 'minServings' or 'maxServings'
+   */
+  const handleServingsKeyDown = (e, filterName) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    commitServings(filterName);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add the typed tag when Enter or comma is pressed
+   * @param {React.KeyboardEvent<HTMLInputElement>} e - Keyboard event
+   */
+  const handleTagKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ',') return;
+    e.preventDefault();
+
+    const tag = tagInput.trim().replace(/,/g, '');
+    if (tag && !filters.tags.includes(tag)) {
+      handleFilterChange('tags', [...filters.tags, tag]);
+    }
+    setTagInput('');
+  };
+
   // PUBLIC_INTERFACE
   /**
    * Handle reset filters
    */
   const handleReset = () => {
     resetFilters();
+    setTagInput('');
     if (onFilterChange) {
-      onFilterChange({ cuisine: '', diet: '', maxTime: '' });
+      onFilterChange({ ...DEFAULT_FILTERS });
     }
   };
 
-  const hasActiveFilters = filters.cuisine || filters.diet || filters.maxTime;
+  /**
+   * Render a group of checkboxes for a list filter
+   * @param {string} filterName - Name of the list filter
+   * @param {Array<Object>} options - Options with value and label
+   * @returns {JSX.Element} Checkbox list
+   */
+  const renderCheckboxes = (filterName, options) => (
+    <div className="filter-options">
+      {options.map((option) => (
+        <label key={option.value} className="filter-checkbox">
+          <input
+            type="checkbox"
+            checked={filters[filterName].includes(option.value)}
+            onChange={() => handleToggle(filterName, option.value)}
+          />
+          <span>{option.label}</span>
+        </label>
+      ))}
+    </div>
+  );
+
+  const filtersActive = hasActiveFilters(filters);
 
   return (
-    <div className="filters-panel" role="group" aria-label="Recipe filters">
+    <div className="filters-panel" role="group" aria-label="Recipe filters" aria-busy={loading}>
       <div className="filters-header">
         <h3 className="filters-title">🎯 Filters</h3>
-        {hasActiveFilters && (
-          <button 
-            className="filters-reset" 
+        {filtersActive && (
+          <button
+            className="filters-reset"
             onClick={handleReset}
             aria-label="Reset all filters"
           >
@@ -54,50 +147,21 @@ const FiltersPanel = ({ onFilterChange }) => {
         )}
       </div>
 
-      <div className="filter-group">
-        <label htmlFor="cuisine-filter" className="filter-label">
-          🌍 Cuisine
-        </label>
-        <select
-          id="cuisine-filter"
-          className="filter-select"
-          value={filters.cuisine}
-          onChange={(e) => handleFilterChange('cuisine', e.target.value)}
-          aria-label="Filter by cuisine"
-        >
-          <option value="">All Cuisines</option>
-          <option value="italian">Italian</option>
-          <option value="mexican">Mexican</option>
-          <option value="chinese">Chinese</option>
-          <option value="indian">Indian</option>
-          <option value="japanese">Japanese</option>
-          <option value="american">American</option>
-          <option value="french">French</option>
-          <option value="thai">Thai</option>
-          <option value="mediterranean">Mediterranean</option>
-        </select>
-      </div>
+      <fieldset className="filter-group">
+        <legend className="filter-label">🌍 Cuisine</legend>
+        {renderCheckboxes('cuisine', cuisineOptions)}
+      </fieldset>
 
-      <div className="filter-group">
-        <label htmlFor="diet-filter" className="filter-label">
-          🥗 Diet
-        </label>
-        <select
-          id="diet-filter"
-          className="filter-select"
-          value={filters.diet}
-          onChange={(e) => handleFilterChange('diet', e.target.value)}
-          aria-label="Filter by diet type"
-        >
-          <option value="">All Diets</option>
-          <option value="vegetarian">Vegetarian</option>
-          <option value="vegan">Vegan</option>
-          <option value="gluten-free">Gluten-Free</option>
-          <option value="keto">Keto</option>
-          <option value="paleo">Paleo</option>
-          <option value="dairy-free">Dairy-Free</option>
-        </select>
-      </div>
+      <fieldset className="filter-group">
+        <legend className="filter-label">🥗 Diet</legend>
+        <p className="filter-hint">Recipes must match every selected diet</p>
+        {renderCheckboxes('diet', dietOptions)}
+      </fieldset>
+
+      <fieldset className="filter-group">
+        <legend className="filter-label">📊 Difficulty</legend>
+        {renderCheckboxes('difficulty', difficultyOptions)}
+      </fieldset>
 
       <div className="filter-group">
         <label htmlFor="time-filter" className="filter-label">
@@ -111,14 +175,83 @@ const FiltersPanel = ({ onFilterChange }) => {
           aria-label="Filter by maximum cooking time"
         >
           <option value="">Any Time</option>
-          <option value="15">15 minutes</option>
-          <option value="30">30 minutes</option>
-          <option value="45">45 minutes</option>
-          <option value="60">1 hour</option>
-          <option value="90">1.5 hours</option>
-          <option value="120">2 hours</option>
+          {timeOptions.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
         </select>
       </div>
+
+      <fieldset className="filter-group">
+        <legend className="filter-label">🍽️ Servings</legend>
+        <div className="filter-range">
+          <input
+            type="number"
+            min="1"
+            className="filter-input"
+            placeholder="Min"
+            value={servingsInput.minServings}
+            onChange={(e) => setServingsInput(prev => ({ ...prev, minServings: e.target.value }))}
+            onBlur={() => commitServings('minServings')}
+            onKeyDown={(e) => handleServingsKeyDown(e, 'minServings')}
+            aria-label="Minimum servings"
+          />
+          <span className="filter-range-separator" aria-hidden="true">–</span>
+          <input
+            type="number"
+            min="1"
+            className="filter-input"
+            placeholder="Max"
+            value={servingsInput.maxServings}
+            onChange={(e) => setServingsInput(prev => ({ ...prev, maxServings: e.target.value }))}
+            onBlur={() => commitServings('maxServings')}
+            onKeyDown={(e) => handleServingsKeyDown(e, 'maxServings')}
+            aria-label="Maximum servings"
+          />
+        </div>
+      </fieldset>
+
+      <fieldset className="filter-group">
+        <legend className="filter-label">🏷️ Tags</legend>
+        {filters.tags.length > 0 && (
+          <div className="filter-chips">
+            {filters.tags.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                className="filter-chip active"
+                onClick={() => handleToggle('tags', tag)}
+                aria-label={`Remove tag ${tag}`}
+              >
+                {tag} ✕
+              </button>
+            ))}
+          </div>
+        )}
+        <input
+          type="text"
+          className="filter-input"
+          placeholder="Type a tag and press Enter"
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          onKeyDown={handleTagKeyDown}
+          aria-label="Add tag filter"
+        />
+        {suggestedTags.length > 0 && (
+          <div className="filter-chips">
+            {suggestedTags.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                className="filter-chip"
+                onClick={() => handleToggle('tags', option.value)}
+                aria-label={`Add tag ${option.label}`}
+              >
+                + {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </fieldset>
     </div>
   );
 };
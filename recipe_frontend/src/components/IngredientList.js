@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import { UNIT_SYSTEMS, displayIngredientLine } from '../utils/unitConversion';
+
+// PUBLIC_INTERFACE
+/**
+ * Ingredient list that rescales quantities and converts units
+ * Lines the parser does not understand are shown exactly as written.
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.ingredients - Ingredient lines
+ * @param {number} [props.scale] - Factor to multiply quantities by
+ * @param {string} [props.unitSystem] - One of UNIT_SYSTEMS
+ * @returns {JSX.Element} IngredientList component
+ */
+const IngredientList = ({ ingredients, scale = 1, unitSystem = UNIT_SYSTEMS.original }) => {
+  const lines = useMemo(
+    () => ingredients.map(line => displayIngredientLine(line, scale, unitSystem)),
+    [ingredients, scale, unitSystem]
+  );
+
+  return (
+    <ul className="ingredients-list">
+      {lines.map((line, index) => (
+        <li key={index} className="ingredient-item">
+          <span className="ingredient-bullet">•</span>
+          {line}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default IngredientList;
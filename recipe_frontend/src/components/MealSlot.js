@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { totalCookTime } from '../utils/planner';
+import { PLANNER_DRAG_TYPE } from './PlannerRecipeSource';
+import './MealSlot.css';
+
+// PUBLIC_INTERFACE
+/**
+ * One meal in the planner grid: its recipes, total cook time and a drop target
+ * Planned recipes can be dragged to other slots.
+ * @param {Object} props - Component props
+ * @param {string} props.slotKey - Slot key from slotKey(day, meal)
+ * @param {string} props.label - Accessible name, e.g. "Monday dinner"
+ * @param {Array<Object>} props.recipes - Planned recipes
+ * @param {Function} props.onDropRecipe - Called with ({ recipe, fromKey }) when a recipe is dropped here
+ * @param {Function} props.onRemove - Called with a recipe ID to take it off this meal
+ * @param {Function} props.onAdd - Called to open the recipe picker for this slot
+ * @returns {JSX.Element} MealSlot component
+ */
+const MealSlot = ({ slotKey, label, recipes = [], onDropRecipe, onRemove, onAdd }) => {
+  const [dragOver, setDragOver] = useState(false);
+  const cookTime = totalCookTime(recipes);
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(PLANNER_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = e.dataTransfer.effectAllowed === 'move' ? 'move' : 'copy';
+    setDragOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    try {
+      onDropRecipe(JSON.parse(e.dataTransfer.getData(PLANNER_DRAG_TYPE)));
+    } catch (err) {
+      console.error('Ignoring invalid planner drop:', err);
+    }
+  };
+
+  const handleDragStart = (e, recipe) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(PLANNER_DRAG_TYPE, JSON.stringify({ recipe, fromKey: slotKey }));
+  };
+
+  return (
+    <div
+      className={`meal-slot ${dragOver ? 'drag-over' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => {
+        // Moving over the slot's own children also fires dragleave
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+      }}
+      onDrop={handleDrop}
+      aria-label={label}
+      role="group"
+    >
+      {recipes.map(recipe => (
+        <div
+          key={recipe.id}
+          className="meal-slot-recipe"
+          draggable
+          onDragStart={e => handleDragStart(e, recipe)}
+        >
+          <Link to={`/recipe/${recipe.id}`} className="meal-slot-recipe-name">{recipe.name}</Link>
+          <button
+            type="button"
+            className="meal-slot-remove"
+            onClick={() => onRemove(recipe.id)}
+            aria-label={`Remove ${recipe.name} from ${label}`}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      {cookTime > 0 && (
+        <span className="meal-slot-time" aria-label={`Total cook time: ${cookTime} minutes`}>
+          ⏱ {cookTime} min
+        </span>
+      )}
+      <button
+        type="button"
+        className="meal-slot-add"
+        onClick={onAdd}
+        aria-label={`Add a recipe to ${label}`}
+      >
+        +
+      </button>
+    </div>
+  );
+};
+
+export default MealSlot;
@@ -1,16 +1,20 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
 import './NavBar.css';
 
 // PUBLIC_INTERFACE
 /**
- * Navigation bar component with branding, navigation links, and favorites badge
+ * Navigation bar component with branding, navigation links, and favorites and shopping list badges
+ * Shows a banner while the browser is offline.
  * @returns {JSX.Element} NavBar component
  */
 const NavBar = () => {
-  const { favorites } = useAppContext();
+  const { favorites, shoppingList } = useAppContext();
+  const shoppingCount = shoppingList.recipes.length;
   const location = useLocation();
+  const online = useOnlineStatus();
 
   return (
     <nav className="navbar" role="navigation" aria-label="Main navigation">
@@ -44,8 +48,64 @@ const NavBar = () => {
                 </span>
               )}
           </Link>
+
+          <Link
+            to="/planner"
+            className={`nav-link ${location.pathname === '/planner' ? 'active' : ''}`}
+            aria-current={location.pathname === '/planner' ? 'page' : undefined}
+          >
+            <span className="link-icon">📅</span>
+            Planner
+          </Link>
+
+          <Link
+            to="/history"
+            className={`nav-link ${location.pathname === '/history' ? 'active' : ''}`}
+            aria-current={location.pathname === '/history' ? 'page' : undefined}
+          >
+            <span className="link-icon">🕘</span>
+            History
+          </Link>
+
+          <Link
+            to="/recipes/new"
+            className={`nav-link ${location.pathname === '/recipes/new' ? 'active' : ''}`}
+            aria-current={location.pathname === '/recipes/new' ? 'page' : undefined}
+          >
+            <span className="link-icon">✍️</span>
+            New
+          </Link>
+
+          <Link
+            to="/import"
+            className={`nav-link ${location.pathname === '/import' ? 'active' : ''}`}
+            aria-current={location.pathname === '/import' ? 'page' : undefined}
+          >
+            <span className="link-icon">📥</span>
+            Import
+          </Link>
+
+          <Link
+            to="/shopping-list"
+            className={`nav-link shopping-list-link ${location.pathname === '/shopping-list' ? 'active' : ''}`}
+            aria-label={`Shopping list (${shoppingCount} recipes)`}
+            aria-current={location.pathname === '/shopping-list' ? 'page' : undefined}
+          >
+            <span className="link-icon">🛒</span>
+            Shopping List
+            {shoppingCount > 0 && (
+              <span className="shopping-list-count" aria-hidden="true">
+                {shoppingCount}
+              </span>
+            )}
+          </Link>
         </div>
       </div>
+      {!online && (
+        <div className="offline-banner" role="status">
+          📴 You're offline. Recipes you've opened or favorited are still available.
+        </div>
+      )}
     </nav>
   );
 };
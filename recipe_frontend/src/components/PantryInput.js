@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { parsePantryInput } from '../utils/pantry';
+import './PantryInput.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Chip input for the ingredients the user has on hand
+ * Typing a comma or pressing Enter adds what was typed; Backspace in an empty
+ * input removes the last chip. The pantry is saved between sessions.
+ * @returns {JSX.Element} PantryInput component
+ */
+const PantryInput = () => {
+  const { pantry, updatePantry } = useAppContext();
+  const [draft, setDraft] = useState('');
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add typed ingredients to the pantry
+   * @param {string} text - One or more ingredients, comma separated
+   */
+  const addItems = (text) => {
+    const items = parsePantryInput(text);
+    if (items.length > 0) {
+      updatePantry([...pantry, ...items]);
+    }
+    setDraft('');
+  };
+
+  const handleChange = (e) => {
+    const { value } = e.target;
+    // A typed or pasted comma completes the items before it
+    if (/[,\n;]/.test(value)) {
+      const parts = value.split(/[,\n;]/);
+      const rest = parts.pop();
+      addItems(parts.join(','));
+      setDraft(rest);
+    } else {
+      setDraft(value);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addItems(draft);
+    } else if (e.key === 'Backspace' && !draft && pantry.length > 0) {
+      updatePantry(pantry.slice(0, -1));
+    }
+  };
+
+  const removeItem = (item) => {
+    updatePantry(pantry.filter(existing => existing !== item));
+  };
+
+  return (
+    <div className="pantry-input">
+      <div className="pantry-input-field">
+        <span className="pantry-input-icon" aria-hidden="true">🥕</span>
+        <ul className="pantry-chips" aria-label="Ingredients on hand">
+          {pantry.map(item => (
+            <li key={item} className="pantry-chip">
+              {item}
+              <button
+                type="button"
+                className="pantry-chip-remove"
+                onClick={() => removeItem(item)}
+                aria-label={`Remove ${item}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+        <input
+          type="text"
+          className="pantry-input-text"
+          value={draft}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => addItems(draft)}
+          placeholder={pantry.length > 0 ? 'Add more…' : 'What do you have? e.g. eggs, spinach, feta'}
+          aria-label="Add an ingredient you have"
+        />
+      </div>
+      {pantry.length > 0 && (
+        <button type="button" className="pantry-input-clear" onClick={() => updatePantry([])}>
+          Clear pantry
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PantryInput;
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import StarRating from './StarRating';
+import './PersonalNotes.css';
+
+/**
+ * Format a cook log timestamp for display
+ * @param {string} date - ISO timestamp
+ * @returns {string} Localized date
+ */
+const formatMadeOn = (date) => new Date(date).toLocaleDateString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+// PUBLIC_INTERFACE
+/**
+ * The user's own rating, notes and "made it" log for a recipe
+ * Everything is kept on this device, keyed by recipe ID. Notes save shortly after
+ * typing stops. Render with `key={recipeId}` so switching recipes starts fresh.
+ * @param {Object} props - Component props
+ * @param {string} props.recipeId - Recipe ID
+ * @returns {JSX.Element} PersonalNotes component
+ */
+const PersonalNotes = ({ recipeId }) => {
+  const { getJournalEntry, updateJournalEntry, logMadeIt, unlogMadeIt } = useAppContext();
+  const entry = getJournalEntry(recipeId);
+  const [notes, setNotes] = useState(entry.notes);
+  const [showLog, setShowLog] = useState(false);
+
+  // Blank notes are not stored, so they count as saved once the entry has none
+  const unsaved = notes !== entry.notes && Boolean(notes.trim() || entry.notes);
+
+  // Debounce saving notes
+  useEffect(() => {
+    if (!unsaved) return undefined;
+    const timeoutId = setTimeout(() => updateJournalEntry(recipeId, { notes }), 500);
+    return () => clearTimeout(timeoutId);
+  }, [unsaved, notes, recipeId, updateJournalEntry]);
+
+  const madeCount = entry.madeOn.length;
+  const lastMade = madeCount > 0 ? entry.madeOn[madeCount - 1] : null;
+
+  return (
+    <div className="personal-notes">
+      <div className="personal-notes-row">
+        <span className="personal-notes-label">My rating</span>
+        <StarRating value={entry.rating} onChange={rating => updateJournalEntry(recipeId, { rating })} />
+      </div>
+
+      <div className="personal-notes-row">
+        <button type="button" className="personal-notes-made" onClick={() => logMadeIt(recipeId)}>
+          ✓ I made this today
+        </button>
+        {madeCount > 0 && (
+          <button
+            type="button"
+            className="personal-notes-count"
+            onClick={() => setShowLog(open => !open)}
+            aria-expanded={showLog}
+          >
+            Made {madeCount === 1 ? 'once' : `${madeCount} times`}, last on {formatMadeOn(lastMade)}
+          </button>
+        )}
+      </div>
+
+      {showLog && madeCount > 0 && (
+        <ul className="personal-notes-log" aria-label="Times you made this recipe">
+          {[...entry.madeOn].reverse().map(date => (
+            <li key={date} className="personal-notes-log-item">
+              {formatMadeOn(date)}
+              <button
+                type="button"
+                className="personal-notes-log-remove"
+                onClick={() => unlogMadeIt(recipeId, date)}
+                aria-label={`Remove ${formatMadeOn(date)} from your log`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label className="personal-notes-label" htmlFor={`personal-notes-${recipeId}`}>
+        My notes
+      </label>
+      <textarea
+        id={`personal-notes-${recipeId}`}
+        className="personal-notes-text"
+        value={notes}
+        onChange={e => setNotes(e.target.value)}
+        onBlur={() => {
+          if (unsaved) updateJournalEntry(recipeId, { notes });
+        }}
+        placeholder="Your tweaks, e.g. “use half the chili”"
+        rows={4}
+      />
+    </div>
+  );
+};
+
+export default PersonalNotes;
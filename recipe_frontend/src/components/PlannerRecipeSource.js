@@ -0,0 +1,150 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { fetchRecipes, isAbortError } from '../api/client';
+import './PlannerRecipeSource.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Drag data type used when a recipe is dragged onto the meal planner
+ */
+export const PLANNER_DRAG_TYPE = 'application/x-recipe-plan';
+
+const TABS = [
+  { id: 'favorites', label: '❤️ Favorites' },
+  { id: 'search', label: '🔍 Search' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * List of recipes to plan, from favorites or a recipe search
+ * Items can be dragged onto planner slots, or chosen with a click when `onSelect` is given.
+ * The search starts from the query last used on Home.
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSelect] - Called with a recipe when it is clicked
+ * @returns {JSX.Element} PlannerRecipeSource component
+ */
+const PlannerRecipeSource = ({ onSelect }) => {
+  const { favorites, getSnapshot, searchQuery } = useAppContext();
+  const [tab, setTab] = useState(searchQuery ? 'search' : 'favorites');
+  const [query, setQuery] = useState(searchQuery);
+  const [submittedQuery, setSubmittedQuery] = useState(searchQuery);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Favorites are listed from their saved snapshots, so this works offline too
+  const favoriteRecipes = useMemo(
+    () => favorites.map(id => getSnapshot(id)).filter(Boolean),
+    [favorites, getSnapshot]
+  );
+
+  useEffect(() => {
+    if (!submittedQuery) {
+      setResults([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    fetchRecipes({}, submittedQuery, 1, 12, { signal: controller.signal })
+      .then(result => setResults(result.recipes))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error('Error searching recipes for planner:', err);
+        setError(err.message || 'Search failed');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [submittedQuery]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmittedQuery(query.trim());
+  };
+
+  const handleDragStart = (e, recipe) => {
+    e.dataTransfer.effectAllowed = 'copy';
+    e.dataTransfer.setData(PLANNER_DRAG_TYPE, JSON.stringify({ recipe }));
+  };
+
+  const recipes = tab === 'favorites' ? favoriteRecipes : results;
+
+  let emptyText = null;
+  if (tab === 'favorites' && recipes.length === 0) {
+    emptyText = 'Favorite some recipes to plan them from here.';
+  } else if (tab === 'search' && !loading && !error && recipes.length === 0) {
+    emptyText = submittedQuery ? 'No recipes found.' : 'Search for a recipe to plan.';
+  }
+
+  return (
+    <div className="planner-source">
+      <div className="planner-source-tabs" role="tablist">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            role="tab"
+            aria-selected={tab === id}
+            className={`planner-source-tab ${tab === id ? 'active' : ''}`}
+            onClick={() => setTab(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'search' && (
+        <form className="planner-source-search" onSubmit={handleSubmit} role="search">
+          <input
+            type="search"
+            className="planner-source-input"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder="Search recipes..."
+            aria-label="Search recipes to plan"
+          />
+          <button type="submit" className="planner-source-submit">Search</button>
+        </form>
+      )}
+
+      {loading && tab === 'search' && <p className="planner-source-note">Searching…</p>}
+      {error && tab === 'search' && <p className="planner-source-note" role="alert">⚠️ {error}</p>}
+      {emptyText && <p className="planner-source-note">{emptyText}</p>}
+
+      <ul className="planner-source-list">
+        {recipes.map(recipe => (
+          <li
+            key={recipe.id}
+            className="planner-source-item"
+            draggable
+            onDragStart={e => handleDragStart(e, recipe)}
+          >
+            {onSelect ? (
+              <button
+                type="button"
+                className="planner-source-recipe"
+                onClick={() => onSelect(recipe)}
+                title={`Plan ${recipe.name}`}
+              >
+                <span className="planner-source-name">{recipe.name}</span>
+                {recipe.cookTime && <span className="planner-source-time">⏱ {recipe.cookTime} min</span>}
+              </button>
+            ) : (
+              <div className="planner-source-recipe" title="Drag onto a meal">
+                <span className="planner-source-name">{recipe.name}</span>
+                {recipe.cookTime && <span className="planner-source-time">⏱ {recipe.cookTime} min</span>}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PlannerRecipeSource;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { RATING_FILTERS } from '../utils/journal';
+import './RatingFilter.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Filter recipes by the user's own star rating
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected RATING_FILTERS value
+ * @param {Function} props.onChange - Called with the new value
+ * @returns {JSX.Element} RatingFilter component
+ */
+const RatingFilter = ({ value, onChange }) => (
+  <div className="rating-filter">
+    <label htmlFor="rating-filter-select" className="rating-filter-label">
+      ⭐ Rating
+    </label>
+    <select
+      id="rating-filter-select"
+      className="rating-filter-select"
+      value={value}
+      onChange={e => onChange(e.target.value)}
+    >
+      {RATING_FILTERS.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default RatingFilter;
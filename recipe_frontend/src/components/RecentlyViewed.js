@@ -0,0 +1,45 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAppContext } from '../context/AppContext';
+import './RecentlyViewed.css';
+
+// Recipes shown in the strip; the rest are on the history page
+const STRIP_SIZE = 8;
+
+// PUBLIC_INTERFACE
+/**
+ * Horizontal strip of the recipes opened most recently
+ * Renders nothing until a recipe has been viewed.
+ * @returns {JSX.Element|null} RecentlyViewed component
+ */
+const RecentlyViewed = () => {
+  const { history } = useAppContext();
+
+  if (history.length === 0) return null;
+
+  return (
+    <section className="recently-viewed" aria-labelledby="recently-viewed-heading">
+      <div className="recently-viewed-header">
+        <h2 id="recently-viewed-heading" className="recently-viewed-title">🕘 Recently Viewed</h2>
+        <Link to="/history" className="recently-viewed-all">See all</Link>
+      </div>
+      <ul className="recently-viewed-list">
+        {history.slice(0, STRIP_SIZE).map(visit => (
+          <li key={visit.id} className="recently-viewed-item">
+            <Link to={`/recipe/${visit.id}`} className="recently-viewed-link">
+              <img
+                src={visit.image || 'https://via.placeholder.com/400x300?text=Recipe'}
+                alt=""
+                className="recently-viewed-image"
+                loading="lazy"
+              />
+              <span className="recently-viewed-name">{visit.name}</span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default RecentlyViewed;
@@ -1,28 +1,39 @@
-import React from 'react';
+import React, { useCallback, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
+import CollectionPicker from './CollectionPicker';
+import ShoppingListButton from './ShoppingListButton';
 import './RecipeCard.css';
 
 // PUBLIC_INTERFACE
 /**
  * Recipe card component for displaying recipe summary in a grid
  * @param {Object} props - Component props
- * @param {Object} props.recipe - Recipe data object
+ * @param {Object} props.recipe - Recipe data object; a `pantryMatch` (see utils/pantry) lists what is missing
  * @returns {JSX.Element} RecipeCard component
  */
 const RecipeCard = ({ recipe }) => {
-  const { isFavorite, toggleFavorite } = useAppContext();
+  const { isFavorite, addFavorite, getJournalEntry } = useAppContext();
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const favoriteButtonRef = useRef(null);
   const favorited = isFavorite(recipe.id);
+  const { rating } = getJournalEntry(recipe.id);
+
+  const closePicker = useCallback(() => setPickerOpen(false), []);
 
   // PUBLIC_INTERFACE
   /**
    * Handle favorite button click
+   * Saves to the default collection right away and opens the collection picker.
    * @param {React.MouseEvent} e - Click event
    */
   const handleFavoriteClick = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    toggleFavorite(recipe.id);
+    if (!pickerOpen && !favorited) {
+      addFavorite(recipe.id, recipe);
+    }
+    setPickerOpen(open => !open);
   };
 
   return (
@@ -35,21 +46,45 @@ const RecipeCard = ({ recipe }) => {
           loading="lazy"
         />
         <button 
+          ref={favoriteButtonRef}
           className={`favorite-button ${favorited ? 'favorited' : ''}`}
           onClick={handleFavoriteClick}
-          aria-label={favorited ? 'Remove from favorites' : 'Add to favorites'}
+          aria-label={favorited ? 'Edit collections' : 'Add to favorites'}
+          aria-expanded={pickerOpen}
         >
           {favorited ? '❤️' : '🤍'}
         </button>
+        <ShoppingListButton recipe={recipe} compact />
+        {rating && (
+          <span className="recipe-rating-badge" aria-label={`Your rating: ${rating} of 5 stars`}>
+            ★ {rating}
+          </span>
+        )}
         {recipe.cookTime && (
           <span className="recipe-time-badge" aria-label={`Cooking time: ${recipe.cookTime} minutes`}>
             ⏱️ {recipe.cookTime} min
           </span>
         )}
       </div>
+
+      {pickerOpen && (
+        <CollectionPicker
+          recipe={recipe}
+          onClose={closePicker}
+          anchorRef={favoriteButtonRef}
+        />
+      )}
       
       <div className="recipe-card-content">
         <h3 className="recipe-card-title">{recipe.name}</h3>
+
+        {recipe.pantryMatch && (
+          <p className={`recipe-pantry-match ${recipe.pantryMatch.missing.length === 0 ? 'complete' : ''}`}>
+            {recipe.pantryMatch.missing.length === 0
+              ? '✓ You have everything'
+              : `Missing ${recipe.pantryMatch.missing.length}: ${recipe.pantryMatch.missing.join(', ')}`}
+          </p>
+        )}
         
         {recipe.description && (
           <p className="recipe-card-description">
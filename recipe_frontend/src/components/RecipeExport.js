@@ -0,0 +1,111 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { downloadFile } from '../utils/download';
+import { EXPORT_FORMATS, recipeFileName } from '../utils/recipeExport';
+import './RecipeExport.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Export menu for a recipe
+ * Copies or downloads the recipe as Markdown, plain text or JSON-LD, or prints it.
+ * The menu closes on Escape or a click outside.
+ * @param {Object} props - Component props
+ * @param {Object} props.recipe - Recipe to export
+ * @returns {JSX.Element} RecipeExport component
+ */
+const RecipeExport = ({ recipe }) => {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Copy the recipe in a format to the clipboard
+   * @param {Object} format - One of EXPORT_FORMATS
+   */
+  const handleCopy = async (format) => {
+    try {
+      await navigator.clipboard.writeText(format.build(recipe));
+      setStatus(`${format.label} copied to clipboard.`);
+    } catch (err) {
+      console.error('Error copying recipe:', err);
+      setStatus("Couldn't copy. Try downloading instead.");
+    }
+  };
+
+  const handleDownload = (format) => {
+    downloadFile(`${recipeFileName(recipe)}.${format.extension}`, format.build(recipe), format.type);
+    setStatus(null);
+  };
+
+  const handlePrint = () => {
+    setOpen(false);
+    window.print();
+  };
+
+  return (
+    <div className="recipe-export" ref={containerRef}>
+      <button
+        type="button"
+        className="recipe-export-toggle"
+        onClick={() => {
+          setOpen(value => !value);
+          setStatus(null);
+        }}
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        ⤓ Export
+      </button>
+      {open && (
+        <div className="recipe-export-menu">
+          <ul className="recipe-export-formats">
+            {EXPORT_FORMATS.map(format => (
+              <li key={format.id} className="recipe-export-format">
+                <span className="recipe-export-label">{format.label}</span>
+                <button
+                  type="button"
+                  className="recipe-export-action"
+                  onClick={() => handleCopy(format)}
+                  aria-label={`Copy as ${format.label}`}
+                >
+                  Copy
+                </button>
+                <button
+                  type="button"
+                  className="recipe-export-action"
+                  onClick={() => handleDownload(format)}
+                  aria-label={`Download as ${format.label}`}
+                >
+                  Download
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="recipe-export-print" onClick={handlePrint}>
+            🖨 Print recipe
+          </button>
+          {status && <p className="recipe-export-status" role="status">{status}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecipeExport;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { moveItem } from '../utils/recipeForm';
+import './ReorderableList.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Editable list of text rows that can be reordered by dragging or with the arrow buttons
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID prefix for the row inputs; the first row gets `${id}-0`
+ * @param {string} props.itemLabel - Name of one row for labels, e.g. "Ingredient"
+ * @param {Array<string>} props.items - Rows
+ * @param {Function} props.onChange - Called with the new rows
+ * @param {boolean} [props.multiline] - Use a text area for each row
+ * @param {string} [props.placeholder] - Placeholder for empty rows
+ * @param {string} [props.errorId] - ID of the element describing a validation error
+ * @returns {JSX.Element} ReorderableList component
+ */
+const ReorderableList = ({ id, itemLabel, items, onChange, multiline = false, placeholder, errorId }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const updateItem = (index, value) => {
+    onChange(items.map((item, i) => (i === index ? value : item)));
+  };
+
+  // The last row is cleared rather than removed so there is always somewhere to type
+  const removeItem = (index) => {
+    onChange(items.length > 1 ? items.filter((_, i) => i !== index) : ['']);
+  };
+
+  const endDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null) onChange(moveItem(items, dragIndex, index));
+    endDrag();
+  };
+
+  const Field = multiline ? 'textarea' : 'input';
+
+  return (
+    <div className="reorderable-list">
+      <ol className="reorderable-rows">
+        {items.map((item, index) => (
+          <li
+            key={index}
+            className={[
+              'reorderable-row',
+              dragIndex === index ? 'dragging' : '',
+              dropIndex === index && dragIndex !== index ? 'drop-target' : '',
+            ].join(' ').trim()}
+            onDragOver={(e) => {
+              if (dragIndex === null) return;
+              e.preventDefault();
+              setDropIndex(index);
+            }}
+            onDrop={e => handleDrop(e, index)}
+          >
+            <span
+              className="reorderable-handle"
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                setDragIndex(index);
+              }}
+              onDragEnd={endDrag}
+              title="Drag to reorder"
+              aria-hidden="true"
+            >
+              ⋮⋮
+            </span>
+            <span className="reorderable-number" aria-hidden="true">{index + 1}</span>
+            <Field
+              id={`${id}-${index}`}
+              className="reorderable-input"
+              value={item}
+              onChange={e => updateItem(index, e.target.value)}
+              placeholder={placeholder}
+              aria-label={`${itemLabel} ${index + 1}`}
+              aria-describedby={errorId}
+              {...(multiline ? { rows: 2 } : { type: 'text' })}
+            />
+            <div className="reorderable-actions">
+              <button
+                type="button"
+                className="reorderable-button"
+                onClick={() => onChange(moveItem(items, index, index - 1))}
+                disabled={index === 0}
+                aria-label={`Move ${itemLabel.toLowerCase()} ${index + 1} up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="reorderable-button"
+                onClick={() => onChange(moveItem(items, index, index + 1))}
+                disabled={index === items.length - 1}
+                aria-label={`Move ${itemLabel.toLowerCase()} ${index + 1} down`}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="reorderable-button remove"
+                onClick={() => removeItem(index)}
+                aria-label={`Remove ${itemLabel.toLowerCase()} ${index + 1}`}
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <button type="button" className="reorderable-add" onClick={() => onChange([...items, ''])}>
+        + Add {itemLabel.toLowerCase()}
+      </button>
+    </div>
+  );
+};
+
+export default ReorderableList;
@@ -1,20 +1,32 @@
 import React, { useState, useEffect } from 'react';
 import { useAppContext } from '../context/AppContext';
+import PantryInput from './PantryInput';
 import './SearchBar.css';
 
 // PUBLIC_INTERFACE
 /**
  * Search bar component with debounced input
+ * With `allowPantry`, a switch offers a pantry mode where the user lists the
+ * ingredients they have instead of typing a query.
  * @param {Object} props - Component props
  * @param {Function} props.onSearch - Callback when search is triggered
+ * @param {boolean} [props.allowPantry] - Offer the pantry mode
  * @returns {JSX.Element} SearchBar component
  */
-const SearchBar = ({ onSearch }) => {
-  const { searchQuery, setSearchQuery } = useAppContext();
+const SearchBar = ({ onSearch, allowPantry = false }) => {
+  const { searchQuery, setSearchQuery, searchMode, setSearchMode } = useAppContext();
+  const pantryMode = allowPantry && searchMode === 'pantry';
   const [localQuery, setLocalQuery] = useState(searchQuery);
 
+  // Reflect external changes (URL hydration, back/forward navigation) in the input
+  useEffect(() => {
+    setLocalQuery(searchQuery);
+  }, [searchQuery]);
+
   // Debounce search query updates
   useEffect(() => {
+    if (localQuery === searchQuery) return;
+
     const timeoutId = setTimeout(() => {
       setSearchQuery(localQuery);
       if (onSearch) {
@@ -23,7 +35,7 @@ const SearchBar = ({ onSearch }) => {
     }, 500);
 
     return () => clearTimeout(timeoutId);
-  }, [localQuery, setSearchQuery, onSearch]);
+  }, [localQuery, searchQuery, setSearchQuery, onSearch]);
 
   // PUBLIC_INTERFACE
   /**
@@ -48,26 +60,50 @@ const SearchBar = ({ onSearch }) => {
 
   return (
     <div className="search-bar" role="search">
-      <div className="search-input-wrapper">
-        <span className="search-icon" aria-hidden="true">🔍</span>
-        <input
-          type="text"
-          className="search-input"
-          placeholder="Search for recipes, ingredients, or cuisines..."
-          value={localQuery}
-          onChange={handleChange}
-          aria-label="Search recipes"
-        />
-        {localQuery && (
-          <button 
-            className="search-clear" 
-            onClick={handleClear}
-            aria-label="Clear search"
+      {allowPantry && (
+        <div className="search-mode" role="group" aria-label="Search mode">
+          <button
+            type="button"
+            className={`search-mode-button ${pantryMode ? '' : 'active'}`}
+            aria-pressed={!pantryMode}
+            onClick={() => setSearchMode('text')}
+          >
+            🔍 Search
+          </button>
+          <button
+            type="button"
+            className={`search-mode-button ${pantryMode ? 'active' : ''}`}
+            aria-pressed={pantryMode}
+            onClick={() => setSearchMode('pantry')}
           >
-            ✕
+            🥕 What's in my pantry
           </button>
-        )}
-      </div>
+        </div>
+      )}
+      {pantryMode ? (
+        <PantryInput />
+      ) : (
+        <div className="search-input-wrapper">
+          <span className="search-icon" aria-hidden="true">🔍</span>
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Search for recipes, ingredients, or cuisines..."
+            value={localQuery}
+            onChange={handleChange}
+            aria-label="Search recipes"
+          />
+          {localQuery && (
+            <button 
+              className="search-clear" 
+              onClick={handleClear}
+              aria-label="Clear search"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 };
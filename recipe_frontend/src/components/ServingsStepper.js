@@ -0,0 +1,50 @@
+import React from 'react';
+import './ServingsStepper.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Stepper for choosing how many servings to cook
+ * @param {Object} props - Component props
+ * @param {number} props.value - Current servings
+ * @param {number} props.baseValue - Servings the recipe was written for
+ * @param {Function} props.onChange - Called with the new servings
+ * @param {number} [props.min] - Lowest allowed value
+ * @param {number} [props.max] - Highest allowed value
+ * @returns {JSX.Element} ServingsStepper component
+ */
+const ServingsStepper = ({ value, baseValue, onChange, min = 1, max = 99 }) => {
+  return (
+    <div className="servings-stepper" role="group" aria-label="Servings">
+      <button
+        type="button"
+        className="servings-stepper-button"
+        onClick={() => onChange(Math.max(min, value - 1))}
+        disabled={value <= min}
+        aria-label="Fewer servings"
+      >
+        −
+      </button>
+      <span className="servings-stepper-value" aria-live="polite">{value}</span>
+      <button
+        type="button"
+        className="servings-stepper-button"
+        onClick={() => onChange(Math.min(max, value + 1))}
+        disabled={value >= max}
+        aria-label="More servings"
+      >
+        +
+      </button>
+      {value !== baseValue && (
+        <button
+          type="button"
+          className="servings-stepper-reset"
+          onClick={() => onChange(baseValue)}
+        >
+          Reset to {baseValue}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ServingsStepper;
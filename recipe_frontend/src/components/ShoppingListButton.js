@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useAddToShoppingList } from '../hooks/useAddToShoppingList';
+import './ShoppingListButton.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Button that adds a recipe's ingredients to the shopping list, or removes them again
+ * Safe to use inside a card link: clicks do not navigate.
+ * @param {Object} props - Component props
+ * @param {Object} props.recipe - Recipe, with or without its ingredients loaded
+ * @param {number} [props.scale] - Factor to multiply quantities by
+ * @param {boolean} [props.compact] - Icon-only style for recipe cards
+ * @returns {JSX.Element} ShoppingListButton component
+ */
+const ShoppingListButton = ({ recipe, scale = 1, compact = false }) => {
+  const { isInShoppingList, removeFromShoppingList } = useAppContext();
+  const addToShoppingList = useAddToShoppingList();
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+  const onList = isInShoppingList(recipe.id);
+
+  const handleClick = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setError(null);
+
+    if (onList) {
+      removeFromShoppingList(recipe.id);
+      return;
+    }
+
+    setAdding(true);
+    try {
+      await addToShoppingList([recipe], scale);
+    } catch (err) {
+      console.error('Error adding to shopping list:', err);
+      setError("Couldn't load ingredients");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const label = onList ? 'Remove from shopping list' : 'Add to shopping list';
+
+  return (
+    <button
+      type="button"
+      className={`shopping-list-button ${compact ? 'compact' : ''} ${onList ? 'on-list' : ''}`}
+      onClick={handleClick}
+      disabled={adding}
+      aria-pressed={onList}
+      aria-label={compact ? label : undefined}
+      title={error || label}
+    >
+      {compact
+        ? (onList ? '✓' : '🛒')
+        : (
+          <>
+            🛒 {adding ? 'Adding…' : onList ? 'On shopping list' : 'Add to shopping list'}
+            {error && <span className="shopping-list-button-error"> · {error}</span>}
+          </>
+        )}
+    </button>
+  );
+};
+
+export default ShoppingListButton;
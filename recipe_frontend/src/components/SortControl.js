@@ -0,0 +1,38 @@
+import React from 'react';
+import { useAppContext } from '../context/AppContext';
+import { PERSONAL_SORT_OPTIONS, SORT_OPTIONS } from '../utils/sorting';
+import './SortControl.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Sort selector for recipe listings
+ * @param {Object} props - Component props
+ * @param {boolean} [props.personal] - Also offer sorts by personal data such as ratings,
+ *   for listings sorted on the client
+ * @returns {JSX.Element} SortControl component
+ */
+const SortControl = ({ personal = false }) => {
+  const { sortBy, updateSort } = useAppContext();
+  const options = personal ? [...SORT_OPTIONS, ...PERSONAL_SORT_OPTIONS] : SORT_OPTIONS;
+
+  return (
+    <div className="sort-control">
+      <label htmlFor="sort-select" className="sort-label">
+        ↕️ Sort
+      </label>
+      <select
+        id="sort-select"
+        className="sort-select"
+        value={sortBy}
+        onChange={(e) => updateSort(e.target.value)}
+        aria-label="Sort recipes"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default SortControl;
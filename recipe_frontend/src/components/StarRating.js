@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { MAX_RATING } from '../utils/journal';
+import './StarRating.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Clickable 1–5 star rating
+ * Clicking the current rating again clears it.
+ * @param {Object} props - Component props
+ * @param {number|null} props.value - Current rating, or null when unrated
+ * @param {Function} props.onChange - Called with the new rating, or null to clear it
+ * @returns {JSX.Element} StarRating component
+ */
+const StarRating = ({ value, onChange }) => {
+  // Rating under the pointer, previewed before it is clicked
+  const [hovered, setHovered] = useState(null);
+  const shown = hovered || value || 0;
+
+  return (
+    <div
+      className="star-rating"
+      role="group"
+      aria-label={value ? `Your rating: ${value} of ${MAX_RATING} stars` : 'Rate this recipe'}
+      onMouseLeave={() => setHovered(null)}
+    >
+      {Array.from({ length: MAX_RATING }, (_, index) => {
+        const stars = index + 1;
+        return (
+          <button
+            key={stars}
+            type="button"
+            className={`star-rating-star ${stars <= shown ? 'filled' : ''}`}
+            onClick={() => onChange(stars === value ? null : stars)}
+            onMouseEnter={() => setHovered(stars)}
+            aria-pressed={stars === value}
+            aria-label={`${stars} star${stars === 1 ? '' : 's'}`}
+          >
+            {stars <= shown ? '★' : '☆'}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
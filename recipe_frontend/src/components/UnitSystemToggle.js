@@ -0,0 +1,31 @@
+import React from 'react';
+import { UNIT_SYSTEM_OPTIONS } from '../utils/unitConversion';
+import './UnitSystemToggle.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Segmented control for showing measurements as written, in metric or in US units
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected unit system
+ * @param {Function} props.onChange - Called with the chosen unit system
+ * @returns {JSX.Element} UnitSystemToggle component
+ */
+const UnitSystemToggle = ({ value, onChange }) => {
+  return (
+    <div className="unit-system-toggle" role="group" aria-label="Measurement units">
+      {UNIT_SYSTEM_OPTIONS.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          className={`unit-system-option ${value === option.value ? 'active' : ''}`}
+          onClick={() => onChange(option.value)}
+          aria-pressed={value === option.value}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default UnitSystemToggle;
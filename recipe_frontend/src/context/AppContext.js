@@ -1,7 +1,53 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { DEFAULT_FILTERS } from '../utils/filters';
+import { DEFAULT_SORT } from '../utils/sorting';
+import {
+  DEFAULT_COLLECTION_ID,
+  applyCollectionsOp,
+  collectRecipeIds,
+  createDefaultCollection,
+  generateCollectionId,
+} from '../utils/collections';
+import { mergeSnapshots, snapshotKey } from '../utils/snapshots';
+import {
+  deleteSnapshot,
+  loadCollections,
+  loadSnapshots,
+  saveSnapshot,
+  updateCollections,
+} from '../storage/favoritesStore';
+import { openFavoritesChannel } from '../storage/favoritesSync';
+import { createEmptyShoppingList, loadShoppingList, saveShoppingList } from '../storage/shoppingListStore';
+import { loadMealPlan, saveMealPlan } from '../storage/mealPlanStore';
+import { loadPantry, savePantry } from '../storage/pantryStore';
+import { loadJournal, saveJournal } from '../storage/journalStore';
+import { loadHistory, saveHistory } from '../storage/historyStore';
+import { recordVisit, removeVisit } from '../utils/history';
+import { loadLocalRecipes, saveLocalRecipes } from '../storage/localRecipesStore';
+import { createLocalRecipe, isLocalRecipeId } from '../utils/localRecipes';
+import { getRecipeUrl, isMockApiEnabled } from '../api/client';
+import { cacheForOffline } from '../serviceWorkerRegistration';
+import { addMadeIt, getEntry, removeMadeIt, updateEntry } from '../utils/journal';
+import { addToSlot, copyWeekForward, moveBetweenSlots, removeFromSlot } from '../utils/planner';
+import { UNIT_SYSTEMS, isValidUnitSystem } from '../utils/unitConversion';
 
 const AppContext = createContext();
 
+const UNIT_SYSTEM_STORAGE_KEY = 'recipe_unit_system';
+
+/**
+ * Read the saved unit system, falling back to showing amounts as written
+ * @returns {string} One of UNIT_SYSTEMS
+ */
+const loadUnitSystem = () => {
+  try {
+    const saved = localStorage.getItem(UNIT_SYSTEM_STORAGE_KEY);
+    return isValidUnitSystem(saved) ? saved : UNIT_SYSTEMS.original;
+  } catch (error) {
+    return UNIT_SYSTEMS.original;
+  }
+};
+
 // PUBLIC_INTERFACE
 /**
  * Custom hook to use the App context
@@ -18,144 +64,728 @@ export const useAppContext = () => {
 // PUBLIC_INTERFACE
 /**
  * App Context Provider component
- * Manages global state for search, filters, favorites, and pagination
+ * Manages global state for search, pantry, filters, sorting, favorite collections, unit system,
+ * shopping list, meal plan, personal recipe journal, recently viewed recipes, recipes stored
+ * on this device, and pagination
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  */
 export const AppProvider = ({ children }) => {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({
-    cuisine: '',
-    diet: '',
-    maxTime: '',
-  });
-  const [favorites, setFavorites] = useState([]);
+  const [searchQuery, setSearchQueryState] = useState('');
+  // 'text' searches by keyword, 'pantry' ranks recipes by the ingredients on hand
+  const [searchMode, setSearchModeState] = useState('text');
+  const [pantry, setPantry] = useState(loadPantry);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [sortBy, setSortBy] = useState(DEFAULT_SORT);
+  const [unitSystem, setUnitSystem] = useState(loadUnitSystem);
+  // Recipes whose ingredients make up the shopping list, plus the keys of items already bought
+  const [shoppingList, setShoppingList] = useState(loadShoppingList);
+  // Weekly meal plan keyed by slotKey(day, meal)
+  const [mealPlan, setMealPlan] = useState(loadMealPlan);
+  // The user's own rating, notes and cook log, keyed by recipe ID
+  const [journal, setJournal] = useState(loadJournal);
+  // Recently viewed recipes, newest first
+  const [history, setHistory] = useState(loadHistory);
+  // Recipes saved only on this device (see utils/localRecipes), newest first
+  const [localRecipes, setLocalRecipes] = useState(loadLocalRecipes);
+  const [collections, setCollections] = useState(() => [createDefaultCollection()]);
+  // Offline copies of favorited recipes, keyed by snapshotKey(recipe.id)
+  const [snapshots, setSnapshots] = useState({});
+  // False until collections and snapshots have been read from storage
+  const [favoritesReady, setFavoritesReady] = useState(false);
+  // Snapshots as last written to storage, to persist only what changed
+  const persistedSnapshotsRef = useRef({});
   
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
   const [hasMore, setHasMore] = useState(true);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
 
-  // Load favorites from localStorage on mount
+  // Storage work runs in order, so a reload never reads before this tab's own writes land
+  const storageQueueRef = useRef(Promise.resolve());
+  // Channel to other open tabs of the app
+  const channelRef = useRef(null);
+  // Collection operations made before storage finished loading, replayed onto the loaded data
+  const pendingOpsRef = useRef([]);
+  const favoritesReadyRef = useRef(false);
+
+  /**
+   * Queue a storage task behind earlier ones
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<any>} Result of the task
+   */
+  const enqueueStorage = useCallback((task) => {
+    const run = storageQueueRef.current.then(task);
+    storageQueueRef.current = run.catch(() => {});
+    return run;
+  }, []);
+
+  /**
+   * Replace in-memory favorites with what is in storage
+   * @returns {Promise<void>} Resolves once state is updated
+   */
+  const reloadFavorites = useCallback(() => {
+    return enqueueStorage(() => Promise.all([loadCollections(), loadSnapshots()]))
+      .then(([storedCollections, storedSnapshots]) => {
+        const pendingOps = pendingOpsRef.current;
+        pendingOpsRef.current = [];
+        persistedSnapshotsRef.current = storedSnapshots;
+        setCollections(pendingOps.reduce(applyCollectionsOp, storedCollections));
+        setSnapshots(storedSnapshots);
+      });
+  }, [enqueueStorage]);
+
+  // Load collections and snapshots from storage on mount
   useEffect(() => {
-    try {
-      const storedFavorites = localStorage.getItem('recipe_favorites');
-      if (storedFavorites) {
-        setFavorites(JSON.parse(storedFavorites));
+    reloadFavorites()
+      .catch(error => {
+        pendingOpsRef.current = [];
+        console.error('Error loading favorites from storage:', error);
+      })
+      .finally(() => {
+        favoritesReadyRef.current = true;
+        setFavoritesReady(true);
+      });
+  }, [reloadFavorites]);
+
+  // Follow changes made in other tabs, and catch up on any missed while this tab was hidden
+  useEffect(() => {
+    const channel = openFavoritesChannel((message) => {
+      if (!message) return;
+      if (message.type === 'collections' && message.op) {
+        setCollections(prev => applyCollectionsOp(prev, message.op));
+        if (!favoritesReadyRef.current) pendingOpsRef.current.push(message.op);
+      } else if (message.type === 'snapshots' && favoritesReadyRef.current) {
+        reloadFavorites().catch(error => console.error('Error reloading favorites:', error));
       }
-    } catch (error) {
-      console.error('Error loading favorites from localStorage:', error);
-    }
-  }, []);
+    });
+    channelRef.current = channel;
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && favoritesReadyRef.current) {
+        reloadFavorites().catch(error => console.error('Error reloading favorites:', error));
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
 
-  // Save favorites to localStorage whenever they change
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [reloadFavorites]);
+
+  /**
+   * Apply a collections operation locally, persist it on top of the latest stored
+   * data and tell other tabs about it
+   * @param {Object} op - Operation understood by applyCollectionsOp
+   */
+  const dispatchCollectionsOp = useCallback((op) => {
+    setCollections(prev => applyCollectionsOp(prev, op));
+    if (!favoritesReadyRef.current) pendingOpsRef.current.push(op);
+
+    enqueueStorage(() => updateCollections(stored => applyCollectionsOp(stored, op)))
+      .then(() => {
+        if (channelRef.current) channelRef.current.post({ type: 'collections', op });
+      })
+      .catch(error => console.error('Error saving collections:', error));
+  }, [enqueueStorage]);
+
+  // Every recipe that belongs to at least one collection
+  const favorites = useMemo(() => collectRecipeIds(collections), [collections]);
+  const favoritesRef = useRef(favorites);
+
+  // Drop snapshots of recipes that are no longer favorited
   useEffect(() => {
-    try {
-      localStorage.setItem('recipe_favorites', JSON.stringify(favorites));
-    } catch (error) {
-      console.error('Error saving favorites to localStorage:', error);
+    favoritesRef.current = favorites;
+    if (!favoritesReady) return;
+
+    const favoriteKeys = new Set(favorites.map(snapshotKey));
+    setSnapshots(prev => {
+      const staleKeys = Object.keys(prev).filter(key => !favoriteKeys.has(key));
+      if (staleKeys.length === 0) return prev;
+      const next = { ...prev };
+      staleKeys.forEach(key => { delete next[key]; });
+      return next;
+    });
+  }, [favorites, favoritesReady]);
+
+  // Write changed snapshots, delete removed ones and let other tabs know
+  useEffect(() => {
+    if (!favoritesReady) return;
+    const previous = persistedSnapshotsRef.current;
+    persistedSnapshotsRef.current = snapshots;
+
+    const changed = Object.values(snapshots).filter(snapshot => previous[snapshot.key] !== snapshot);
+    const removedKeys = Object.keys(previous).filter(key => !snapshots[key]);
+    if (changed.length === 0 && removedKeys.length === 0) return;
+
+    enqueueStorage(() => Promise.all([
+      ...changed.map(saveSnapshot),
+      ...removedKeys.map(deleteSnapshot),
+    ]))
+      .then(() => {
+        if (channelRef.current) channelRef.current.post({ type: 'snapshots' });
+      })
+      .catch(error => console.error('Error saving recipe snapshots:', error));
+  }, [snapshots, favoritesReady, enqueueStorage]);
+
+  // Have the service worker keep favorites and their images cached so they open offline
+  useEffect(() => {
+    if (!favoritesReady || isMockApiEnabled()) return;
+    cacheForOffline({
+      recipeUrls: favorites.filter(id => !isLocalRecipeId(id)).map(getRecipeUrl),
+      imageUrls: Object.values(snapshots).map(snapshot => snapshot.image).filter(Boolean),
+    });
+  }, [favorites, snapshots, favoritesReady]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Store fresh data for favorited recipes so they can be shown offline
+   * Recipes that are not favorites are ignored.
+   * @param {Array<Object>} recipes - Recipes returned by the API
+   */
+  const refreshSnapshots = useCallback((recipes) => {
+    const favoriteKeys = new Set(favoritesRef.current.map(snapshotKey));
+    const favorited = recipes.filter(recipe => recipe && favoriteKeys.has(snapshotKey(recipe.id)));
+    if (favorited.length > 0) {
+      setSnapshots(prev => mergeSnapshots(prev, favorited));
     }
-  }, [favorites]);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get the offline snapshot of a favorited recipe
+   * @param {string|number} recipeId - Recipe ID
+   * @returns {Object|undefined} Snapshot, if one is stored
+   */
+  const getSnapshot = useCallback((recipeId) => {
+    return snapshots[snapshotKey(recipeId)];
+  }, [snapshots]);
 
   // PUBLIC_INTERFACE
   /**
-   * Add a recipe to favorites
+   * Add a recipe to the default collection
    * @param {string} recipeId - The ID of the recipe to add
+   * @param {Object} [recipe] - Recipe data to keep as an offline snapshot
    */
-  const addFavorite = (recipeId) => {
-    if (!favorites.includes(recipeId)) {
-      setFavorites([...favorites, recipeId]);
+  const addFavorite = useCallback((recipeId, recipe) => {
+    dispatchCollectionsOp({ type: 'add', collectionId: DEFAULT_COLLECTION_ID, recipeId });
+    if (recipe) {
+      setSnapshots(prev => mergeSnapshots(prev, [recipe]));
     }
-  };
+  }, [dispatchCollectionsOp]);
 
   // PUBLIC_INTERFACE
   /**
-   * Remove a recipe from favorites
+   * Remove a recipe from every collection
    * @param {string} recipeId - The ID of the recipe to remove
    */
-  const removeFavorite = (recipeId) => {
-    setFavorites(favorites.filter(id => id !== recipeId));
-  };
+  const removeFavorite = useCallback((recipeId) => {
+    dispatchCollectionsOp({ type: 'removeEverywhere', recipeId });
+  }, [dispatchCollectionsOp]);
 
   // PUBLIC_INTERFACE
   /**
    * Toggle a recipe's favorite status
+   * Unfavoriting removes the recipe from all collections.
    * @param {string} recipeId - The ID of the recipe to toggle
+   * @param {Object} [recipe] - Recipe data to keep as an offline snapshot when adding
    */
-  const toggleFavorite = (recipeId) => {
+  const toggleFavorite = useCallback((recipeId, recipe) => {
     if (favorites.includes(recipeId)) {
       removeFavorite(recipeId);
     } else {
-      addFavorite(recipeId);
+      addFavorite(recipeId, recipe);
     }
-  };
+  }, [favorites, addFavorite, removeFavorite]);
 
   // PUBLIC_INTERFACE
   /**
    * Check if a recipe is favorited
    * @param {string} recipeId - The ID of the recipe to check
-   * @returns {boolean} True if the recipe is favorited
+   * @returns {boolean} True if the recipe is in any collection
    */
-  const isFavorite = (recipeId) => {
+  const isFavorite = useCallback((recipeId) => {
     return favorites.includes(recipeId);
-  };
+  }, [favorites]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Create a new, empty collection
+   * @param {string} name - Collection name
+   * @returns {string|null} ID of the new collection, or null if the name is blank
+   */
+  const createCollection = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+
+    const id = generateCollectionId();
+    dispatchCollectionsOp({
+      type: 'create',
+      collection: { id, name: trimmed, recipeIds: [], createdAt: new Date().toISOString() },
+    });
+    return id;
+  }, [dispatchCollectionsOp]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Rename a collection
+   * @param {string} collectionId - Collection to rename
+   * @param {string} name - New name; blank names are ignored
+   */
+  const renameCollection = useCallback((collectionId, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    dispatchCollectionsOp({ type: 'rename', collectionId, name: trimmed });
+  }, [dispatchCollectionsOp]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete a collection; the default collection cannot be deleted
+   * Recipes only in this collection stop being favorites.
+   * @param {string} collectionId - Collection to delete
+   */
+  const deleteCollection = useCallback((collectionId) => {
+    if (collectionId === DEFAULT_COLLECTION_ID) return;
+    dispatchCollectionsOp({ type: 'delete', collectionId });
+  }, [dispatchCollectionsOp]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add a recipe to a collection
+   * @param {string} collectionId - Target collection
+   * @param {string} recipeId - Recipe to add
+   * @param {Object} [recipe] - Recipe data to keep as an offline snapshot
+   */
+  const addToCollection = useCallback((collectionId, recipeId, recipe) => {
+    dispatchCollectionsOp({ type: 'add', collectionId, recipeId });
+    if (recipe) {
+      setSnapshots(prev => mergeSnapshots(prev, [recipe]));
+    }
+  }, [dispatchCollectionsOp]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a recipe from a collection
+   * @param {string} collectionId - Target collection
+   * @param {string} recipeId - Recipe to remove
+   */
+  const removeFromCollection = useCallback((collectionId, recipeId) => {
+    dispatchCollectionsOp({ type: 'remove', collectionId, recipeId });
+  }, [dispatchCollectionsOp]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Replace all collections and snapshots, e.g. after importing a favorites file
+   * @param {Object} data - New favorites data
+   * @param {Array<Object>} data.collections - Collections
+   * @param {Object} data.snapshots - Snapshots keyed by snapshotKey
+   */
+  const replaceFavorites = useCallback(({ collections: nextCollections, snapshots: nextSnapshots }) => {
+    dispatchCollectionsOp({ type: 'replace', collections: nextCollections });
+    setSnapshots(nextSnapshots);
+  }, [dispatchCollectionsOp]);
+
+  useEffect(() => {
+    saveShoppingList(shoppingList);
+  }, [shoppingList]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add a recipe's ingredients to the shopping list, replacing it if already there
+   * @param {Object} recipe - Recipe with an ingredients array
+   * @param {number} [scale] - Factor to multiply quantities by, e.g. for extra servings
+   */
+  const addToShoppingList = useCallback((recipe, scale = 1) => {
+    const entry = {
+      id: String(recipe.id),
+      name: recipe.name,
+      scale,
+      ingredients: recipe.ingredients || [],
+      addedAt: new Date().toISOString(),
+    };
+    setShoppingList(prev => ({
+      ...prev,
+      recipes: prev.recipes.some(existing => existing.id === entry.id)
+        ? prev.recipes.map(existing => (existing.id === entry.id ? entry : existing))
+        : [...prev.recipes, entry],
+    }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a recipe's ingredients from the shopping list
+   * @param {string|number} recipeId - Recipe ID
+   */
+  const removeFromShoppingList = useCallback((recipeId) => {
+    setShoppingList(prev => ({
+      ...prev,
+      recipes: prev.recipes.filter(entry => entry.id !== String(recipeId)),
+    }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Check if a recipe is on the shopping list
+   * @param {string|number} recipeId - Recipe ID
+   * @returns {boolean} True if on the list
+   */
+  const isInShoppingList = useCallback((recipeId) => (
+    shoppingList.recipes.some(entry => entry.id === String(recipeId))
+  ), [shoppingList]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Check or uncheck a shopping list item
+   * @param {string} key - Item key from buildShoppingList
+   */
+  const toggleShoppingItem = useCallback((key) => {
+    setShoppingList(prev => ({
+      ...prev,
+      checked: prev.checked.includes(key)
+        ? prev.checked.filter(checkedKey => checkedKey !== key)
+        : [...prev.checked, key],
+    }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Empty the shopping list
+   */
+  const clearShoppingList = useCallback(() => {
+    setShoppingList(createEmptyShoppingList());
+  }, []);
+
+  useEffect(() => {
+    saveMealPlan(mealPlan);
+  }, [mealPlan]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Plan a recipe for a meal
+   * @param {string} key - Slot key from slotKey(day, meal)
+   * @param {Object} recipe - Recipe
+   */
+  const planRecipe = useCallback((key, recipe) => {
+    setMealPlan(prev => addToSlot(prev, key, recipe));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Take a recipe off a meal
+   * @param {string} key - Slot key
+   * @param {string} recipeId - Recipe ID
+   */
+  const unplanRecipe = useCallback((key, recipeId) => {
+    setMealPlan(prev => removeFromSlot(prev, key, recipeId));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Move a planned recipe to another meal
+   * @param {string} fromKey - Current slot key
+   * @param {string} toKey - New slot key
+   * @param {string} recipeId - Recipe ID
+   */
+  const movePlannedRecipe = useCallback((fromKey, toKey, recipeId) => {
+    setMealPlan(prev => moveBetweenSlots(prev, fromKey, toKey, recipeId));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Copy a week's plan into the following week
+   * @param {string} weekStart - Monday of the week to copy
+   */
+  const copyMealPlanForward = useCallback((weekStart) => {
+    setMealPlan(prev => copyWeekForward(prev, weekStart));
+  }, []);
+
+  useEffect(() => {
+    saveJournal(journal);
+  }, [journal]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * The journal entry for a recipe
+   * @param {string} recipeId - Recipe ID
+   * @returns {Object} Entry ({ rating, notes, madeOn }), empty when nothing is recorded
+   */
+  const getJournalEntry = useCallback((recipeId) => getEntry(journal, recipeId), [journal]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Change a recipe's rating or notes
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} changes - Fields to replace (rating, notes)
+   */
+  const updateJournalEntry = useCallback((recipeId, changes) => {
+    setJournal(prev => updateEntry(prev, recipeId, changes));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Log that a recipe was made today
+   * @param {string} recipeId - Recipe ID
+   */
+  const logMadeIt = useCallback((recipeId) => {
+    setJournal(prev => addMadeIt(prev, recipeId));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a date from a recipe's cook log
+   * @param {string} recipeId - Recipe ID
+   * @param {string} date - ISO timestamp from the entry's madeOn
+   */
+  const unlogMadeIt = useCallback((recipeId, date) => {
+    setJournal(prev => removeMadeIt(prev, recipeId, date));
+  }, []);
+
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Record that a recipe was opened
+   * @param {Object} recipe - Recipe
+   */
+  const recordRecipeView = useCallback((recipe) => {
+    setHistory(prev => recordVisit(prev, recipe));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a recipe from recently viewed
+   * @param {string} recipeId - Recipe ID
+   */
+  const removeFromHistory = useCallback((recipeId) => {
+    setHistory(prev => removeVisit(prev, recipeId));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Forget every recently viewed recipe
+   */
+  const clearHistory = useCallback(() => {
+    setHistory([]);
+  }, []);
+
+  useEffect(() => {
+    saveLocalRecipes(localRecipes);
+  }, [localRecipes]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Store a recipe on this device
+   * @param {Object} recipe - Recipe without an ID
+   * @returns {Object} Saved recipe with its local ID
+   */
+  const saveLocalRecipe = useCallback((recipe) => {
+    const saved = createLocalRecipe(recipe);
+    setLocalRecipes(prev => [saved, ...prev]);
+    return saved;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete a recipe stored on this device
+   * @param {string} recipeId - Local recipe ID
+   */
+  const deleteLocalRecipe = useCallback((recipeId) => {
+    setLocalRecipes(prev => prev.filter(recipe => recipe.id !== recipeId));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Look up a recipe stored on this device
+   * @param {string} recipeId - Local recipe ID
+   * @returns {Object|undefined} Recipe, if it exists
+   */
+  const getLocalRecipe = useCallback(
+    (recipeId) => localRecipes.find(recipe => recipe.id === String(recipeId)),
+    [localRecipes]
+  );
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update the search query and reset pagination
+   * @param {string} query - New search query
+   */
+  const setSearchQuery = useCallback((query) => {
+    setSearchQueryState(query);
+    setCurrentPage(1);
+    setHasMore(true);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Switch between keyword and pantry search, resetting pagination
+   * @param {string} mode - 'text' or 'pantry'
+   */
+  const setSearchMode = useCallback((mode) => {
+    setSearchModeState(mode === 'pantry' ? 'pantry' : 'text');
+    setCurrentPage(1);
+    setHasMore(true);
+  }, []);
+
+  useEffect(() => {
+    savePantry(pantry);
+  }, [pantry]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Replace the ingredients on hand and reset pagination
+   * @param {Array<string>} items - Normalized pantry items (see parsePantryInput)
+   */
+  const updatePantry = useCallback((items) => {
+    setPantry([...new Set(items)]);
+    setCurrentPage(1);
+    setHasMore(true);
+  }, []);
 
   // PUBLIC_INTERFACE
   /**
    * Update filter values and reset pagination
    * @param {Object} newFilters - New filter values to merge
    */
-  const updateFilters = (newFilters) => {
-    setFilters({ ...filters, ...newFilters });
+  const updateFilters = useCallback((newFilters) => {
+    setFilters(prev => ({ ...prev, ...newFilters }));
     setCurrentPage(1);
     setHasMore(true);
-  };
+  }, []);
 
   // PUBLIC_INTERFACE
   /**
    * Reset all filters to default values and reset pagination
    */
-  const resetFilters = () => {
-    setFilters({
-      cuisine: '',
-      diet: '',
-      maxTime: '',
-    });
+  const resetFilters = useCallback(() => {
+    setFilters(DEFAULT_FILTERS);
     setCurrentPage(1);
     setHasMore(true);
-  };
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update the sort order and reset pagination
+   * @param {string} sort - Sort option value
+   */
+  const updateSort = useCallback((sort) => {
+    setSortBy(sort);
+    setCurrentPage(1);
+    setHasMore(true);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Choose the unit system ingredients and temperatures are shown in
+   * @param {string} system - One of UNIT_SYSTEMS
+   */
+  const updateUnitSystem = useCallback((system) => {
+    if (!isValidUnitSystem(system)) return;
+    setUnitSystem(system);
+    try {
+      localStorage.setItem(UNIT_SYSTEM_STORAGE_KEY, system);
+    } catch (error) {
+      console.error('Failed to save unit system:', error);
+    }
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Replace search, filters, sort and page with state read from the URL
+   * @param {Object} urlState - Parsed URL state
+   * @param {string} urlState.searchQuery - Search query
+   * @param {Object} urlState.filters - Filter values
+   * @param {string} urlState.sort - Sort option value
+   * @param {number} [urlState.page] - Page number; left unchanged when omitted
+   */
+  const applyUrlState = useCallback(({ searchQuery: query, filters: newFilters, sort, page }) => {
+    setSearchQueryState(query);
+    setFilters(newFilters);
+    setSortBy(sort);
+    if (page !== undefined) {
+      setCurrentPage(page);
+    }
+    setHasMore(true);
+  }, []);
 
   // PUBLIC_INTERFACE
   /**
    * Reset pagination to initial state
    */
-  const resetPagination = () => {
+  const resetPagination = useCallback(() => {
     setCurrentPage(1);
     setHasMore(true);
     setIsLoadingMore(false);
-  };
+  }, []);
 
   // PUBLIC_INTERFACE
   /**
    * Increment page number for loading next page
    */
-  const loadNextPage = () => {
+  const loadNextPage = useCallback(() => {
     if (hasMore && !isLoadingMore) {
       setCurrentPage(prev => prev + 1);
     }
-  };
+  }, [hasMore, isLoadingMore]);
 
   const value = {
     searchQuery,
     setSearchQuery,
+    searchMode,
+    setSearchMode,
+    pantry,
+    updatePantry,
     filters,
     updateFilters,
     resetFilters,
+    sortBy,
+    updateSort,
+    unitSystem,
+    updateUnitSystem,
+    applyUrlState,
     favorites,
+    favoritesReady,
+    collections,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    addToCollection,
+    removeFromCollection,
+    replaceFavorites,
+    snapshots,
     addFavorite,
     removeFavorite,
     toggleFavorite,
     isFavorite,
+    getSnapshot,
+    refreshSnapshots,
+    shoppingList,
+    addToShoppingList,
+    removeFromShoppingList,
+    isInShoppingList,
+    toggleShoppingItem,
+    clearShoppingList,
+    mealPlan,
+    planRecipe,
+    unplanRecipe,
+    movePlannedRecipe,
+    copyMealPlanForward,
+    journal,
+    getJournalEntry,
+    updateJournalEntry,
+    logMadeIt,
+    unlogMadeIt,
+    history,
+    recordRecipeView,
+    removeFromHistory,
+    clearHistory,
+    localRecipes,
+    saveLocalRecipe,
+    deleteLocalRecipe,
+    getLocalRecipe,
     // Pagination state and actions
     currentPage,
     setCurrentPage,
@@ -0,0 +1,35 @@
+import { useCallback } from 'react';
+import { fetchRecipeById } from '../api/client';
+import { useAppContext } from '../context/AppContext';
+import { isLocalRecipeId } from '../utils/localRecipes';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook returning a function that adds recipes to the shopping list
+ * List views may only have recipe summaries, so recipes without ingredients are
+ * completed from their saved snapshot, the recipes stored on this device or the API
+ * before being added.
+ * @returns {Function} async (recipes, scale?) => number of recipes added; rejects if a
+ * fetch fails or a local recipe no longer exists
+ */
+export const useAddToShoppingList = () => {
+  const { addToShoppingList, getSnapshot, getLocalRecipe } = useAppContext();
+
+  return useCallback(async (recipes, scale = 1) => {
+    const complete = await Promise.all(recipes.map(async (recipe) => {
+      if (Array.isArray(recipe.ingredients)) return recipe;
+      const snapshot = getSnapshot(recipe.id);
+      if (snapshot && Array.isArray(snapshot.ingredients)) return snapshot;
+      // Local recipes never reach the API
+      if (isLocalRecipeId(recipe.id)) {
+        const local = getLocalRecipe(recipe.id);
+        if (!local) throw new Error(`Local recipe ${recipe.id} no longer exists`);
+        return local;
+      }
+      return fetchRecipeById(recipe.id);
+    }));
+
+    complete.forEach(recipe => addToShoppingList(recipe, scale));
+    return complete.length;
+  }, [addToShoppingList, getSnapshot, getLocalRecipe]);
+};
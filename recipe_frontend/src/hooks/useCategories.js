@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import { fetchCategories } from '../api/client';
+import { FALLBACK_CATEGORIES, normalizeCategories } from '../utils/categories';
+
+// Shared across all hook instances so /categories is requested once per session
+let categoriesPromise = null;
+
+/**
+ * Load and normalize categories, reusing the cached request
+ * A failed request is not cached so the next mount can try again.
+ * @returns {Promise<Object>} Normalized categories
+ */
+const loadCategories = () => {
+  if (!categoriesPromise) {
+    categoriesPromise = fetchCategories()
+      .then(normalizeCategories)
+      .catch((error) => {
+        categoriesPromise = null;
+        throw error;
+      });
+  }
+  return categoriesPromise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Hook providing cuisine, diet and time filter options from the categories API
+ * Falls back to a built-in option list while loading or when the endpoint fails.
+ * @returns {Object} Object with categories ({ cuisines, diets, times }), loading and error
+ */
+export const useCategories = () => {
+  const [categories, setCategories] = useState(FALLBACK_CATEGORIES);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCategories()
+      .then((data) => {
+        if (!cancelled) setCategories(data);
+      })
+      .catch((err) => {
+        console.error('Error loading categories:', err);
+        if (!cancelled) setError(err.message || 'Failed to load categories');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { categories, loading, error };
+};
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook tracking whether the browser reports a network connection
+ * @returns {boolean} False while the browser is offline
+ */
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useState } from 'react';
+import { playAlarm, primeAlarm } from '../utils/alarm';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook managing a set of countdown timers that beep when they finish
+ * Timers count against wall-clock end times, so they stay accurate if the tab
+ * is throttled in the background.
+ * @returns {Object} Timers with their remaining seconds, plus start, toggle and dismiss actions
+ */
+export const useTimers = () => {
+  const [timers, setTimers] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+
+  const hasRunning = timers.some(timer => timer.status === 'running');
+
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [hasRunning]);
+
+  // Finish timers whose end time has passed
+  useEffect(() => {
+    const finished = timers.filter(timer => timer.status === 'running' && timer.endsAt <= now);
+    if (finished.length === 0) return;
+    playAlarm();
+    setTimers(prev => prev.map(timer => (
+      finished.some(done => done.id === timer.id)
+        ? { ...timer, status: 'done', endsAt: null, remaining: 0 }
+        : timer
+    )));
+  }, [timers, now]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Start a timer, restarting it if one with the same id already exists
+   * @param {string} id - Timer id
+   * @param {string} label - Text shown with the timer
+   * @param {number} seconds - Duration in seconds
+   */
+  const startTimer = useCallback((id, label, seconds) => {
+    primeAlarm();
+    const startedAt = Date.now();
+    setNow(startedAt);
+    const timer = { id, label, duration: seconds, status: 'running', endsAt: startedAt + seconds * 1000, remaining: seconds };
+    setTimers(prev => (
+      prev.some(existing => existing.id === id)
+        ? prev.map(existing => (existing.id === id ? timer : existing))
+        : [...prev, timer]
+    ));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Pause a running timer or resume a paused one
+   * @param {string} id - Timer id
+   */
+  const toggleTimer = useCallback((id) => {
+    const current = Date.now();
+    setNow(current);
+    setTimers(prev => prev.map((timer) => {
+      if (timer.id !== id) return timer;
+      if (timer.status === 'running') {
+        return { ...timer, status: 'paused', endsAt: null, remaining: (timer.endsAt - current) / 1000 };
+      }
+      if (timer.status === 'paused') {
+        return { ...timer, status: 'running', endsAt: current + timer.remaining * 1000 };
+      }
+      return timer;
+    }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a timer
+   * @param {string} id - Timer id
+   */
+  const dismissTimer = useCallback((id) => {
+    setTimers(prev => prev.filter(timer => timer.id !== id));
+  }, []);
+
+  const withRemaining = timers.map(timer => (
+    timer.status === 'running'
+      ? { ...timer, remaining: Math.max(0, (timer.endsAt - now) / 1000) }
+      : timer
+  ));
+
+  return { timers: withRemaining, startTimer, toggleTimer, dismissTimer };
+};
@@ -0,0 +1,75 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAppContext } from '../context/AppContext';
+import { parseUrlState, serializeUrlState } from '../utils/urlState';
+
+// PUBLIC_INTERFACE
+/**
+ * Keep search query, filters, sort and (optionally) the current page in sync with the URL
+ * The URL is hydrated into context on load and on back/forward navigation; context
+ * changes are written back to the URL. Search, filter and sort changes push a new history
+ * entry, page-only changes replace the current one. Pages that don't accept personal sorts
+ * reset a personal sort left over from another page to the default.
+ * @param {Object} options - Hook options
+ * @param {boolean} options.includePage - Whether the current page is part of the URL
+ * @param {boolean} options.personal - Whether the page supports PERSONAL_SORT_OPTIONS
+ * @returns {Object} Object with isSynced, true once context reflects the current URL
+ */
+export const useUrlSync = ({ includePage = false, personal = false } = {}) => {
+  const { searchQuery, filters, sortBy, currentPage, applyUrlState } = useAppContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const urlQuery = useMemo(
+    () => serializeUrlState(parseUrlState(searchParams, { personal }), { includePage }),
+    [searchParams, includePage, personal]
+  );
+  const stateQuery = serializeUrlState(
+    { searchQuery, filters, sort: sortBy, page: currentPage },
+    { includePage }
+  );
+
+  // Latest values for the effects below without re-running them on every change
+  const stateQueryRef = useRef(stateQuery);
+  stateQueryRef.current = stateQuery;
+  const urlQueryRef = useRef(urlQuery);
+  urlQueryRef.current = urlQuery;
+
+  // URL state waiting to be applied to context; blocks writing stale state back
+  const pendingRef = useRef(null);
+
+  // URL -> context
+  useEffect(() => {
+    if (urlQuery === stateQueryRef.current) {
+      pendingRef.current = null;
+      return;
+    }
+
+    pendingRef.current = urlQuery;
+    const parsed = parseUrlState(new URLSearchParams(urlQuery), { personal });
+    applyUrlState({
+      searchQuery: parsed.searchQuery,
+      filters: parsed.filters,
+      sort: parsed.sort,
+      page: includePage ? parsed.page : undefined,
+    });
+  }, [urlQuery, includePage, personal, applyUrlState]);
+
+  // Context -> URL
+  useEffect(() => {
+    if (pendingRef.current !== null) {
+      if (stateQuery === pendingRef.current) {
+        pendingRef.current = null;
+      }
+      return;
+    }
+
+    if (stateQuery === urlQueryRef.current) return;
+
+    const pageOnly =
+      serializeUrlState(parseUrlState(new URLSearchParams(stateQuery), { personal })) ===
+      serializeUrlState(parseUrlState(new URLSearchParams(urlQueryRef.current), { personal }));
+    setSearchParams(new URLSearchParams(stateQuery), { replace: pageOnly });
+  }, [stateQuery, personal, setSearchParams]);
+
+  return { isSynced: urlQuery === stateQuery };
+};
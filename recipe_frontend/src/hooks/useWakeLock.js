@@ -0,0 +1,42 @@
+import { useEffect } from 'react';
+
+// PUBLIC_INTERFACE
+/**
+ * Keep the screen awake while `active` is true, where the Screen Wake Lock API is supported
+ * The browser drops the lock whenever the page is hidden, so it is requested again
+ * when the page becomes visible.
+ * @param {boolean} active - Whether the screen should stay on
+ */
+export const useWakeLock = (active) => {
+  useEffect(() => {
+    if (!active || typeof navigator === 'undefined' || !navigator.wakeLock) return undefined;
+
+    let sentinel = null;
+    let released = false;
+
+    const request = () => {
+      navigator.wakeLock.request('screen')
+        .then((lock) => {
+          if (released) {
+            lock.release().catch(() => {});
+          } else {
+            sentinel = lock;
+          }
+        })
+        .catch((error) => console.warn('Screen wake lock unavailable:', error));
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') request();
+    };
+
+    request();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (sentinel) sentinel.release().catch(() => {});
+    };
+  }, [active]);
+};
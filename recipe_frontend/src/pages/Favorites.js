@@ -1,83 +1,189 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
-import { fetchRecipes } from '../api/client';
+import { useUrlSync } from '../hooks/useUrlSync';
+import { useAddToShoppingList } from '../hooks/useAddToShoppingList';
+import { hasActiveFilters, matchesFilters } from '../utils/filters';
+import { matchesRatingFilter, ratingsById } from '../utils/journal';
+import { isLocalRecipeId } from '../utils/localRecipes';
+import { sortRecipes } from '../utils/sorting';
+import { fetchRecipesByIds, isAbortError } from '../api/client';
 import SearchBar from '../components/SearchBar';
 import FiltersPanel from '../components/FiltersPanel';
+import SortControl from '../components/SortControl';
+import RatingFilter from '../components/RatingFilter';
 import RecipeGrid from '../components/RecipeGrid';
+import CollectionsBar, { ALL_COLLECTIONS } from '../components/CollectionsBar';
+import FavoritesTransfer from '../components/FavoritesTransfer';
 import './Favorites.css';
 
 // PUBLIC_INTERFACE
 /**
  * Favorites page component
- * Displays a grid of the user's favorite recipes with search and filtering
+ * Displays a grid of the user's favorite recipes, by collection, with search, filtering
+ * and sorting, including by the user's own rating
  * @returns {JSX.Element} Favorites component
  */
 const Favorites = () => {
-  const { favorites, searchQuery, filters } = useAppContext();
-  const [allRecipes, setAllRecipes] = useState([]);
+  const {
+    favorites,
+    favoritesReady,
+    collections,
+    removeFavorite,
+    getSnapshot,
+    refreshSnapshots,
+    searchQuery,
+    filters,
+    sortBy,
+    journal,
+    getLocalRecipe,
+  } = useAppContext();
+  const [activeCollectionId, setActiveCollectionId] = useState(ALL_COLLECTIONS);
+  const [recipesById, setRecipesById] = useState({});
+  const [missingIds, setMissingIds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
+  const [ratingFilter, setRatingFilter] = useState('any');
+  const [addingToShoppingList, setAddingToShoppingList] = useState(false);
+  const [shoppingStatus, setShoppingStatus] = useState(null);
+  const addToShoppingList = useAddToShoppingList();
+  // IDs already fetched or being fetched, so favorites are only loaded once
+  const requestedIdsRef = useRef(new Set());
 
-  // Fetch all recipes once to filter favorites from
+  useUrlSync({ personal: true });
+
+  // Load recipes for favorites that have not been fetched yet; local recipes need no request
   useEffect(() => {
-    const loadAllRecipes = async () => {
+    if (!favoritesReady) return undefined;
+    const requestedIds = requestedIdsRef.current;
+    const idsToLoad = favorites.map(String).filter(id => !requestedIds.has(id) && !isLocalRecipeId(id));
+    if (idsToLoad.length === 0) {
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let done = false;
+    idsToLoad.forEach(id => requestedIds.add(id));
+
+    const loadFavoriteRecipes = async () => {
       try {
         setLoading(true);
         setError(null);
-        // Fetch all recipes without pagination, assuming the backend supports it or the number is manageable.
-        // A more robust solution might involve a dedicated /api/recipes/favorites?ids=1,2,3 endpoint.
-        const result = await fetchRecipes({}, '', 1, 1000); // Fetch a large number
-        if (result.recipes) {
-          setAllRecipes(result.recipes);
+        const result = await fetchRecipesByIds(idsToLoad, { signal: controller.signal });
+
+        setRecipesById(prev => {
+          const next = { ...prev };
+          result.recipes.forEach(recipe => { next[String(recipe.id)] = recipe; });
+          return next;
+        });
+        refreshSnapshots(result.recipes);
+        setMissingIds(prev => [...prev, ...result.missingIds]);
+
+        // Failed IDs are retried the next time favorites change
+        result.failedIds.forEach(id => requestedIds.delete(id));
+        if (result.failedIds.length > 0) {
+          setError(`${result.failedIds.length} favorite recipe(s) could not be loaded right now`);
         }
       } catch (err) {
+        if (isAbortError(err)) return;
+        idsToLoad.forEach(id => requestedIds.delete(id));
         setError(err.message || 'Failed to load recipes');
-        console.error('Error fetching all recipes:', err);
-         // Set mock data for demo purposes if API fails
-        const mockRecipes = [
-          { id: '1', name: 'Classic Margherita Pizza', description: 'A simple yet delicious Italian classic.', image: 'https://via.placeholder.com/400x300?text=Pizza', cuisine: 'Italian', diet: 'Vegetarian', cookTime: 30, difficulty: 'Easy' },
-          { id: '2', name: 'Spicy Thai Green Curry', description: 'An aromatic and spicy Thai curry.', image: 'https://via.placeholder.com/400x300?text=Curry', cuisine: 'Thai', diet: 'Gluten-Free', cookTime: 45, difficulty: 'Medium'},
-        ];
-        setAllRecipes(mockRecipes);
+        console.error('Error fetching favorite recipes:', err);
       } finally {
-        setLoading(false);
+        done = true;
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
       }
     };
 
-    loadAllRecipes();
-  }, []);
+    loadFavoriteRecipes();
+
+    return () => {
+      controller.abort();
+      // Let the next run request these IDs again if this one did not finish
+      if (!done) {
+        idsToLoad.forEach(id => requestedIds.delete(id));
+      }
+    };
+  }, [favorites, favoritesReady, refreshSnapshots]);
 
-  // Filter recipes based on favorites, search query, and filters
+  // Favorites whose recipes no longer exist on the backend
+  const unavailableIds = useMemo(() => {
+    const favoriteIds = favorites.map(String);
+    return missingIds.filter(id => favoriteIds.includes(id));
+  }, [favorites, missingIds]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove favorites whose recipes no longer exist
+   */
+  const handleRemoveUnavailable = () => {
+    unavailableIds.forEach(id => removeFavorite(favorites.find(favoriteId => String(favoriteId) === id)));
+  };
+
+  // Recipe IDs in the selected collection; falls back to all favorites if it was deleted
+  const activeCollection = collections.find(collection => collection.id === activeCollectionId);
+  const visibleIds = activeCollection ? activeCollection.recipeIds : favorites;
+
+  // Fresh recipes where loaded, saved snapshots for the ones the API could not return
+  const { availableRecipes, snapshotCount } = useMemo(() => {
+    let fromSnapshots = 0;
+    const recipes = visibleIds.map(id => {
+      const fresh = recipesById[String(id)] || getLocalRecipe(id);
+      if (fresh) return fresh;
+      const snapshot = unavailableIds.includes(String(id)) ? undefined : getSnapshot(id);
+      if (snapshot) fromSnapshots += 1;
+      return snapshot;
+    }).filter(Boolean);
+    return { availableRecipes: recipes, snapshotCount: fromSnapshots };
+  }, [visibleIds, recipesById, unavailableIds, getSnapshot, getLocalRecipe]);
+
+  const ratings = useMemo(() => ratingsById(journal), [journal]);
+
+  // Filter and sort recipes based on the selected collection, search query, filters, rating and sort order
   const favoriteRecipes = useMemo(() => {
-    let recipesToFilter = allRecipes.filter(recipe => favorites.includes(recipe.id));
+    let recipesToFilter = availableRecipes;
 
     if (searchQuery) {
       const lowercasedQuery = searchQuery.toLowerCase();
       recipesToFilter = recipesToFilter.filter(recipe =>
-        recipe.name.toLowerCase().includes(lowercasedQuery) ||
-        recipe.cuisine.toLowerCase().includes(lowercasedQuery) ||
+        (recipe.name || '').toLowerCase().includes(lowercasedQuery) ||
+        (recipe.cuisine || '').toLowerCase().includes(lowercasedQuery) ||
         (recipe.ingredients && recipe.ingredients.join(' ').toLowerCase().includes(lowercasedQuery))
       );
     }
 
-    if (filters.cuisine) {
-      recipesToFilter = recipesToFilter.filter(recipe => recipe.cuisine.toLowerCase() === filters.cuisine.toLowerCase());
-    }
-    if (filters.diet) {
-      recipesToFilter = recipesToFilter.filter(recipe => recipe.diet.toLowerCase() === filters.diet.toLowerCase());
-    }
-    if (filters.maxTime) {
-      recipesToFilter = recipesToFilter.filter(recipe => recipe.cookTime <= parseInt(filters.maxTime, 10));
-    }
+    recipesToFilter = recipesToFilter.filter(recipe => (
+      matchesFilters(recipe, filters)
+      && matchesRatingFilter(ratings[String(recipe.id)] || null, ratingFilter)
+    ));
+    return sortRecipes(recipesToFilter, sortBy, { ratings });
+  }, [availableRecipes, searchQuery, filters, ratingFilter, ratings, sortBy]);
 
-    return recipesToFilter;
-  }, [allRecipes, favorites, searchQuery, filters]);
+  const filtersActive = hasActiveFilters(filters);
 
-  const hasActiveFilters = filters.cuisine || filters.diet || filters.maxTime;
+  // PUBLIC_INTERFACE
+  /**
+   * Add every recipe currently shown to the shopping list
+   */
+  const handleAddAllToShoppingList = async () => {
+    setAddingToShoppingList(true);
+    setShoppingStatus(null);
+    try {
+      const added = await addToShoppingList(favoriteRecipes);
+      setShoppingStatus(`Added ${added} recipe${added === 1 ? '' : 's'} to your shopping list.`);
+    } catch (err) {
+      console.error('Error adding favorites to shopping list:', err);
+      setShoppingStatus("Couldn't load every recipe's ingredients. Try again when you're online.");
+    } finally {
+      setAddingToShoppingList(false);
+    }
+  };
 
-  if (loading) {
+  if (loading || !favoritesReady) {
     return (
       <div className="favorites-container">
         <RecipeGrid recipes={[]} loading={true} error={null} />
@@ -97,6 +203,7 @@ const Favorites = () => {
           <Link to="/" className="browse-recipes-button">
             Browse Recipes
           </Link>
+          <FavoritesTransfer />
         </div>
       </div>
     );
@@ -112,6 +219,7 @@ const Favorites = () => {
         <p className="favorites-subtitle">
           Your hand-picked collection of delicious recipes.
         </p>
+        <FavoritesTransfer />
       </div>
 
        <div className="search-section" style={{marginBottom: "2rem"}}>
@@ -123,10 +231,12 @@ const Favorites = () => {
             aria-expanded={showFilters}
           >
             🎯 Filters
-            {hasActiveFilters && (
+            {filtersActive && (
               <span className="filters-active-badge" aria-label="Filters active">•</span>
             )}
           </button>
+          <RatingFilter value={ratingFilter} onChange={setRatingFilter} />
+          <SortControl personal />
         </div>
 
       <div className="favorites-content">
@@ -136,7 +246,59 @@ const Favorites = () => {
           </aside>
         )}
         <main className="favorites-main">
-          <RecipeGrid recipes={favoriteRecipes} loading={loading} error={error} />
+          <CollectionsBar
+            activeId={activeCollection ? activeCollection.id : ALL_COLLECTIONS}
+            onSelect={setActiveCollectionId}
+          />
+          {favoriteRecipes.length > 0 && (
+            <div className="favorites-shopping">
+              <button
+                type="button"
+                className="favorites-shopping-button"
+                onClick={handleAddAllToShoppingList}
+                disabled={addingToShoppingList}
+              >
+                🛒 Add {favoriteRecipes.length === 1 ? 'this recipe' : `these ${favoriteRecipes.length} recipes`} to shopping list
+              </button>
+              {shoppingStatus && (
+                <span className="favorites-shopping-status" role="status">
+                  {shoppingStatus} <Link to="/shopping-list">View list</Link>
+                </span>
+              )}
+            </div>
+          )}
+          {unavailableIds.length > 0 && (
+            <div className="favorites-unavailable" role="status">
+              <span>
+                ⚠️ {unavailableIds.length} saved recipe{unavailableIds.length === 1 ? ' is' : 's are'} no longer available.
+              </span>
+              <button className="favorites-unavailable-button" onClick={handleRemoveUnavailable}>
+                Remove from favorites
+              </button>
+            </div>
+          )}
+          {snapshotCount > 0 ? (
+            <div className="favorites-unavailable" role="status">
+              <span>
+                📴 Showing saved copies of {snapshotCount} recipe{snapshotCount === 1 ? '' : 's'} because the server couldn't be reached.
+              </span>
+            </div>
+          ) : error && availableRecipes.length > 0 && (
+            <div className="favorites-unavailable" role="alert">
+              <span>⚠️ {error}</span>
+            </div>
+          )}
+          {activeCollection && activeCollection.recipeIds.length === 0 ? (
+            <p className="collection-empty">
+              This collection is empty. Use the 🤍 button on any recipe to add it here.
+            </p>
+          ) : (
+            <RecipeGrid
+              recipes={favoriteRecipes}
+              loading={loading}
+              error={availableRecipes.length === 0 ? error : null}
+            />
+          )}
         </main>
       </div>
     </div>
@@ -0,0 +1,89 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useAppContext } from '../context/AppContext';
+import { groupVisitsByDay } from '../utils/history';
+import './History.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Recently viewed recipes page
+ * Lists every recipe in the history by the day it was last opened.
+ * @returns {JSX.Element} History page
+ */
+const History = () => {
+  const { history, removeFromHistory, clearHistory } = useAppContext();
+  const groups = useMemo(() => groupVisitsByDay(history), [history]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Empty the history after confirmation
+   */
+  const handleClear = () => {
+    if (window.confirm('Clear your recently viewed recipes?')) {
+      clearHistory();
+    }
+  };
+
+  if (history.length === 0) {
+    return (
+      <div className="history-container">
+        <div className="history-empty">
+          <span className="history-empty-icon">🕘</span>
+          <h2 className="history-empty-title">No Recently Viewed Recipes</h2>
+          <p className="history-empty-text">Recipes you open will show up here.</p>
+          <Link to="/" className="history-browse">
+            Browse Recipes
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history-container">
+      <div className="history-header">
+        <h1 className="history-title">🕘 Recently Viewed</h1>
+        <p className="history-subtitle">
+          {history.length} recipe{history.length === 1 ? '' : 's'}
+        </p>
+        <button type="button" className="history-clear" onClick={handleClear}>
+          Clear history
+        </button>
+      </div>
+
+      {groups.map(({ label, visits }) => (
+        <section key={label} className="history-day">
+          <h2 className="history-day-title">{label}</h2>
+          <ul className="history-list">
+            {visits.map(visit => (
+              <li key={visit.id} className="history-item">
+                <Link to={`/recipe/${visit.id}`} className="history-link">
+                  <img
+                    src={visit.image || 'https://via.placeholder.com/400x300?text=Recipe'}
+                    alt=""
+                    className="history-image"
+                    loading="lazy"
+                  />
+                  <span className="history-name">{visit.name}</span>
+                </Link>
+                <time className="history-time" dateTime={visit.viewedAt}>
+                  {new Date(visit.viewedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}
+                </time>
+                <button
+                  type="button"
+                  className="history-remove"
+                  onClick={() => removeFromHistory(visit.id)}
+                  aria-label={`Remove ${visit.name} from history`}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default History;
@@ -1,11 +1,17 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAppContext } from '../context/AppContext';
+import { useUrlSync } from '../hooks/useUrlSync';
+import { hasActiveFilters } from '../utils/filters';
 import SearchBar from '../components/SearchBar';
 import FiltersPanel from '../components/FiltersPanel';
+import SortControl from '../components/SortControl';
 import RecipeGrid from '../components/RecipeGrid';
-import { fetchRecipes, fetchFeaturedRecipes } from '../api/client';
+import RecentlyViewed from '../components/RecentlyViewed';
+import { fetchRecipes, fetchFeaturedRecipes, isAbortError } from '../api/client';
 import './Home.css';
 
+const PAGE_SIZE = 12;
+
 // PUBLIC_INTERFACE
 /**
  * Home page component with recipe browsing, filtering, and infinite scroll
@@ -14,15 +20,24 @@ import './Home.css';
 const Home = () => {
   const { 
     searchQuery, 
+    searchMode,
+    pantry,
     filters, 
+    sortBy,
     currentPage,
     hasMore,
     setHasMore,
     isLoadingMore,
     setIsLoadingMore,
-    loadNextPage,
-    resetPagination
+    loadNextPage
   } = useAppContext();
+
+  const { isSynced } = useUrlSync({ includePage: true });
+
+  // In pantry mode the typed query is set aside and recipes are ranked by the pantry instead
+  const pantryMode = searchMode === 'pantry';
+  const textQuery = pantryMode ? '' : searchQuery;
+  const pantryItems = pantryMode && pantry.length > 0 ? pantry : null;
   
   const [recipes, setRecipes] = useState([]);
   const [featuredRecipes, setFeaturedRecipes] = useState([]);
@@ -32,35 +47,65 @@ const Home = () => {
   
   // Ref for intersection observer
   const observerTarget = useRef(null);
-  const loadingRef = useRef(false);
+  // Controller for the recipes request in flight, if any
+  const requestRef = useRef(null);
+  // Search/filter/sort combination and highest page requested for it
+  const loadedQueryRef = useRef(null);
+  const loadedPageRef = useRef(0);
 
   // Load featured recipes on mount
   useEffect(() => {
+    const controller = new AbortController();
+
     const loadFeaturedRecipes = async () => {
       try {
-        const data = await fetchFeaturedRecipes();
+        const data = await fetchFeaturedRecipes({ signal: controller.signal });
         setFeaturedRecipes(data);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error('Error loading featured recipes:', err);
         // Don't set error state for featured recipes failure
       }
     };
 
     loadFeaturedRecipes();
+    return () => controller.abort();
+  }, []);
+
+  // Abort any recipes request still in flight on unmount, and forget what was loaded
+  // so a remount (e.g. StrictMode's double effect run) requests the recipes again
+  useEffect(() => {
+    return () => {
+      if (requestRef.current) {
+        requestRef.current.abort();
+        requestRef.current = null;
+      }
+      loadedQueryRef.current = null;
+      loadedPageRef.current = 0;
+    };
   }, []);
 
   // PUBLIC_INTERFACE
   /**
    * Load recipes with pagination support
+   * When replacing, pages 1 through `page` are fetched in a single request so that
+   * a deep link to a later page restores every recipe above it.
+   * A replacing load aborts whatever request is in flight so the latest query wins.
    * @param {number} page - Page number to load
    * @param {boolean} append - Whether to append to existing recipes or replace
    */
   const loadRecipes = useCallback(async (page, append = false) => {
-    // Prevent duplicate requests
-    if (loadingRef.current) return;
+    if (requestRef.current) {
+      // Prevent duplicate next-page requests; a new query supersedes the old one
+      if (append) return;
+      requestRef.current.abort();
+    }
+
+    const controller = new AbortController();
+    requestRef.current = controller;
     
     try {
-      loadingRef.current = true;
+      loadedPageRef.current = page;
       
       if (append) {
         setIsLoadingMore(true);
@@ -71,7 +116,13 @@ const Home = () => {
       
       setError(null);
       
-      const result = await fetchRecipes(filters, searchQuery, page, 12);
+      // Pantry results come ranked by coverage, so the sort order does not apply
+      const options = pantryItems
+        ? { pantry: pantryItems, signal: controller.signal }
+        : { sort: sortBy, signal: controller.signal };
+      const result = append
+        ? await fetchRecipes(filters, textQuery, page, PAGE_SIZE, options)
+        : await fetchRecipes(filters, textQuery, 1, PAGE_SIZE * page, options);
       
       if (append) {
         setRecipes(prev => [...prev, ...result.recipes]);
@@ -82,65 +133,38 @@ const Home = () => {
       setHasMore(result.hasMore);
       
     } catch (err) {
+      if (isAbortError(err)) return;
+
       setError(err.message || 'Failed to load recipes');
       console.error('Error loading recipes:', err);
-      
-      // Set mock data for demo purposes only on first page
+      // Stop infinite scroll from requesting further pages of a list that failed to load
       if (!append) {
-        const mockRecipes = [
-          {
-            id: '1',
-            name: 'Classic Margherita Pizza',
-            description: 'A simple yet delicious Italian classic with fresh mozzarella, basil, and tomato sauce.',
-            image: 'https://via.placeholder.com/400x300?text=Pizza',
-            cuisine: 'Italian',
-            diet: 'Vegetarian',
-            cookTime: 30,
-            difficulty: 'Easy',
-          },
-          {
-            id: '2',
-            name: 'Spicy Thai Green Curry',
-            description: 'An aromatic and spicy Thai curry with coconut milk, vegetables, and your choice of protein.',
-            image: 'https://via.placeholder.com/400x300?text=Curry',
-            cuisine: 'Thai',
-            diet: 'Gluten-Free',
-            cookTime: 45,
-            difficulty: 'Medium',
-          },
-          {
-            id: '3',
-            name: 'Chocolate Lava Cake',
-            description: 'Decadent chocolate cake with a molten center, perfect for dessert lovers.',
-            image: 'https://via.placeholder.com/400x300?text=Dessert',
-            cuisine: 'French',
-            cookTime: 25,
-            difficulty: 'Hard',
-          },
-        ];
-        setRecipes(mockRecipes);
         setHasMore(false);
       }
     } finally {
-      setLoading(false);
-      setIsLoadingMore(false);
-      loadingRef.current = false;
+      // A superseded request leaves loading state to the request that replaced it
+      if (requestRef.current === controller) {
+        requestRef.current = null;
+        setLoading(false);
+        setIsLoadingMore(false);
+      }
     }
-  }, [filters, searchQuery, setHasMore, setIsLoadingMore]);
+  }, [filters, textQuery, pantryItems, sortBy, setHasMore, setIsLoadingMore]);
 
-  // Reset and load first page when search or filters change
+  // Once the URL has caught up with state: reload when search, filters or sort change,
+  // otherwise load the next page when currentPage advances (infinite scroll)
   useEffect(() => {
-    resetPagination();
-    setRecipes([]);
-    loadRecipes(1, false);
-  }, [searchQuery, filters, resetPagination]);
+    if (!isSynced) return;
 
-  // Load next page when currentPage changes (triggered by infinite scroll)
-  useEffect(() => {
-    if (currentPage > 1) {
+    const queryKey = JSON.stringify([textQuery, pantryItems, filters, sortBy]);
+    if (queryKey !== loadedQueryRef.current) {
+      loadedQueryRef.current = queryKey;
+      setRecipes([]);
+      loadRecipes(currentPage, false);
+    } else if (currentPage > loadedPageRef.current) {
       loadRecipes(currentPage, true);
     }
-  }, [currentPage, loadRecipes]);
+  }, [isSynced, textQuery, pantryItems, filters, sortBy, currentPage, loadRecipes]);
 
   // Set up IntersectionObserver for infinite scroll
   useEffect(() => {
@@ -183,7 +207,14 @@ const Home = () => {
     }
   };
 
-  const hasSearchOrFilters = searchQuery || filters.cuisine || filters.diet || filters.maxTime;
+  const hasSearchOrFilters = textQuery || pantryItems || hasActiveFilters(filters);
+
+  let resultsHeading = '📖 All Recipes';
+  if (pantryItems) {
+    resultsHeading = '🥕 What You Can Make';
+  } else if (hasSearchOrFilters) {
+    resultsHeading = '🔍 Search Results';
+  }
 
   return (
     <div className="home-container">
@@ -199,7 +230,7 @@ const Home = () => {
         </div>
 
         <div className="search-section">
-          <SearchBar />
+          <SearchBar allowPantry />
           <button 
             className="filters-toggle"
             onClick={toggleFilters}
@@ -207,10 +238,11 @@ const Home = () => {
             aria-expanded={showFilters}
           >
             🎯 Filters
-            {(filters.cuisine || filters.diet || filters.maxTime) && (
+            {hasActiveFilters(filters) && (
               <span className="filters-active-badge" aria-label="Filters active">•</span>
             )}
           </button>
+          {!pantryItems && <SortControl />}
         </div>
       </div>
 
@@ -231,9 +263,11 @@ const Home = () => {
             </section>
           )}
 
+          {!hasSearchOrFilters && <RecentlyViewed />}
+
           <section className="all-recipes-section" aria-labelledby="all-recipes-heading">
             <h2 id="all-recipes-heading" className="section-heading">
-              {hasSearchOrFilters ? '🔍 Search Results' : '📖 All Recipes'}
+              {resultsHeading}
             </h2>
             <RecipeGrid recipes={recipes} loading={loading} error={error} />
             
@@ -0,0 +1,246 @@
+import React, { useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAppContext } from '../context/AppContext';
+import { ValidationError, createRecipe } from '../api/client';
+import { RecipeImportError, parseRecipeImport } from '../utils/recipeImport';
+import './ImportRecipe.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe import page
+ * Reads schema.org Recipe JSON-LD, pasted or from a saved web page, previews the
+ * result and saves it on this device or adds it to the catalog.
+ * @returns {JSX.Element} ImportRecipe page
+ */
+const ImportRecipe = () => {
+  const navigate = useNavigate();
+  const { localRecipes, saveLocalRecipe, deleteLocalRecipe } = useAppContext();
+  const [input, setInput] = useState('');
+  // Recipes found in the input, and which one is previewed
+  const [found, setFound] = useState([]);
+  const [selected, setSelected] = useState(0);
+  // { type: 'error' | 'success', text, fieldErrors } shown under the form or preview
+  const [message, setMessage] = useState(null);
+  const [publishing, setPublishing] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const recipe = found[selected] || null;
+
+  // PUBLIC_INTERFACE
+  /**
+   * Parse JSON-LD or HTML and preview what was found
+   * @param {string} text - Pasted or loaded content
+   */
+  const readRecipes = (text) => {
+    setMessage(null);
+    try {
+      setFound(parseRecipeImport(text));
+      setSelected(0);
+    } catch (err) {
+      setFound([]);
+      setMessage({
+        type: 'error',
+        text: err instanceof RecipeImportError ? err.message : 'The recipe could not be read.',
+      });
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Load a saved page or JSON-LD file and read it
+   * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    // Reset so choosing the same file again still fires a change
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setInput(text);
+      readRecipes(text);
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setMessage({ type: 'error', text: 'The file could not be read.' });
+    }
+  };
+
+  const handleSaveLocal = () => {
+    const saved = saveLocalRecipe(recipe);
+    navigate(`/recipe/${saved.id}`);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add the previewed recipe to the catalog through the API
+   */
+  const handlePublish = async () => {
+    setPublishing(true);
+    setMessage(null);
+    try {
+      const created = await createRecipe(recipe);
+      if (created && created.id !== undefined) {
+        navigate(`/recipe/${created.id}`);
+        return;
+      }
+      setMessage({ type: 'success', text: `${recipe.name} was added to the catalog.` });
+    } catch (err) {
+      setMessage({
+        type: 'error',
+        text: err.message || "Couldn't add the recipe to the catalog.",
+        fieldErrors: err instanceof ValidationError ? err.fieldErrors : null,
+      });
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const fieldErrors = message && message.fieldErrors ? Object.entries(message.fieldErrors) : [];
+
+  return (
+    <div className="import-container">
+      <div className="import-header">
+        <h1 className="import-title">📥 Import a Recipe</h1>
+        <p className="import-subtitle">
+          Paste a recipe's schema.org JSON-LD, or the HTML of a saved recipe page.
+        </p>
+      </div>
+
+      <form
+        className="import-form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          readRecipes(input);
+        }}
+      >
+        <label htmlFor="import-input" className="import-label">JSON-LD or page HTML</label>
+        <textarea
+          id="import-input"
+          className="import-input"
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          rows={8}
+          spellCheck={false}
+          placeholder={'{ "@context": "https://schema.org", "@type": "Recipe", … }'}
+        />
+        <div className="import-form-actions">
+          <button type="submit" className="import-button primary">Preview</button>
+          <button
+            type="button"
+            className="import-button"
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          >
+            Open a saved page…
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".html,.htm,.json,.jsonld,text/html,application/json,application/ld+json"
+            className="import-file"
+            onChange={handleFileChange}
+            aria-label="Open a saved recipe page"
+          />
+        </div>
+      </form>
+
+      {message && (
+        <div className={`import-message ${message.type}`} role={message.type === 'error' ? 'alert' : 'status'}>
+          <p>{message.text}</p>
+          {fieldErrors.length > 0 && (
+            <ul className="import-field-errors">
+              {fieldErrors.map(([field, text]) => <li key={field}><strong>{field}</strong>: {text}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {recipe && (
+        <section className="import-preview" aria-labelledby="import-preview-title">
+          {found.length > 1 && (
+            <div className="import-choices">
+              <label htmlFor="import-choice" className="import-label">
+                {found.length} recipes found
+              </label>
+              <select
+                id="import-choice"
+                className="import-choice"
+                value={selected}
+                onChange={e => setSelected(Number(e.target.value))}
+              >
+                {found.map((option, index) => (
+                  <option key={index} value={index}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="import-preview-body">
+            {recipe.image && <img src={recipe.image} alt="" className="import-preview-image" />}
+            <div className="import-preview-info">
+              <h2 id="import-preview-title" className="import-preview-title">{recipe.name}</h2>
+              {recipe.description && <p className="import-preview-description">{recipe.description}</p>}
+              <p className="import-preview-meta">
+                {[
+                  recipe.cookTime && `⏱️ ${recipe.cookTime} min`,
+                  recipe.servings && `🍽️ ${recipe.servings} servings`,
+                  recipe.cuisine && `🌍 ${recipe.cuisine}`,
+                  recipe.diet && `🥗 ${recipe.diet}`,
+                ].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+          </div>
+
+          <div className="import-preview-lists">
+            <div>
+              <h3 className="import-preview-heading">Ingredients ({(recipe.ingredients || []).length})</h3>
+              <ul className="import-preview-list">
+                {(recipe.ingredients || []).map((line, index) => <li key={index}>{line}</li>)}
+              </ul>
+            </div>
+            <div>
+              <h3 className="import-preview-heading">Steps ({(recipe.steps || []).length})</h3>
+              <ol className="import-preview-list">
+                {(recipe.steps || []).map((step, index) => <li key={index}>{step}</li>)}
+              </ol>
+            </div>
+          </div>
+
+          <div className="import-preview-actions">
+            <button type="button" className="import-button primary" onClick={handleSaveLocal}>
+              Save on this device
+            </button>
+            <button type="button" className="import-button" onClick={handlePublish} disabled={publishing}>
+              {publishing ? 'Adding…' : 'Add to catalog'}
+            </button>
+          </div>
+        </section>
+      )}
+
+      {localRecipes.length > 0 && (
+        <section className="import-saved" aria-labelledby="import-saved-title">
+          <h2 id="import-saved-title" className="import-saved-title">Saved on this device</h2>
+          <ul className="import-saved-list">
+            {localRecipes.map(saved => (
+              <li key={saved.id} className="import-saved-item">
+                <Link to={`/recipe/${saved.id}`} className="import-saved-link">{saved.name}</Link>
+                <button
+                  type="button"
+                  className="import-saved-remove"
+                  onClick={() => {
+                    if (window.confirm(`Delete ${saved.name} from this device?`)) deleteLocalRecipe(saved.id);
+                  }}
+                  aria-label={`Delete ${saved.name}`}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ImportRecipe;
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import MealSlot from '../components/MealSlot';
+import PlannerRecipeSource from '../components/PlannerRecipeSource';
+import {
+  MEALS,
+  addDays,
+  parseDay,
+  slotKey,
+  startOfWeek,
+  toDayString,
+  totalCookTime,
+  weekDays,
+} from '../utils/planner';
+import './Planner.css';
+
+/**
+ * Short label for a day column, e.g. "Mon 4 Mar"
+ * @param {string} day - Day string
+ * @returns {string} Label
+ */
+const formatDayLabel = (day) => parseDay(day).toLocaleDateString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Weekly meal planner page
+ * A seven-day grid of breakfast, lunch and dinner slots. Recipes are dragged in from
+ * the favorites/search panel or chosen with each slot's picker.
+ * @returns {JSX.Element} Planner page
+ */
+const Planner = () => {
+  const { mealPlan, planRecipe, unplanRecipe, movePlannedRecipe, copyMealPlanForward } = useAppContext();
+  const [weekStart, setWeekStart] = useState(() => startOfWeek());
+  // Slot the recipe picker is open for: { key, label }
+  const [pickerSlot, setPickerSlot] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const days = weekDays(weekStart);
+  const today = toDayString(new Date());
+  const weekCookTime = days.reduce(
+    (total, day) => total + MEALS.reduce((sum, meal) => sum + totalCookTime(mealPlan[slotKey(day, meal.id)]), 0),
+    0
+  );
+
+  useEffect(() => {
+    if (!pickerSlot) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setPickerSlot(null);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [pickerSlot]);
+
+  const changeWeek = (start) => {
+    setWeekStart(start);
+    setStatus(null);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Place a dropped recipe, moving it if it came from another slot
+   * @param {string} key - Target slot key
+   * @param {Object} data - Drag data ({ recipe, fromKey })
+   */
+  const handleDropRecipe = (key, { recipe, fromKey }) => {
+    if (!recipe || recipe.id === undefined) return;
+    if (fromKey) {
+      movePlannedRecipe(fromKey, key, recipe.id);
+    } else {
+      planRecipe(key, recipe);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Copy this week's meals into next week, confirming before replacing an existing plan
+   */
+  const handleCopyForward = () => {
+    const nextWeek = addDays(weekStart, 7);
+    const nextWeekPlanned = weekDays(nextWeek).some(day => MEALS.some(meal => mealPlan[slotKey(day, meal.id)]));
+    if (nextWeekPlanned && !window.confirm('Next week already has meals planned. Replace them with this week\'s?')) {
+      return;
+    }
+    copyMealPlanForward(weekStart);
+    setStatus(`Copied to the week of ${formatDayLabel(nextWeek)}.`);
+  };
+
+  const handlePick = (recipe) => {
+    planRecipe(pickerSlot.key, recipe);
+    setPickerSlot(null);
+  };
+
+  return (
+    <div className="planner-container">
+      <div className="planner-header">
+        <h1 className="planner-title">📅 Meal Planner</h1>
+        <p className="planner-subtitle">
+          Drag recipes onto a meal, or use + to pick one.
+          {weekCookTime > 0 && ` ${weekCookTime} min of cooking planned this week.`}
+        </p>
+      </div>
+
+      <div className="planner-toolbar">
+        <div className="planner-week-nav">
+          <button
+            type="button"
+            className="planner-button"
+            onClick={() => changeWeek(addDays(weekStart, -7))}
+            aria-label="Previous week"
+          >
+            ←
+          </button>
+          <span className="planner-week-label">
+            {formatDayLabel(days[0])} – {formatDayLabel(days[6])}
+          </span>
+          <button
+            type="button"
+            className="planner-button"
+            onClick={() => changeWeek(addDays(weekStart, 7))}
+            aria-label="Next week"
+          >
+            →
+          </button>
+          {weekStart !== startOfWeek() && (
+            <button type="button" className="planner-button" onClick={() => changeWeek(startOfWeek())}>
+              This week
+            </button>
+          )}
+        </div>
+        <div className="planner-actions">
+          <button type="button" className="planner-button" onClick={handleCopyForward}>
+            Copy to next week
+          </button>
+          {status && (
+            <span className="planner-status" role="status">
+              {status}{' '}
+              <button type="button" className="planner-link-button" onClick={() => changeWeek(addDays(weekStart, 7))}>
+                View
+              </button>
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="planner-layout">
+        <aside className="planner-sidebar" aria-label="Recipes to plan">
+          <PlannerRecipeSource />
+        </aside>
+
+        <div className="planner-grid-wrapper">
+          <div className="planner-grid">
+            <div className="planner-corner" aria-hidden="true" />
+            {days.map(day => (
+              <div key={day} className={`planner-day ${day === today ? 'today' : ''}`}>
+                {formatDayLabel(day)}
+              </div>
+            ))}
+            {MEALS.map(meal => (
+              <React.Fragment key={meal.id}>
+                <div className="planner-meal">{meal.label}</div>
+                {days.map((day) => {
+                  const key = slotKey(day, meal.id);
+                  const label = `${parseDay(day).toLocaleDateString(undefined, { weekday: 'long' })} ${meal.label.toLowerCase()}`;
+                  return (
+                    <MealSlot
+                      key={key}
+                      slotKey={key}
+                      label={label}
+                      recipes={mealPlan[key]}
+                      onDropRecipe={data => handleDropRecipe(key, data)}
+                      onRemove={recipeId => unplanRecipe(key, recipeId)}
+                      onAdd={() => setPickerSlot({ key, label })}
+                    />
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {pickerSlot && (
+        <div className="planner-picker-backdrop" onClick={() => setPickerSlot(null)}>
+          <div
+            className="planner-picker"
+            role="dialog"
+            aria-modal="true"
+            aria-label={`Choose a recipe for ${pickerSlot.label}`}
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="planner-picker-header">
+              <h2 className="planner-picker-title">Add to {pickerSlot.label}</h2>
+              <button
+                type="button"
+                className="planner-picker-close"
+                onClick={() => setPickerSlot(null)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+            <PlannerRecipeSource onSelect={handlePick} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Planner;
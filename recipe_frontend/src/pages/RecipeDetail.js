@@ -1,7 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
-import { fetchRecipeById } from '../api/client';
+import { fetchRecipeById, isAbortError, NotFoundError } from '../api/client';
+import CollectionPicker from '../components/CollectionPicker';
+import CookMode from '../components/CookMode';
+import IngredientList from '../components/IngredientList';
+import PersonalNotes from '../components/PersonalNotes';
+import RecipeExport from '../components/RecipeExport';
+import ServingsStepper from '../components/ServingsStepper';
+import ShoppingListButton from '../components/ShoppingListButton';
+import UnitSystemToggle from '../components/UnitSystemToggle';
+import { isLocalRecipeId } from '../utils/localRecipes';
+import { convertTemperatures } from '../utils/unitConversion';
 import './RecipeDetail.css';
 
 // PUBLIC_INTERFACE
@@ -12,39 +22,105 @@ import './RecipeDetail.css';
 const RecipeDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { isFavorite, toggleFavorite } = useAppContext();
-  const [recipe, setRecipe] = useState(null);
+  const {
+    isFavorite,
+    addFavorite,
+    getSnapshot,
+    refreshSnapshots,
+    unitSystem,
+    updateUnitSystem,
+    recordRecipeView,
+    getLocalRecipe,
+  } = useAppContext();
+  const [liveRecipe, setLiveRecipe] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Bumped by the retry button to re-run the load effect
+  const [attempt, setAttempt] = useState(0);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const favoriteButtonRef = useRef(null);
+  // Servings chosen with the stepper; null means the recipe's own servings
+  const [servings, setServings] = useState(null);
+  const [cooking, setCooking] = useState(false);
 
+  // Recipes stored on this device are read from context, never from the API
+  const isLocal = isLocalRecipeId(id);
+  const localRecipe = isLocal ? getLocalRecipe(id) : undefined;
+  // Load errors from an earlier API recipe do not apply to a local one
+  const loadError = isLocal ? null : error;
+  // A favorite's saved snapshot stands in when loading failed for any reason but 404
+  const offlineRecipe = loadError && !(loadError instanceof NotFoundError) ? getSnapshot(id) : undefined;
+  const remoteRecipe = loadError ? offlineRecipe : liveRecipe;
+  const recipe = isLocal ? localRecipe : remoteRecipe;
   const favorited = recipe ? isFavorite(recipe.id) : false;
+  const baseServings = recipe && Number(recipe.servings) > 0 ? Number(recipe.servings) : null;
+  const currentServings = servings ?? baseServings;
+  const scale = baseServings ? currentServings / baseServings : 1;
 
+  // Start each recipe at its own servings, outside cook mode
   useEffect(() => {
+    setServings(null);
+    setCooking(false);
+  }, [id]);
+
+  const closeCookMode = useCallback(() => setCooking(false), []);
+
+  // Add the recipe to recently viewed once it is shown, live or from a saved copy
+  useEffect(() => {
+    if (recipe) recordRecipeView(recipe);
+  }, [recipe, recordRecipeView]);
+
+  // Load the recipe; navigating to another recipe aborts the previous request
+  useEffect(() => {
+    if (isLocalRecipeId(id)) {
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
     const loadRecipe = async () => {
       try {
         setLoading(true);
         setError(null);
-        const data = await fetchRecipeById(id);
-        setRecipe(data);
+        const data = await fetchRecipeById(id, { signal: controller.signal });
+        setLiveRecipe(data);
+        refreshSnapshots([data]);
+        setLoading(false);
       } catch (err) {
-        setError(err.message || 'Failed to load recipe');
-        console.error('Error loading recipe:', err);
-      } finally {
+        if (isAbortError(err)) return;
+        setError(err);
         setLoading(false);
+        console.error('Error loading recipe:', err);
       }
     };
 
     loadRecipe();
-  }, [id]);
+    return () => controller.abort();
+  }, [id, attempt, refreshSnapshots]);
 
   // PUBLIC_INTERFACE
   /**
-   * Handle favorite toggle
+   * Handle favorite button click
+   * Saves to the default collection if needed and toggles the collection picker
    */
   const handleFavoriteToggle = () => {
-    if (recipe) {
-      toggleFavorite(recipe.id);
+    if (!recipe) return;
+    if (!pickerOpen && !favorited) {
+      addFavorite(recipe.id, recipe);
     }
+    setPickerOpen(open => !open);
+  };
+
+  const closePicker = useCallback(() => setPickerOpen(false), []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Retry loading the recipe after a transient failure
+   */
+  const handleRetry = () => {
+    setAttempt(prev => prev + 1);
   };
 
   // PUBLIC_INTERFACE
@@ -66,16 +142,32 @@ const RecipeDetail = () => {
     );
   }
 
-  if (error) {
+  if ((loadError && !offlineRecipe) || (isLocal && !localRecipe)) {
+    const notFound = isLocal || loadError instanceof NotFoundError;
+
     return (
       <div className="recipe-detail-container">
         <div className="recipe-detail-error" role="alert">
-          <span className="error-icon-large">😞</span>
-          <h2 className="error-title-large">Recipe Not Found</h2>
-          <p className="error-text-large">{error}</p>
-          <Link to="/" className="back-button-error">
-            Back to Home
-          </Link>
+          <span className="error-icon-large">{notFound ? '🔍' : '😞'}</span>
+          <h2 className="error-title-large">
+            {notFound ? 'Recipe Not Found' : "Couldn't Load Recipe"}
+          </h2>
+          <p className="error-text-large">
+            {notFound
+              ? "This recipe doesn't exist or may have been removed."
+              : loadError.message || 'Failed to load recipe'}
+          </p>
+          <div className="error-actions">
+            {/* Retrying only helps with transient failures */}
+            {!notFound && loadError.isTransient && (
+              <button onClick={handleRetry} className="back-button-error">
+                Try Again
+              </button>
+            )}
+            <Link to="/" className="back-button-error">
+              Back to Home
+            </Link>
+          </div>
         </div>
       </div>
     );
@@ -95,8 +187,29 @@ const RecipeDetail = () => {
         >
           ← Back
         </button>
+        <div className="recipe-detail-actions">
+          {/* Only recipes loaded from the catalog can be edited there */}
+          {!isLocal && !offlineRecipe && (
+            <Link to={`/recipe/${recipe.id}/edit`} className="recipe-edit-link">
+              ✏️ Edit
+            </Link>
+          )}
+          <RecipeExport recipe={recipe} />
+        </div>
       </div>
 
+      {offlineRecipe && (
+        <div className="recipe-offline-banner" role="status">
+          <span>
+            📴 Couldn't reach the server, so you're seeing the copy saved
+            {offlineRecipe.savedAt ? ` on ${new Date(offlineRecipe.savedAt).toLocaleDateString()}` : ' with your favorites'}.
+          </span>
+          <button onClick={handleRetry} className="recipe-offline-retry">
+            Try Again
+          </button>
+        </div>
+      )}
+
       <div className="recipe-detail-content">
         <div className="recipe-hero">
           <img 
@@ -105,12 +218,22 @@ const RecipeDetail = () => {
             className="recipe-hero-image"
           />
           <button 
+            ref={favoriteButtonRef}
             className={`favorite-button-large ${favorited ? 'favorited' : ''}`}
             onClick={handleFavoriteToggle}
-            aria-label={favorited ? 'Remove from favorites' : 'Add to favorites'}
+            aria-label={favorited ? 'Edit collections' : 'Add to favorites'}
+            aria-expanded={pickerOpen}
           >
             {favorited ? '❤️' : '🤍'}
           </button>
+          {pickerOpen && (
+            <CollectionPicker
+              recipe={recipe}
+              onClose={closePicker}
+              anchorRef={favoriteButtonRef}
+              className="collection-picker-large"
+            />
+          )}
         </div>
 
         <div className="recipe-info">
@@ -132,7 +255,15 @@ const RecipeDetail = () => {
               <div className="meta-item">
                 <span className="meta-icon">🍽️</span>
                 <span className="meta-label">Servings:</span>
-                <span className="meta-value">{recipe.servings}</span>
+                {baseServings ? (
+                  <ServingsStepper
+                    value={currentServings}
+                    baseValue={baseServings}
+                    onChange={setServings}
+                  />
+                ) : (
+                  <span className="meta-value">{recipe.servings}</span>
+                )}
               </div>
             )}
             {recipe.difficulty && (
@@ -167,25 +298,34 @@ const RecipeDetail = () => {
           {recipe.ingredients && recipe.ingredients.length > 0 && (
             <div className="recipe-section">
               <h2 className="section-title">🛒 Ingredients</h2>
-              <ul className="ingredients-list">
-                {recipe.ingredients.map((ingredient, index) => (
-                  <li key={index} className="ingredient-item">
-                    <span className="ingredient-bullet">•</span>
-                    {ingredient}
-                  </li>
-                ))}
-              </ul>
+              {scale !== 1 && (
+                <p className="ingredients-scale-note">
+                  Scaled for {currentServings} serving{currentServings === 1 ? '' : 's'} (recipe makes {baseServings}).
+                </p>
+              )}
+              <div className="ingredients-toolbar">
+                <UnitSystemToggle value={unitSystem} onChange={updateUnitSystem} />
+                <ShoppingListButton recipe={recipe} scale={scale} />
+              </div>
+              <IngredientList ingredients={recipe.ingredients} scale={scale} unitSystem={unitSystem} />
             </div>
           )}
 
           {recipe.steps && recipe.steps.length > 0 && (
             <div className="recipe-section">
               <h2 className="section-title">👨‍🍳 Instructions</h2>
+              <button
+                type="button"
+                className="start-cooking-button"
+                onClick={() => setCooking(true)}
+              >
+                ▶ Start cooking
+              </button>
               <ol className="steps-list">
                 {recipe.steps.map((step, index) => (
                   <li key={index} className="step-item">
                     <span className="step-number">{index + 1}</span>
-                    <span className="step-text">{step}</span>
+                    <span className="step-text">{convertTemperatures(step, unitSystem)}</span>
                   </li>
                 ))}
               </ol>
@@ -198,8 +338,22 @@ const RecipeDetail = () => {
               <p className="recipe-notes">{recipe.notes}</p>
             </div>
           )}
+
+          <div className="recipe-section recipe-personal-section">
+            <h2 className="section-title">⭐ My Notes</h2>
+            <PersonalNotes key={recipe.id} recipeId={String(recipe.id)} />
+          </div>
         </div>
       </div>
+
+      {cooking && recipe.steps && recipe.steps.length > 0 && (
+        <CookMode
+          recipe={recipe}
+          scale={scale}
+          unitSystem={unitSystem}
+          onClose={closeCookMode}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,503 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useCategories } from '../hooks/useCategories';
+import {
+  NotFoundError,
+  ValidationError,
+  createRecipe,
+  fetchRecipeById,
+  isAbortError,
+  updateRecipe,
+} from '../api/client';
+import { clearDraft, loadDraft, saveDraft } from '../storage/recipeDraftStore';
+import { isLocalRecipeId } from '../utils/localRecipes';
+import {
+  FORM_FIELDS,
+  createEmptyForm,
+  formToRecipe,
+  formToRecipeUpdate,
+  mapServerErrors,
+  recipeToForm,
+  validateRecipeForm,
+} from '../utils/recipeForm';
+import ReorderableList from '../components/ReorderableList';
+import './RecipeEditor.css';
+
+// Wait this long after the last keystroke before autosaving the draft
+const DRAFT_SAVE_DELAY_MS = 800;
+
+/**
+ * Picker options with the current value included even when the categories do not list it
+ * @param {Array<{value: string, label: string}>} options - Category options
+ * @param {string} current - Value stored on the recipe (a label such as "Italian")
+ * @returns {Array<string>} Labels to offer
+ */
+const pickerLabels = (options, current) => {
+  const labels = options.map(option => option.label);
+  const known = options.some(option => [option.label, option.value].some(
+    text => text.toLowerCase() === current.toLowerCase()
+  ));
+  return current && !known ? [current, ...labels] : labels;
+};
+
+/**
+ * The category label matching a stored value, so "italian" selects "Italian"
+ * @param {Array<{value: string, label: string}>} options - Category options
+ * @param {string} current - Stored value
+ * @returns {string} Matching label, or the value unchanged
+ */
+const pickerValue = (options, current) => {
+  const match = options.find(option => [option.label, option.value].some(
+    text => text.toLowerCase() === current.toLowerCase()
+  ));
+  return match ? match.label : current;
+};
+
+/**
+ * ID of the input to focus for a field's error
+ * @param {string} field - Form field name
+ * @returns {string} Element ID
+ */
+const inputId = (field) => (
+  field === 'ingredients' || field === 'steps' ? `recipe-${field}-0` : `recipe-${field}`
+);
+
+/**
+ * Whether a value looks like an image address worth previewing
+ * @param {string} value - Typed URL
+ * @returns {boolean} True for http(s) URLs
+ */
+const isPreviewableUrl = (value) => /^https?:\/\/\S+$/i.test(value.trim());
+
+/**
+ * Label, control and error message for one form field
+ * @param {Object} props - Component props
+ * @param {string} props.field - Form field name
+ * @param {string} props.label - Visible label
+ * @param {string} [props.error] - Validation message
+ * @param {string} [props.hint] - Help text under the control
+ * @param {boolean} [props.labelFor] - Whether the label targets the control; lists label their own rows
+ * @param {React.ReactNode} props.children - Control
+ * @returns {JSX.Element} Field wrapper
+ */
+const EditorField = ({ field, label, error, hint, labelFor = true, children }) => (
+  <div className={`editor-field editor-field-${field} ${error ? 'invalid' : ''}`}>
+    {labelFor
+      ? <label htmlFor={inputId(field)} className="editor-label">{label}</label>
+      : <span className="editor-label">{label}</span>}
+    {children}
+    {hint && !error && <p className="editor-hint">{hint}</p>}
+    {error && <p id={`recipe-${field}-error`} className="editor-error" role="alert">{error}</p>}
+  </div>
+);
+
+/**
+ * Recipe form for one recipe, or for a new one when `id` is undefined
+ * @param {Object} props - Component props
+ * @param {string} [props.id] - ID of the recipe being edited
+ * @returns {JSX.Element} Editor form
+ */
+const RecipeEditorForm = ({ id }) => {
+  const navigate = useNavigate();
+  const { categories } = useCategories();
+  const editing = id !== undefined;
+
+  const [form, setForm] = useState(() => (editing ? null : createEmptyForm()));
+  // Recipe as loaded for editing; saving replaces it, so the form is merged onto it
+  const [original, setOriginal] = useState(null);
+  const [loading, setLoading] = useState(editing);
+  const [loadError, setLoadError] = useState(null);
+  // Draft from an earlier visit, offered until restored or discarded
+  const [pendingDraft, setPendingDraft] = useState(() => loadDraft(id));
+  // Whether the form has been changed on this visit, so untouched forms are not saved as drafts
+  const [dirty, setDirty] = useState(false);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  // Image URL that failed to load, so the preview can say so
+  const [brokenImage, setBrokenImage] = useState(null);
+
+  // Load the recipe being edited
+  useEffect(() => {
+    if (!editing) return undefined;
+    if (isLocalRecipeId(id)) {
+      setLoadError(new NotFoundError(`/recipes/${id}`));
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    const loadRecipe = async () => {
+      try {
+        setLoading(true);
+        setLoadError(null);
+        const recipe = await fetchRecipeById(id, { signal: controller.signal });
+        setOriginal(recipe);
+        setForm(recipeToForm(recipe));
+        setLoading(false);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error loading recipe to edit:', err);
+        setLoadError(err);
+        setLoading(false);
+      }
+    };
+
+    loadRecipe();
+    return () => controller.abort();
+  }, [editing, id]);
+
+  // Autosave changes, but never over a draft the user has not decided about yet
+  useEffect(() => {
+    if (!dirty || !form || pendingDraft) return undefined;
+    const timer = setTimeout(() => {
+      const savedAt = new Date();
+      saveDraft(id, form, savedAt);
+      setDraftSavedAt(savedAt);
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [dirty, form, pendingDraft, id]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Change one field and clear its error
+   * @param {string} field - Form field name
+   * @param {any} value - New value
+   */
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setDirty(true);
+    setErrors(prev => {
+      if (!prev[field]) return prev;
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  };
+
+  const handleRestoreDraft = () => {
+    setForm(pendingDraft.form);
+    setPendingDraft(null);
+    setDirty(true);
+    setErrors({});
+  };
+
+  const handleDiscardDraft = () => {
+    clearDraft(id);
+    setPendingDraft(null);
+  };
+
+  /**
+   * Show errors and move focus to the first field that has one
+   * @param {Object} nextErrors - Messages keyed by field
+   */
+  const showErrors = (nextErrors) => {
+    setErrors(nextErrors);
+    const first = FORM_FIELDS.find(field => nextErrors[field]);
+    const element = first && document.getElementById(inputId(first));
+    if (element) element.focus();
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Validate and save the recipe, then open it
+   * @param {React.FormEvent} e - Submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const clientErrors = validateRecipeForm(form);
+    if (Object.keys(clientErrors).length > 0) {
+      showErrors(clientErrors);
+      return;
+    }
+
+    setSubmitting(true);
+    setErrors({});
+    try {
+      const saved = editing
+        ? await updateRecipe(id, formToRecipeUpdate(original, form))
+        : await createRecipe(formToRecipe(form));
+      clearDraft(id);
+      setPendingDraft(null);
+      setDirty(false);
+
+      // The detail page refetches the recipe, refreshing any saved favorite snapshot
+      const savedId = saved && saved.id !== undefined ? saved.id : id;
+      navigate(savedId !== undefined ? `/recipe/${savedId}` : '/');
+    } catch (err) {
+      console.error('Error saving recipe:', err);
+      if (err instanceof ValidationError && Object.keys(err.fieldErrors).length > 0) {
+        showErrors(mapServerErrors(err.fieldErrors));
+      } else {
+        setErrors({ form: err.message || "Couldn't save the recipe. Your draft is kept on this device." });
+      }
+      setSubmitting(false);
+    }
+  };
+
+  const errorProps = (field) => ({
+    'aria-invalid': errors[field] ? true : undefined,
+    'aria-describedby': errors[field] ? `recipe-${field}-error` : undefined,
+  });
+
+  if (loading) {
+    return (
+      <div className="editor-container">
+        <p className="editor-status" role="status">Loading recipe…</p>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    const notFound = loadError instanceof NotFoundError;
+    return (
+      <div className="editor-container">
+        <div className="editor-load-error" role="alert">
+          <h1 className="editor-title">{notFound ? 'Recipe Not Found' : "Couldn't Load Recipe"}</h1>
+          <p className="editor-subtitle">
+            {notFound
+              ? "Only recipes in the catalog can be edited, and this one isn't there."
+              : loadError.message || 'Failed to load recipe'}
+          </p>
+          <Link to={notFound ? '/' : `/recipe/${id}`} className="editor-button">
+            {notFound ? 'Back to Home' : 'Back to recipe'}
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const imageUrl = form.image.trim();
+
+  return (
+    <div className="editor-container">
+      <div className="editor-header">
+        <h1 className="editor-title">{editing ? '✏️ Edit Recipe' : '✍️ New Recipe'}</h1>
+        <p className="editor-subtitle">
+          {editing ? 'Changes are saved to the catalog when you submit.' : 'Add your own recipe to the catalog.'}
+        </p>
+      </div>
+
+      {pendingDraft && (
+        <div className="editor-draft-banner" role="status">
+          <span>
+            📝 You have an unsaved draft from {new Date(pendingDraft.savedAt).toLocaleString()}.
+            Autosave is paused until you choose.
+          </span>
+          <div className="editor-draft-actions">
+            <button type="button" className="editor-button primary" onClick={handleRestoreDraft}>
+              Restore draft
+            </button>
+            <button type="button" className="editor-button" onClick={handleDiscardDraft}>
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form className="editor-form" onSubmit={handleSubmit} noValidate>
+        <EditorField field="name" label="Name" error={errors.name}>
+          <input
+            id="recipe-name"
+            type="text"
+            className="editor-input"
+            value={form.name}
+            onChange={e => updateField('name', e.target.value)}
+            placeholder="e.g. Weeknight Chickpea Curry"
+            {...errorProps('name')}
+          />
+        </EditorField>
+
+        <EditorField field="description" label="Description" error={errors.description}>
+          <textarea
+            id="recipe-description"
+            className="editor-input"
+            rows={3}
+            value={form.description}
+            onChange={e => updateField('description', e.target.value)}
+            {...errorProps('description')}
+          />
+        </EditorField>
+
+        <EditorField field="image" label="Image URL" error={errors.image}>
+          <input
+            id="recipe-image"
+            type="url"
+            className="editor-input"
+            value={form.image}
+            onChange={e => updateField('image', e.target.value)}
+            placeholder="https://…"
+            {...errorProps('image')}
+          />
+          {isPreviewableUrl(imageUrl) && (
+            <div className="editor-image-preview">
+              {brokenImage === imageUrl ? (
+                <p className="editor-hint">This image couldn't be loaded. Check the address.</p>
+              ) : (
+                <img src={imageUrl} alt="Preview" onError={() => setBrokenImage(imageUrl)} />
+              )}
+            </div>
+          )}
+        </EditorField>
+
+        <div className="editor-row">
+          <EditorField field="cookTime" label="Cook time (min)" error={errors.cookTime}>
+            <input
+              id="recipe-cookTime"
+              type="number"
+              min="1"
+              step="1"
+              inputMode="numeric"
+              className="editor-input"
+              value={form.cookTime}
+              onChange={e => updateField('cookTime', e.target.value)}
+              {...errorProps('cookTime')}
+            />
+          </EditorField>
+          <EditorField field="servings" label="Servings" error={errors.servings}>
+            <input
+              id="recipe-servings"
+              type="number"
+              min="1"
+              step="1"
+              inputMode="numeric"
+              className="editor-input"
+              value={form.servings}
+              onChange={e => updateField('servings', e.target.value)}
+              {...errorProps('servings')}
+            />
+          </EditorField>
+          <EditorField field="difficulty" label="Difficulty" error={errors.difficulty}>
+            <select
+              id="recipe-difficulty"
+              className="editor-input"
+              value={pickerValue(categories.difficulties, form.difficulty)}
+              onChange={e => updateField('difficulty', e.target.value)}
+              {...errorProps('difficulty')}
+            >
+              <option value="">Not set</option>
+              {pickerLabels(categories.difficulties, form.difficulty).map(label => (
+                <option key={label} value={label}>{label}</option>
+              ))}
+            </select>
+          </EditorField>
+        </div>
+
+        <div className="editor-row">
+          <EditorField field="cuisine" label="Cuisine" error={errors.cuisine}>
+            <select
+              id="recipe-cuisine"
+              className="editor-input"
+              value={pickerValue(categories.cuisines, form.cuisine)}
+              onChange={e => updateField('cuisine', e.target.value)}
+              {...errorProps('cuisine')}
+            >
+              <option value="">Not set</option>
+              {pickerLabels(categories.cuisines, form.cuisine).map(label => (
+                <option key={label} value={label}>{label}</option>
+              ))}
+            </select>
+          </EditorField>
+          <EditorField field="diet" label="Diet" error={errors.diet}>
+            <select
+              id="recipe-diet"
+              className="editor-input"
+              value={pickerValue(categories.diets, form.diet)}
+              onChange={e => updateField('diet', e.target.value)}
+              {...errorProps('diet')}
+            >
+              <option value="">Not set</option>
+              {pickerLabels(categories.diets, form.diet).map(label => (
+                <option key={label} value={label}>{label}</option>
+              ))}
+            </select>
+          </EditorField>
+        </div>
+
+        <EditorField field="tags" label="Tags" error={errors.tags} hint="Separate tags with commas.">
+          <input
+            id="recipe-tags"
+            type="text"
+            className="editor-input"
+            value={form.tags}
+            onChange={e => updateField('tags', e.target.value)}
+            placeholder="quick, one-pot"
+            {...errorProps('tags')}
+          />
+        </EditorField>
+
+        <EditorField
+          field="ingredients"
+          label="Ingredients"
+          error={errors.ingredients}
+          hint="One ingredient per row, with its amount, e.g. 200 g flour."
+          labelFor={false}
+        >
+          <ReorderableList
+            id="recipe-ingredients"
+            itemLabel="Ingredient"
+            items={form.ingredients}
+            onChange={items => updateField('ingredients', items)}
+            placeholder="1 cup rice"
+            errorId={errors.ingredients ? 'recipe-ingredients-error' : undefined}
+          />
+        </EditorField>
+
+        <EditorField field="steps" label="Steps" error={errors.steps} labelFor={false}>
+          <ReorderableList
+            id="recipe-steps"
+            itemLabel="Step"
+            items={form.steps}
+            onChange={items => updateField('steps', items)}
+            multiline
+            placeholder="Describe this step"
+            errorId={errors.steps ? 'recipe-steps-error' : undefined}
+          />
+        </EditorField>
+
+        <EditorField field="notes" label="Notes" error={errors.notes}>
+          <textarea
+            id="recipe-notes"
+            className="editor-input"
+            rows={3}
+            value={form.notes}
+            onChange={e => updateField('notes', e.target.value)}
+            {...errorProps('notes')}
+          />
+        </EditorField>
+
+        {errors.form && <p className="editor-error editor-form-error" role="alert">⚠️ {errors.form}</p>}
+
+        <div className="editor-actions">
+          <button type="submit" className="editor-button primary" disabled={submitting}>
+            {submitting ? 'Saving…' : editing ? 'Save changes' : 'Create recipe'}
+          </button>
+          <Link to={editing ? `/recipe/${id}` : '/'} className="editor-button">
+            Cancel
+          </Link>
+          {draftSavedAt && (
+            <span className="editor-draft-status" role="status">
+              Draft saved at {draftSavedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe editor page for /recipes/new and /recipe/:id/edit
+ * Validates fields before submitting, shows server validation messages next to their
+ * fields, and autosaves a draft on this device that can be restored on the next visit.
+ * The form is remounted per recipe so its state and draft never carry over.
+ * @returns {JSX.Element} RecipeEditor page
+ */
+const RecipeEditor = () => {
+  const { id } = useParams();
+  return <RecipeEditorForm key={id ?? 'new'} id={id} />;
+};
+
+export default RecipeEditor;
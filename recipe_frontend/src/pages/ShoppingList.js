@@ -0,0 +1,158 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAppContext } from '../context/AppContext';
+import UnitSystemToggle from '../components/UnitSystemToggle';
+import { downloadFile } from '../utils/download';
+import { buildShoppingList, formatShoppingListText } from '../utils/shoppingList';
+import './ShoppingList.css';
+
+// PUBLIC_INTERFACE
+/**
+ * Shopping list page
+ * Merges the ingredients of every recipe on the list, grouped by aisle, with
+ * check-off, plain-text export and a print-friendly layout.
+ * @returns {JSX.Element} ShoppingList page
+ */
+const ShoppingList = () => {
+  const {
+    shoppingList,
+    removeFromShoppingList,
+    toggleShoppingItem,
+    clearShoppingList,
+    unitSystem,
+    updateUnitSystem,
+  } = useAppContext();
+  const [status, setStatus] = useState(null);
+  const { recipes, checked } = shoppingList;
+
+  const groups = useMemo(() => buildShoppingList(recipes, unitSystem), [recipes, unitSystem]);
+  const itemCount = groups.reduce((count, group) => count + group.items.length, 0);
+  const checkedCount = groups.reduce(
+    (count, group) => count + group.items.filter(item => checked.includes(item.key)).length,
+    0
+  );
+
+  // PUBLIC_INTERFACE
+  /**
+   * Copy the list as plain text
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatShoppingListText(groups, checked));
+      setStatus('Copied to clipboard.');
+    } catch (err) {
+      console.error('Error copying shopping list:', err);
+      setStatus("Couldn't copy. Try downloading the list instead.");
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Empty the list after confirmation
+   */
+  const handleClear = () => {
+    if (window.confirm('Remove all recipes from your shopping list?')) {
+      clearShoppingList();
+      setStatus(null);
+    }
+  };
+
+  if (recipes.length === 0) {
+    return (
+      <div className="shopping-list-container">
+        <div className="shopping-list-empty">
+          <span className="shopping-list-empty-icon">🛒</span>
+          <h2 className="shopping-list-empty-title">Your Shopping List is Empty</h2>
+          <p className="shopping-list-empty-text">
+            Use the 🛒 button on any recipe to add its ingredients here.
+          </p>
+          <Link to="/" className="shopping-list-browse">
+            Browse Recipes
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shopping-list-container">
+      <div className="shopping-list-header">
+        <h1 className="shopping-list-title">🛒 Shopping List</h1>
+        <p className="shopping-list-subtitle">
+          {checkedCount} of {itemCount} item{itemCount === 1 ? '' : 's'} checked off
+        </p>
+      </div>
+
+      <div className="shopping-list-actions">
+        <UnitSystemToggle value={unitSystem} onChange={updateUnitSystem} />
+        <div className="shopping-list-buttons">
+          <button type="button" className="shopping-list-action" onClick={handleCopy}>
+            Copy
+          </button>
+          <button
+            type="button"
+            className="shopping-list-action"
+            onClick={() => downloadFile('shopping-list.txt', formatShoppingListText(groups, checked))}
+          >
+            Download
+          </button>
+          <button type="button" className="shopping-list-action" onClick={() => window.print()}>
+            Print
+          </button>
+          <button type="button" className="shopping-list-action" onClick={handleClear}>
+            Clear list
+          </button>
+        </div>
+      </div>
+      {status && <p className="shopping-list-status" role="status">{status}</p>}
+
+      <section className="shopping-list-recipes" aria-label="Recipes on this list">
+        {recipes.map(entry => (
+          <span key={entry.id} className="shopping-list-recipe">
+            <Link to={`/recipe/${entry.id}`}>{entry.name}</Link>
+            {entry.scale !== 1 && <span className="shopping-list-recipe-scale">×{Number(entry.scale.toFixed(2))}</span>}
+            <button
+              type="button"
+              className="shopping-list-recipe-remove"
+              onClick={() => removeFromShoppingList(entry.id)}
+              aria-label={`Remove ${entry.name} from shopping list`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </section>
+
+      {groups.map(({ aisle, items }) => (
+        <section key={aisle.id} className="shopping-list-aisle">
+          <h2 className="shopping-list-aisle-title">{aisle.name}</h2>
+          <ul className="shopping-list-items">
+            {items.map((item) => {
+              const isChecked = checked.includes(item.key);
+              return (
+                <li key={item.key} className={`shopping-list-item ${isChecked ? 'checked' : ''}`}>
+                  <label className="shopping-list-item-label">
+                    <input
+                      type="checkbox"
+                      checked={isChecked}
+                      onChange={() => toggleShoppingItem(item.key)}
+                    />
+                    <span className="shopping-list-item-name">{item.name}</span>
+                    {item.amounts.length > 0 && (
+                      <span className="shopping-list-item-amount">{item.amounts.join(' + ')}</span>
+                    )}
+                  </label>
+                  {recipes.length > 1 && (
+                    <span className="shopping-list-item-recipes">{item.recipes.join(', ')}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default ShoppingList;
@@ -0,0 +1,92 @@
+/* eslint-disable no-restricted-globals -- `self` is the worker scope here, and InjectManifest looks for `self.__WB_MANIFEST` */
+/**
+ * Service worker for Recipe Explorer, built by react-scripts with Workbox InjectManifest
+ * - Precaches the app shell so the app starts without a connection
+ * - Recipe API responses (/recipes/:id) are network first, falling back to the cache offline
+ * - Recipe images are cache first
+ * - The page can ask for recipes and images to be cached ahead of time (CACHE_RECIPES)
+ */
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+
+const RECIPE_CACHE = 'recipe-details';
+const IMAGE_CACHE = 'recipe-images';
+// Give up on a slow network after this long and answer from the cache
+const NETWORK_TIMEOUT_SECONDS = 4;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page of the single-page app is served by index.html, except for files and /__ paths
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => (
+    request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !fileExtensionRegexp.test(url.pathname)
+  ),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// A single recipe from the API, e.g. /api/recipes/12 (list queries are not cached)
+const recipeDetailRegexp = /\/recipes\/[^/?]+$/;
+registerRoute(
+  ({ request, url }) => request.mode !== 'navigate' && !url.search && recipeDetailRegexp.test(url.pathname),
+  new NetworkFirst({
+    cacheName: RECIPE_CACHE,
+    networkTimeoutSeconds: NETWORK_TIMEOUT_SECONDS,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 300, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Images are often on another origin, so opaque (status 0) responses are cached too
+registerRoute(
+  ({ request }) => request.destination === 'image',
+  new CacheFirst({
+    cacheName: IMAGE_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 150, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+/**
+ * Fetch and store URLs that are not cached yet
+ * @param {string} cacheName - Cache to fill
+ * @param {Array<string>} urls - URLs to cache
+ * @param {RequestInit} [init] - Fetch options
+ * @returns {Promise<void>} Resolves when every URL was tried
+ */
+const cacheMissing = async (cacheName, urls, init) => {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      const response = await fetch(url, init);
+      if (response.ok || response.type === 'opaque') await cache.put(url, response);
+    } catch {
+      // Offline or unreachable: try again the next time the page asks
+    }
+  }));
+};
+
+self.addEventListener('message', (event) => {
+  const { data } = event;
+  if (!data) return;
+
+  if (data.type === 'CACHE_RECIPES') {
+    event.waitUntil(Promise.all([
+      cacheMissing(RECIPE_CACHE, data.recipeUrls || []),
+      cacheMissing(IMAGE_CACHE, data.imageUrls || [], { mode: 'no-cors' }),
+    ]));
+  }
+});
@@ -0,0 +1,44 @@
+/**
+ * Service worker registration and messaging (see service-worker.js)
+ * The worker is only registered in production builds, so development always hits the network.
+ */
+
+const isSupported = () => process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator;
+
+// PUBLIC_INTERFACE
+/**
+ * Register the service worker once the page has loaded
+ */
+export const registerServiceWorker = () => {
+  if (!isSupported()) return;
+  // The worker can only control pages on its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Ask the service worker to cache recipes and images so they open offline
+ * URLs already cached are skipped. Does nothing when service workers are unavailable.
+ * @param {Object} urls - URLs to cache
+ * @param {Array<string>} urls.recipeUrls - Recipe API URLs
+ * @param {Array<string>} urls.imageUrls - Image URLs
+ * @returns {Promise<void>} Resolves once the request has been handed to the worker
+ */
+export const cacheForOffline = async ({ recipeUrls = [], imageUrls = [] }) => {
+  if (!isSupported() || (recipeUrls.length === 0 && imageUrls.length === 0)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) {
+      registration.active.postMessage({ type: 'CACHE_RECIPES', recipeUrls, imageUrls });
+    }
+  } catch (error) {
+    console.error('Could not reach the service worker:', error);
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Persistence for favorite collections and recipe snapshots
+ * Data lives in IndexedDB. Browsers without IndexedDB (or where it fails to open,
+ * e.g. some private modes) fall back to localStorage so favorites still persist.
+ */
+import { createDefaultCollection, sanitizeCollections } from '../utils/collections';
+import {
+  STORES,
+  deleteRecord,
+  getAllRecords,
+  getRecord,
+  isIndexedDbAvailable,
+  putRecord,
+  updateRecord,
+} from './indexedDb';
+
+const COLLECTIONS_KEY = 'recipe_collections';
+const SNAPSHOTS_KEY = 'recipe_snapshots';
+const LEGACY_FAVORITES_KEY = 'recipe_favorites';
+
+/**
+ * Read and parse a localStorage JSON value
+ * @param {string} key - Storage key
+ * @returns {any} Parsed value, or null if missing or invalid
+ */
+const readLocalJson = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * localStorage implementation of the store, used when IndexedDB is unavailable
+ */
+const localBackend = {
+  getCollections: async () => readLocalJson(COLLECTIONS_KEY),
+  setCollections: async (collections) => {
+    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections));
+  },
+  updateCollections: async (updater) => {
+    const updated = updater(readLocalJson(COLLECTIONS_KEY));
+    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(updated));
+    return updated;
+  },
+  getSnapshots: async () => Object.values(readLocalJson(SNAPSHOTS_KEY) || {}),
+  putSnapshot: async (snapshot) => {
+    const snapshots = readLocalJson(SNAPSHOTS_KEY) || {};
+    snapshots[snapshot.key] = snapshot;
+    localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+  },
+  deleteSnapshot: async (key) => {
+    const snapshots = readLocalJson(SNAPSHOTS_KEY) || {};
+    delete snapshots[key];
+    localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+  },
+};
+
+/**
+ * IndexedDB implementation of the store
+ */
+const indexedDbBackend = {
+  getCollections: async () => {
+    const value = await getRecord(STORES.favorites, 'collections');
+    return value === undefined ? null : value;
+  },
+  setCollections: (collections) => putRecord(STORES.favorites, collections, 'collections'),
+  updateCollections: (updater) => updateRecord(STORES.favorites, 'collections', updater),
+  getSnapshots: () => getAllRecords(STORES.snapshots),
+  putSnapshot: (snapshot) => putRecord(STORES.snapshots, snapshot),
+  deleteSnapshot: (key) => deleteRecord(STORES.snapshots, key),
+};
+
+let backendPromise = null;
+
+/**
+ * Pick IndexedDB when it works, localStorage otherwise
+ * @returns {Promise<Object>} Storage backend
+ */
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (!isIndexedDbAvailable()) return localBackend;
+      try {
+        await indexedDbBackend.getCollections();
+        return indexedDbBackend;
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        return localBackend;
+      }
+    })();
+  }
+  return backendPromise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load favorite collections
+ * The first time IndexedDB is used, data is migrated from localStorage: either the
+ * collections list or the older flat `recipe_favorites` array.
+ * @returns {Promise<Array<Object>>} Collections (always includes the default one)
+ */
+export const loadCollections = async () => {
+  const backend = await getBackend();
+  const stored = sanitizeCollections(await backend.getCollections());
+  if (stored) return stored;
+
+  const fromLocal = backend === localBackend ? null : sanitizeCollections(readLocalJson(COLLECTIONS_KEY));
+  const legacy = readLocalJson(LEGACY_FAVORITES_KEY);
+  const collections = fromLocal || [createDefaultCollection(Array.isArray(legacy) ? legacy : [])];
+
+  await backend.setCollections(collections);
+  if (backend !== localBackend) localStorage.removeItem(COLLECTIONS_KEY);
+  localStorage.removeItem(LEGACY_FAVORITES_KEY);
+  return collections;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Change the stored collections atomically
+ * The updater runs against the latest stored value, which may include changes made
+ * by other tabs since this tab last read it.
+ * @param {Function} updater - Receives the stored collections and returns new ones
+ * @returns {Promise<Array<Object>>} The stored collections after the update
+ */
+export const updateCollections = async (updater) => {
+  const backend = await getBackend();
+  return backend.updateCollections((stored) => (
+    updater(sanitizeCollections(stored) || [createDefaultCollection()])
+  ));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load all recipe snapshots
+ * @returns {Promise<Object>} Snapshots keyed by stringified recipe ID
+ */
+export const loadSnapshots = async () => {
+  const backend = await getBackend();
+  const records = await backend.getSnapshots();
+  return Object.fromEntries(records.map((snapshot) => [snapshot.key, snapshot]));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save one recipe snapshot
+ * @param {Object} snapshot - Snapshot with a `key` field
+ * @returns {Promise<void>} Resolves when written
+ */
+export const saveSnapshot = async (snapshot) => {
+  const backend = await getBackend();
+  await backend.putSnapshot(snapshot);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete one recipe snapshot
+ * @param {string} key - Stringified recipe ID
+ * @returns {Promise<void>} Resolves when deleted
+ */
+export const deleteSnapshot = async (key) => {
+  const backend = await getBackend();
+  await backend.deleteSnapshot(key);
+};
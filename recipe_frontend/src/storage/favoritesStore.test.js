@@ -0,0 +1,28 @@
+import { DEFAULT_COLLECTION_ID } from '../utils/collections';
+import { deleteSnapshot, loadCollections, loadSnapshots, saveSnapshot } from './favoritesStore';
+
+// jsdom has no IndexedDB, so these exercise the localStorage fallback
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('migrates the legacy favorites list into the default collection', async () => {
+  localStorage.setItem('recipe_favorites', JSON.stringify(['1', '2', '2']));
+
+  const collections = await loadCollections();
+
+  expect(collections).toHaveLength(1);
+  expect(collections[0].id).toBe(DEFAULT_COLLECTION_ID);
+  expect(collections[0].recipeIds).toEqual(['1', '2']);
+  expect(localStorage.getItem('recipe_favorites')).toBeNull();
+  expect(await loadCollections()).toEqual(collections);
+});
+
+test('stores and deletes snapshots by key', async () => {
+  await saveSnapshot({ key: '1', id: '1', name: 'Pho' });
+  await saveSnapshot({ key: '2', id: '2', name: 'Ramen' });
+  await deleteSnapshot('1');
+
+  expect(await loadSnapshots()).toEqual({ 2: { key: '2', id: '2', name: 'Ramen' } });
+});
@@ -0,0 +1,48 @@
+/**
+ * Messaging between open tabs about favorites changes
+ * Uses BroadcastChannel where available and falls back to `storage` events, which
+ * fire in every other tab when a localStorage key changes.
+ */
+
+const CHANNEL_NAME = 'recipe_favorites';
+const STORAGE_EVENT_KEY = 'recipe_favorites_sync';
+
+// PUBLIC_INTERFACE
+/**
+ * Open a channel to the other tabs of this app
+ * Messages posted here are delivered to other tabs only, never back to the sender.
+ * @param {Function} onMessage - Called with each message from another tab
+ * @returns {{post: Function, close: Function}} Channel handle
+ */
+export const openFavoritesChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.error('Ignoring malformed favorites sync message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes repeated identical messages still count as a change
+        localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify({ message, nonce: `${Date.now()}-${Math.random()}` }));
+      } catch (error) {
+        console.error('Error sending favorites sync message:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
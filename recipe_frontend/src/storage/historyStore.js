@@ -0,0 +1,37 @@
+/**
+ * Persistence for recently viewed recipes, kept in localStorage
+ */
+import { HISTORY_LIMIT } from '../utils/history';
+
+const HISTORY_KEY = 'recipe_history';
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved history
+ * @returns {Array<Object>} Visits, newest first; empty when none are saved
+ */
+export const loadHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(visit => visit && typeof visit.id === 'string' && typeof visit.name === 'string'
+        && !Number.isNaN(Date.parse(visit.viewedAt)))
+      .slice(0, HISTORY_LIMIT);
+  } catch {
+    return [];
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the history
+ * @param {Array<Object>} history - Visits, newest first
+ */
+export const saveHistory = (history) => {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error('Failed to save recently viewed recipes:', error);
+  }
+};
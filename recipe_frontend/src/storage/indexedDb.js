@@ -0,0 +1,146 @@
+/**
+ * Minimal promise wrapper around IndexedDB for the app's local data
+ */
+
+const DB_NAME = 'recipe_explorer';
+const DB_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Object store names
+ * - favorites: key-value records (out-of-line keys), e.g. the collections list
+ * - snapshots: recipe snapshots keyed by their `key` field
+ */
+export const STORES = Object.freeze({
+  favorites: 'favorites',
+  snapshots: 'snapshots',
+});
+
+let dbPromise = null;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether this browser exposes IndexedDB
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export const isIndexedDbAvailable = () => {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+};
+
+/**
+ * Open (and create or upgrade) the database once per page load
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.favorites)) {
+          db.createObjectStore(STORES.favorites);
+        }
+        if (!db.objectStoreNames.contains(STORES.snapshots)) {
+          db.createObjectStore(STORES.snapshots, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another open tab'));
+    }).catch((error) => {
+      // Allow a later call to try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run work inside a transaction on one store
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the store; may return an IDBRequest whose result is resolved
+ * @returns {Promise<any>} Request result once the transaction completes
+ */
+const runTransaction = async (storeName, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read one record
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<any>} The record, or undefined
+ */
+export const getRecord = (storeName, key) => {
+  return runTransaction(storeName, 'readonly', (store) => store.get(key));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array<any>>} All records
+ */
+export const getAllRecords = (storeName) => {
+  return runTransaction(storeName, 'readonly', (store) => store.getAll());
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {any} value - Record value
+ * @param {IDBValidKey} [key] - Key, for stores with out-of-line keys
+ * @returns {Promise<void>} Resolves when written
+ */
+export const putRecord = (storeName, value, key) => {
+  return runTransaction(storeName, 'readwrite', (store) => {
+    store.put(value, key);
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read, change and write one record in a single transaction, so concurrent
+ * updates from other tabs are not overwritten
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key (out-of-line)
+ * @param {Function} updater - Receives the stored value (or undefined) and returns the new one
+ * @returns {Promise<any>} The value written
+ */
+export const updateRecord = async (storeName, key, updater) => {
+  let updated;
+  await runTransaction(storeName, 'readwrite', (store) => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+      updated = updater(request.result);
+      store.put(updated, key);
+    };
+  });
+  return updated;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a record
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<void>} Resolves when deleted
+ */
+export const deleteRecord = (storeName, key) => {
+  return runTransaction(storeName, 'readwrite', (store) => {
+    store.delete(key);
+  });
+};
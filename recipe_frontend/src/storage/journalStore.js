@@ -0,0 +1,38 @@
+/**
+ * Persistence for the personal recipe journal, kept in localStorage
+ */
+import { sanitizeEntry } from '../utils/journal';
+
+const JOURNAL_KEY = 'recipe_journal';
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved journal
+ * @returns {Object} Entries keyed by recipe ID, empty when none are saved
+ */
+export const loadJournal = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(JOURNAL_KEY));
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+    return Object.entries(saved).reduce((journal, [id, value]) => {
+      const entry = sanitizeEntry(value);
+      if (entry) journal[id] = entry;
+      return journal;
+    }, {});
+  } catch {
+    return {};
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the journal
+ * @param {Object} journal - Entries keyed by recipe ID
+ */
+export const saveJournal = (journal) => {
+  try {
+    localStorage.setItem(JOURNAL_KEY, JSON.stringify(journal));
+  } catch (error) {
+    console.error('Failed to save recipe journal:', error);
+  }
+};
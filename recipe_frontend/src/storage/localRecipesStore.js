@@ -0,0 +1,34 @@
+/**
+ * Persistence for recipes stored on this device, kept in localStorage
+ */
+import { isLocalRecipeId } from '../utils/localRecipes';
+
+const LOCAL_RECIPES_KEY = 'recipe_local_recipes';
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved local recipes
+ * @returns {Array<Object>} Recipes, newest first; empty when none are saved
+ */
+export const loadLocalRecipes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCAL_RECIPES_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved.filter(recipe => recipe && isLocalRecipeId(recipe.id) && typeof recipe.name === 'string');
+  } catch {
+    return [];
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the local recipes
+ * @param {Array<Object>} recipes - Recipes, newest first
+ */
+export const saveLocalRecipes = (recipes) => {
+  try {
+    localStorage.setItem(LOCAL_RECIPES_KEY, JSON.stringify(recipes));
+  } catch (error) {
+    console.error('Failed to save local recipes:', error);
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Persistence for the weekly meal plan, kept in localStorage
+ */
+
+const MEAL_PLAN_KEY = 'recipe_meal_plan';
+
+/**
+ * Keep only slots holding well-formed planned recipes
+ * @param {any} value - Parsed storage value
+ * @returns {Object} Plan keyed by slot
+ */
+const sanitizeMealPlan = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+  return Object.entries(value).reduce((plan, [key, recipes]) => {
+    if (!/^\d{4}-\d{2}-\d{2}:\w+$/.test(key) || !Array.isArray(recipes)) return plan;
+    const valid = recipes.filter(recipe => recipe && recipe.id !== undefined && typeof recipe.name === 'string');
+    if (valid.length > 0) plan[key] = valid;
+    return plan;
+  }, {});
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved meal plan
+ * @returns {Object} Plan keyed by slot, empty when none is saved
+ */
+export const loadMealPlan = () => {
+  try {
+    return sanitizeMealPlan(JSON.parse(localStorage.getItem(MEAL_PLAN_KEY)));
+  } catch {
+    return {};
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the meal plan
+ * @param {Object} plan - Plan keyed by slot
+ */
+export const saveMealPlan = (plan) => {
+  try {
+    localStorage.setItem(MEAL_PLAN_KEY, JSON.stringify(plan));
+  } catch (error) {
+    console.error('Failed to save meal plan:', error);
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Persistence for the ingredients the user has on hand, kept in localStorage
+ */
+
+const PANTRY_KEY = 'recipe_pantry';
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved pantry
+ * @returns {Array<string>} Pantry items, empty when none are saved
+ */
+export const loadPantry = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PANTRY_KEY));
+    return Array.isArray(saved) ? saved.filter(item => typeof item === 'string' && item.trim()) : [];
+  } catch {
+    return [];
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the pantry
+ * @param {Array<string>} pantry - Pantry items
+ */
+export const savePantry = (pantry) => {
+  try {
+    localStorage.setItem(PANTRY_KEY, JSON.stringify(pantry));
+  } catch (error) {
+    console.error('Failed to save pantry:', error);
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Autosaved recipe editor drafts, kept in localStorage
+ * New recipes share one draft; each edited recipe has its own.
+ */
+import { createEmptyForm } from '../utils/recipeForm';
+
+const DRAFT_KEY_PREFIX = 'recipe_draft_';
+
+/**
+ * Keep only form fields of the expected types, filling the rest from an empty form
+ * @param {Object} saved - Parsed draft form
+ * @returns {Object} Form
+ */
+const sanitizeForm = (saved) => {
+  const form = createEmptyForm();
+  Object.keys(form).forEach((field) => {
+    const value = saved[field];
+    if (Array.isArray(form[field])) {
+      if (Array.isArray(value) && value.length > 0 && value.every(line => typeof line === 'string')) {
+        form[field] = value;
+      }
+    } else if (typeof value === 'string') {
+      form[field] = value;
+    }
+  });
+  return form;
+};
+
+const draftKey = (recipeId) => `${DRAFT_KEY_PREFIX}${recipeId === undefined || recipeId === null ? 'new' : recipeId}`;
+
+// PUBLIC_INTERFACE
+/**
+ * Read the draft for a recipe
+ * @param {string} [recipeId] - Recipe being edited; omit for a new recipe
+ * @returns {{form: Object, savedAt: string}|null} Draft form and when it was saved, or null
+ */
+export const loadDraft = (recipeId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(draftKey(recipeId)));
+    if (!saved || typeof saved.form !== 'object' || saved.form === null || typeof saved.savedAt !== 'string') {
+      return null;
+    }
+    return { form: sanitizeForm(saved.form), savedAt: saved.savedAt };
+  } catch {
+    return null;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the draft for a recipe
+ * @param {string} [recipeId] - Recipe being edited; omit for a new recipe
+ * @param {Object} form - Form state
+ * @param {Date} [date] - Save time
+ */
+export const saveDraft = (recipeId, form, date = new Date()) => {
+  try {
+    localStorage.setItem(draftKey(recipeId), JSON.stringify({ form, savedAt: date.toISOString() }));
+  } catch (error) {
+    console.error('Failed to save recipe draft:', error);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove the draft for a recipe
+ * @param {string} [recipeId] - Recipe being edited; omit for a new recipe
+ */
+export const clearDraft = (recipeId) => {
+  try {
+    localStorage.removeItem(draftKey(recipeId));
+  } catch (error) {
+    console.error('Failed to clear recipe draft:', error);
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Persistence for the shopping list
+ * The list is small and only read on startup, so it lives in localStorage.
+ */
+
+const SHOPPING_LIST_KEY = 'recipe_shopping_list';
+
+// PUBLIC_INTERFACE
+/**
+ * An empty shopping list
+ * @returns {{recipes: Array<Object>, checked: Array<string>}} Shopping list
+ */
+export const createEmptyShoppingList = () => ({ recipes: [], checked: [] });
+
+/**
+ * Keep only well-formed recipe entries and checked keys
+ * @param {any} value - Parsed storage value
+ * @returns {{recipes: Array<Object>, checked: Array<string>}} Shopping list
+ */
+const sanitizeShoppingList = (value) => {
+  if (!value || !Array.isArray(value.recipes)) return createEmptyShoppingList();
+
+  const recipes = value.recipes
+    .filter(entry => entry && entry.id !== undefined && Array.isArray(entry.ingredients))
+    .map(entry => ({
+      id: String(entry.id),
+      name: typeof entry.name === 'string' ? entry.name : 'Untitled recipe',
+      scale: Number(entry.scale) > 0 ? Number(entry.scale) : 1,
+      ingredients: entry.ingredients.filter(line => typeof line === 'string'),
+      addedAt: entry.addedAt || null,
+    }));
+  const checked = Array.isArray(value.checked)
+    ? value.checked.filter(key => typeof key === 'string')
+    : [];
+
+  return { recipes, checked };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved shopping list
+ * @returns {{recipes: Array<Object>, checked: Array<string>}} Shopping list, empty when none is saved
+ */
+export const loadShoppingList = () => {
+  try {
+    return sanitizeShoppingList(JSON.parse(localStorage.getItem(SHOPPING_LIST_KEY)));
+  } catch {
+    return createEmptyShoppingList();
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the shopping list
+ * @param {{recipes: Array<Object>, checked: Array<string>}} list - Shopping list
+ */
+export const saveShoppingList = (list) => {
+  try {
+    localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(list));
+  } catch (error) {
+    console.error('Failed to save shopping list:', error);
+  }
+};
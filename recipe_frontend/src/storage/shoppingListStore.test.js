@@ -0,0 +1,30 @@
+import { loadShoppingList, saveShoppingList } from './shoppingListStore';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('round-trips the shopping list through localStorage', () => {
+  const list = {
+    recipes: [{ id: '1', name: 'Soup', scale: 2, ingredients: ['1 onion'], addedAt: '2024-01-01T00:00:00.000Z' }],
+    checked: ['onion'],
+  };
+  saveShoppingList(list);
+  expect(loadShoppingList()).toEqual(list);
+});
+
+test('falls back to an empty list for missing or malformed data', () => {
+  expect(loadShoppingList()).toEqual({ recipes: [], checked: [] });
+
+  localStorage.setItem('recipe_shopping_list', 'not json');
+  expect(loadShoppingList()).toEqual({ recipes: [], checked: [] });
+
+  localStorage.setItem('recipe_shopping_list', JSON.stringify({
+    recipes: [{ id: 3, name: 'Stew', ingredients: ['2 carrots', 5] }, { name: 'No id' }],
+    checked: ['carrot', null],
+  }));
+  expect(loadShoppingList()).toEqual({
+    recipes: [{ id: '3', name: 'Stew', scale: 1, ingredients: ['2 carrots'], addedAt: null }],
+    checked: ['carrot'],
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Short audible alert for finished timers, generated with the Web Audio API
+ */
+
+let audioContext = null;
+
+/**
+ * Shared AudioContext, created lazily since browsers limit how many a page may open
+ * @returns {AudioContext|null} Audio context, or null when Web Audio is unavailable
+ */
+const getAudioContext = () => {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  return audioContext;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Unlock audio playback from inside a user gesture
+ * Browsers keep audio suspended until the page is interacted with, so call this
+ * when a timer is started to make sure its alarm can be heard later.
+ */
+export const primeAlarm = () => {
+  const context = getAudioContext();
+  if (context && context.state === 'suspended') {
+    context.resume().catch(() => {});
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Play three short beeps
+ */
+export const playAlarm = () => {
+  const context = getAudioContext();
+  if (!context) return;
+
+  [0, 0.4, 0.8].forEach((offset) => {
+    const start = context.currentTime + offset;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.001, start);
+    gain.gain.exponentialRampToValueAtTime(0.4, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.3);
+  });
+};
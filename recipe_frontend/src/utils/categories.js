@@ -0,0 +1,165 @@
+/**
+ * Helpers for turning the /categories API response into filter options
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Options used when the categories endpoint is unavailable
+ */
+export const FALLBACK_CATEGORIES = Object.freeze({
+  cuisines: [
+    { value: 'italian', label: 'Italian' },
+    { value: 'mexican', label: 'Mexican' },
+    { value: 'chinese', label: 'Chinese' },
+    { value: 'indian', label: 'Indian' },
+    { value: 'japanese', label: 'Japanese' },
+    { value: 'american', label: 'American' },
+    { value: 'french', label: 'French' },
+    { value: 'thai', label: 'Thai' },
+    { value: 'mediterranean', label: 'Mediterranean' },
+  ],
+  diets: [
+    { value: 'vegetarian', label: 'Vegetarian' },
+    { value: 'vegan', label: 'Vegan' },
+    { value: 'gluten-free', label: 'Gluten-Free' },
+    { value: 'keto', label: 'Keto' },
+    { value: 'paleo', label: 'Paleo' },
+    { value: 'dairy-free', label: 'Dairy-Free' },
+  ],
+  difficulties: [
+    { value: 'easy', label: 'Easy' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'hard', label: 'Hard' },
+  ],
+  tags: [],
+  times: [
+    { value: '15', label: '15 minutes' },
+    { value: '30', label: '30 minutes' },
+    { value: '45', label: '45 minutes' },
+    { value: '60', label: '1 hour' },
+    { value: '90', label: '1.5 hours' },
+    { value: '120', label: '2 hours' },
+  ],
+});
+
+// Accepted response keys for each option list, in order of preference
+const CATEGORY_KEYS = {
+  cuisines: ['cuisines', 'cuisine'],
+  diets: ['diets', 'diet'],
+  difficulties: ['difficulties', 'difficulty'],
+  tags: ['tags', 'tag'],
+  times: ['times', 'maxTimes', 'maxTime', 'time'],
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a readable label from a raw filter value
+ * @param {string} value - Raw value such as 'gluten-free' or '90'
+ * @param {string} type - Option list the value belongs to ('cuisines', 'diets' or 'times')
+ * @returns {string} Human readable label
+ */
+export const formatCategoryLabel = (value, type) => {
+  const text = String(value);
+
+  if (type === 'times' && /^\d+$/.test(text)) {
+    const minutes = parseInt(text, 10);
+    if (minutes >= 60 && minutes % 30 === 0) {
+      const hours = minutes / 60;
+      return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minutes`;
+  }
+
+  return text
+    .split('-')
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('-');
+};
+
+/**
+ * Normalize a single option from strings, numbers or objects
+ * @param {string|number|Object} option - Raw option
+ * @param {string} type - Option list the option belongs to
+ * @returns {Object|null} Option with value and label, or null if unusable
+ */
+const normalizeOption = (option, type) => {
+  if (option === null || option === undefined) return null;
+
+  if (typeof option !== 'object') {
+    return { value: String(option), label: formatCategoryLabel(option, type) };
+  }
+
+  const rawValue = option.value ?? option.slug ?? option.id ?? option.name;
+  if (rawValue === undefined || rawValue === null || rawValue === '') return null;
+
+  const value = String(rawValue);
+  return { value, label: option.label || option.name || formatCategoryLabel(value, type) };
+};
+
+/**
+ * Normalize a list of raw options, dropping duplicates and unusable entries
+ * @param {Array} list - Raw options
+ * @param {string} type - Option list the options belong to
+ * @returns {Array<Object>} Options with value and label
+ */
+const normalizeOptionList = (list, type) => {
+  const seen = new Set();
+  return list
+    .map((option) => normalizeOption(option, type))
+    .filter((option) => {
+      if (!option || seen.has(option.value)) return false;
+      seen.add(option.value);
+      return true;
+    });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize the /categories response into cuisine, diet, difficulty, tag and time option lists
+ * Accepts either an object keyed by list name or a flat array of { type, value, label }.
+ * Lists missing from the response fall back to FALLBACK_CATEGORIES.
+ * @param {Object|Array} data - Raw categories response
+ * @returns {Object} Object with cuisines, diets, difficulties, tags and times option arrays
+ */
+export const normalizeCategories = (data) => {
+  const result = {};
+
+  Object.entries(CATEGORY_KEYS).forEach(([type, keys]) => {
+    let list = null;
+
+    if (Array.isArray(data)) {
+      const matching = data.filter((item) => item && keys.includes(item.type));
+      list = matching.length > 0 ? matching : null;
+    } else if (data && typeof data === 'object') {
+      const key = keys.find((candidate) => Array.isArray(data[candidate]));
+      list = key ? data[key] : null;
+    }
+
+    const options = list ? normalizeOptionList(list, type) : [];
+    result[type] = options.length > 0 ? options : FALLBACK_CATEGORIES[type];
+  });
+
+  return result;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Ensure the currently selected value(s) are present in an option list
+ * Values that arrive from a deep link but are unknown to the backend are appended
+ * with a generated label so the control can still display them.
+ * @param {Array<Object>} options - Known options
+ * @param {string|Array<string>} selected - Currently selected value or values
+ * @param {string} type - Option list the options belong to
+ * @returns {Array<Object>} Options including the selected values
+ */
+export const withSelectedOption = (options, selected, type) => {
+  const selectedValues = (Array.isArray(selected) ? selected : [selected]).filter(Boolean).map(String);
+  const missing = selectedValues.filter(
+    (value) => !options.some((option) => option.value === value)
+  );
+
+  if (missing.length === 0) {
+    return options;
+  }
+  return [...options, ...missing.map((value) => ({ value, label: formatCategoryLabel(value, type) }))];
+};
@@ -0,0 +1,39 @@
+import { FALLBACK_CATEGORIES, normalizeCategories, withSelectedOption } from './categories';
+
+test('normalizes an object response with string and object options', () => {
+  const categories = normalizeCategories({
+    cuisines: ['korean', { value: 'thai', label: 'Thai' }, 'korean'],
+    diets: [{ id: 'low-fodmap', name: 'Low FODMAP' }],
+    maxTimes: [20, 90],
+  });
+
+  expect(categories.cuisines).toEqual([
+    { value: 'korean', label: 'Korean' },
+    { value: 'thai', label: 'Thai' },
+  ]);
+  expect(categories.diets).toEqual([{ value: 'low-fodmap', label: 'Low FODMAP' }]);
+  expect(categories.times).toEqual([
+    { value: '20', label: '20 minutes' },
+    { value: '90', label: '1.5 hours' },
+  ]);
+});
+
+test('normalizes a flat array response and falls back for missing lists', () => {
+  const categories = normalizeCategories([
+    { type: 'cuisine', value: 'greek', label: 'Greek' },
+    { type: 'diet', value: 'pescatarian' },
+  ]);
+
+  expect(categories.cuisines).toEqual([{ value: 'greek', label: 'Greek' }]);
+  expect(categories.diets).toEqual([{ value: 'pescatarian', label: 'Pescatarian' }]);
+  expect(categories.times).toBe(FALLBACK_CATEGORIES.times);
+});
+
+test('keeps an unknown selected value visible', () => {
+  const options = [{ value: 'thai', label: 'Thai' }];
+  expect(withSelectedOption(options, 'thai', 'cuisines')).toBe(options);
+  expect(withSelectedOption(options, 'sri-lankan', 'cuisines')).toEqual([
+    ...options,
+    { value: 'sri-lankan', label: 'Sri-Lankan' },
+  ]);
+});
@@ -0,0 +1,141 @@
+/**
+ * Helpers for named favorite collections
+ * A collection is { id, name, recipeIds, createdAt }. A recipe is a favorite when it
+ * belongs to at least one collection.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * ID of the collection that plain "favorite" actions use
+ */
+export const DEFAULT_COLLECTION_ID = 'favorites';
+
+// PUBLIC_INTERFACE
+/**
+ * Create the default collection
+ * @param {Array<string>} recipeIds - Initial recipe IDs
+ * @returns {Object} Default collection
+ */
+export const createDefaultCollection = (recipeIds = []) => ({
+  id: DEFAULT_COLLECTION_ID,
+  name: 'Favorites',
+  recipeIds: [...new Set(recipeIds)],
+  createdAt: new Date().toISOString(),
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Generate a unique ID for a new collection
+ * @returns {string} Collection ID
+ */
+export const generateCollectionId = () => {
+  return `col_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Validate stored collections, dropping malformed entries and ensuring the default exists
+ * @param {any} value - Parsed stored value
+ * @returns {Array<Object>|null} Valid collections, or null if the value is unusable
+ */
+export const sanitizeCollections = (value) => {
+  if (!Array.isArray(value)) return null;
+
+  const collections = value
+    .filter((item) => item && typeof item.id === 'string' && typeof item.name === 'string')
+    .map((item) => ({
+      id: item.id,
+      name: item.name,
+      recipeIds: Array.isArray(item.recipeIds) ? [...new Set(item.recipeIds)] : [],
+      createdAt: item.createdAt || new Date().toISOString(),
+    }));
+
+  if (!collections.some((collection) => collection.id === DEFAULT_COLLECTION_ID)) {
+    collections.unshift(createDefaultCollection());
+  }
+  return collections;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Union of recipe IDs across collections, in first-seen order
+ * @param {Array<Object>} collections - Collections
+ * @returns {Array<string>} Unique recipe IDs
+ */
+export const collectRecipeIds = (collections) => {
+  return [...new Set(collections.flatMap((collection) => collection.recipeIds))];
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return collections with a recipe added to or removed from one collection
+ * @param {Array<Object>} collections - Collections
+ * @param {string} collectionId - Target collection
+ * @param {string} recipeId - Recipe to add or remove
+ * @param {boolean} include - True to add, false to remove
+ * @returns {Array<Object>} Updated collections (unchanged array if nothing changed)
+ */
+export const setRecipeInCollection = (collections, collectionId, recipeId, include) => {
+  let changed = false;
+  const next = collections.map((collection) => {
+    if (collection.id !== collectionId) return collection;
+    const has = collection.recipeIds.includes(recipeId);
+    if (has === include) return collection;
+    changed = true;
+    return {
+      ...collection,
+      recipeIds: include
+        ? [...collection.recipeIds, recipeId]
+        : collection.recipeIds.filter((id) => id !== recipeId),
+    };
+  });
+  return changed ? next : collections;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Apply one change to a list of collections
+ * Changes are small operations rather than whole lists so they can be replayed on
+ * top of whatever another tab has stored, without overwriting its edits.
+ * Supported operations:
+ * - { type: 'add' | 'remove', collectionId, recipeId }
+ * - { type: 'removeEverywhere', recipeId }
+ * - { type: 'create', collection }
+ * - { type: 'rename', collectionId, name }
+ * - { type: 'delete', collectionId } (the default collection is kept)
+ * - { type: 'replace', collections }
+ * @param {Array<Object>} collections - Current collections
+ * @param {Object} op - Operation
+ * @returns {Array<Object>} Updated collections (unchanged array if nothing changed)
+ */
+export const applyCollectionsOp = (collections, op) => {
+  switch (op.type) {
+    case 'add':
+    case 'remove':
+      return setRecipeInCollection(collections, op.collectionId, op.recipeId, op.type === 'add');
+    case 'removeEverywhere':
+      return collections.reduce(
+        (next, collection) => setRecipeInCollection(next, collection.id, op.recipeId, false),
+        collections
+      );
+    case 'create':
+      return collections.some((collection) => collection.id === op.collection.id)
+        ? collections
+        : [...collections, op.collection];
+    case 'rename':
+      return collections.some((collection) => collection.id === op.collectionId && collection.name !== op.name)
+        ? collections.map((collection) => (
+          collection.id === op.collectionId ? { ...collection, name: op.name } : collection
+        ))
+        : collections;
+    case 'delete':
+      if (op.collectionId === DEFAULT_COLLECTION_ID) return collections;
+      return collections.some((collection) => collection.id === op.collectionId)
+        ? collections.filter((collection) => collection.id !== op.collectionId)
+        : collections;
+    case 'replace':
+      return sanitizeCollections(op.collections) || collections;
+    default:
+      return collections;
+  }
+};
@@ -0,0 +1,71 @@
+import {
+  DEFAULT_COLLECTION_ID,
+  applyCollectionsOp,
+  collectRecipeIds,
+  sanitizeCollections,
+  setRecipeInCollection,
+} from './collections';
+
+const collections = [
+  { id: DEFAULT_COLLECTION_ID, name: 'Favorites', recipeIds: ['1', '2'], createdAt: 'x' },
+  { id: 'weeknight', name: 'Weeknight', recipeIds: ['2', '3'], createdAt: 'x' },
+];
+
+test('collectRecipeIds returns the de-duplicated union in order', () => {
+  expect(collectRecipeIds(collections)).toEqual(['1', '2', '3']);
+});
+
+test('setRecipeInCollection adds and removes within one collection only', () => {
+  const added = setRecipeInCollection(collections, 'weeknight', '1', true);
+  expect(added[1].recipeIds).toEqual(['2', '3', '1']);
+  expect(added[0]).toBe(collections[0]);
+
+  const removed = setRecipeInCollection(added, 'weeknight', '2', false);
+  expect(removed[1].recipeIds).toEqual(['3', '1']);
+  expect(removed[0].recipeIds).toEqual(['1', '2']);
+});
+
+test('setRecipeInCollection returns the same array when nothing changes', () => {
+  expect(setRecipeInCollection(collections, DEFAULT_COLLECTION_ID, '1', true)).toBe(collections);
+  expect(setRecipeInCollection(collections, 'missing', '1', true)).toBe(collections);
+});
+
+test('sanitizeCollections drops malformed entries and restores the default collection', () => {
+  const result = sanitizeCollections([
+    { id: 'party', name: 'Party', recipeIds: ['5', '5'] },
+    { name: 'No id' },
+    null,
+  ]);
+
+  expect(result.map(collection => collection.id)).toEqual([DEFAULT_COLLECTION_ID, 'party']);
+  expect(result[1].recipeIds).toEqual(['5']);
+  expect(sanitizeCollections({ not: 'a list' })).toBeNull();
+  expect(sanitizeCollections(null)).toBeNull();
+});
+
+test('applyCollectionsOp replays edits from two tabs without losing either', () => {
+  // Both tabs started from `collections`; each op is applied to the latest stored value
+  const tabA = { type: 'add', collectionId: DEFAULT_COLLECTION_ID, recipeId: '9' };
+  const tabB = { type: 'removeEverywhere', recipeId: '2' };
+
+  const stored = applyCollectionsOp(applyCollectionsOp(collections, tabA), tabB);
+
+  expect(stored[0].recipeIds).toEqual(['1', '9']);
+  expect(stored[1].recipeIds).toEqual(['3']);
+  expect(applyCollectionsOp(stored, tabA)).toBe(stored);
+});
+
+test('applyCollectionsOp creates, renames and deletes collections', () => {
+  const created = applyCollectionsOp(collections, {
+    type: 'create',
+    collection: { id: 'party', name: 'Party', recipeIds: [], createdAt: 'x' },
+  });
+  expect(applyCollectionsOp(created, { type: 'create', collection: created[2] })).toBe(created);
+
+  const renamed = applyCollectionsOp(created, { type: 'rename', collectionId: 'party', name: 'Parties' });
+  expect(renamed[2].name).toBe('Parties');
+
+  const deleted = applyCollectionsOp(renamed, { type: 'delete', collectionId: 'party' });
+  expect(deleted.map(collection => collection.id)).toEqual([DEFAULT_COLLECTION_ID, 'weeknight']);
+  expect(applyCollectionsOp(deleted, { type: 'delete', collectionId: DEFAULT_COLLECTION_ID })).toBe(deleted);
+});
@@ -0,0 +1,23 @@
+/**
+ * Browser file download helper
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Save text content as a file via a temporary object URL
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [type] - MIME type
+ */
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
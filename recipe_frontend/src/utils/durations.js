@@ -0,0 +1,97 @@
+/**
+ * Duration detection for recipe steps
+ * Finds phrases like "simmer for 20 minutes" or "1 hour 30 mins" so cook mode can offer timers.
+ */
+
+const UNIT_SECONDS = {
+  hour: 3600,
+  minute: 60,
+  second: 1,
+};
+
+const UNIT_WORDS = '(hours?|hrs?|minutes?|mins?|seconds?|secs?)';
+const AMOUNT = '(\\d+(?:\\.\\d+)?|\\d*\\s*½|an?|one|half an?)';
+const PART = `${AMOUNT}(?:\\s*(?:-|–|to)\\s*(\\d+(?:\\.\\d+)?))?\\s*${UNIT_WORDS}\\b`;
+// One part, optionally followed by "and 30 minutes" / "30 minutes" for compound durations
+const DURATION_PATTERN = new RegExp(`${PART}(?:,?\\s*(?:and\\s+)?${PART})?`, 'gi');
+
+/**
+ * Seconds for one matched amount and unit
+ * @param {string} amount - Amount text ("20", "an", "1½", "half an")
+ * @param {string} unit - Unit word
+ * @returns {number} Seconds
+ */
+const partSeconds = (amount, unit) => {
+  const text = amount.toLowerCase().trim();
+  let value;
+  if (text.startsWith('half')) value = 0.5;
+  else if (text === 'a' || text === 'an' || text === 'one') value = 1;
+  else if (text.endsWith('½')) value = (Number(text.slice(0, -1).trim()) || 0) + 0.5;
+  else value = Number(text);
+
+  const key = unit.toLowerCase().startsWith('h') ? 'hour'
+    : unit.toLowerCase().startsWith('m') ? 'minute'
+      : 'second';
+  return value * UNIT_SECONDS[key];
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Find durations mentioned in text
+ * For ranges ("20-25 minutes") the shorter time is used, so the cook checks early.
+ * @param {string} text - Step text
+ * @returns {Array<{text: string, index: number, seconds: number}>} Durations in order of appearance
+ */
+export const findDurations = (text) => {
+  if (typeof text !== 'string') return [];
+  const durations = [];
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    // "a"/"an" must be whole words, not the end of "pan hour"
+    if (/\w/.test(text.charAt(match.index - 1))) continue;
+    const [, amount, , unit, secondAmount, , secondUnit] = match;
+    let seconds = partSeconds(amount, unit);
+    if (secondAmount) seconds += partSeconds(secondAmount, secondUnit);
+    if (seconds > 0) {
+      durations.push({ text: match[0], index: match.index, seconds: Math.round(seconds) });
+    }
+  }
+
+  return durations;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Split text into plain segments and duration segments, for rendering timers inline
+ * @param {string} text - Step text
+ * @returns {Array<{text: string, seconds?: number}>} Segments; duration segments carry seconds
+ */
+export const splitDurations = (text) => {
+  const segments = [];
+  let cursor = 0;
+
+  findDurations(text).forEach(({ text: durationText, index, seconds }) => {
+    if (index > cursor) segments.push({ text: text.slice(cursor, index) });
+    segments.push({ text: durationText, seconds });
+    cursor = index + durationText.length;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+
+  return segments;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Format seconds as a countdown clock
+ * @param {number} totalSeconds - Seconds remaining
+ * @returns {string} "m:ss", or "h:mm:ss" for an hour or more
+ */
+export const formatClock = (totalSeconds) => {
+  const seconds = Math.max(0, Math.ceil(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
@@ -0,0 +1,39 @@
+import { findDurations, formatClock, splitDurations } from './durations';
+
+test('findDurations detects minutes, hours, seconds and compound times', () => {
+  expect(findDurations('Simmer for 20 minutes.')).toEqual([{ text: '20 minutes', index: 11, seconds: 1200 }]);
+  expect(findDurations('Bake 1 hour 30 mins')[0].seconds).toBe(5400);
+  expect(findDurations('Rest for an hour')[0].seconds).toBe(3600);
+  expect(findDurations('Roast 1½ hours')[0].seconds).toBe(5400);
+  expect(findDurations('Whisk 30 secs')[0].seconds).toBe(30);
+  expect(findDurations('Cook 2 minutes, then flip and cook 3 minutes').map(d => d.seconds)).toEqual([120, 180]);
+  expect(findDurations('Leave the pan hours ahead')).toEqual([]);
+});
+
+test('findDurations uses the shorter end of a range', () => {
+  expect(findDurations('Bake 20-25 minutes')[0]).toMatchObject({ text: '20-25 minutes', seconds: 1200 });
+  expect(findDurations('Braise 2 to 3 hours')[0].seconds).toBe(7200);
+});
+
+test('findDurations ignores text without times', () => {
+  expect(findDurations('Preheat the oven to 350°F')).toEqual([]);
+  expect(findDurations('Add 2 cups of stock')).toEqual([]);
+  expect(findDurations(undefined)).toEqual([]);
+});
+
+test('splitDurations keeps the surrounding text intact', () => {
+  const segments = splitDurations('Simmer for 20 minutes, stirring.');
+  expect(segments).toEqual([
+    { text: 'Simmer for ' },
+    { text: '20 minutes', seconds: 1200 },
+    { text: ', stirring.' },
+  ]);
+  expect(segments.map(s => s.text).join('')).toBe('Simmer for 20 minutes, stirring.');
+});
+
+test('formatClock shows minutes and seconds, adding hours when needed', () => {
+  expect(formatClock(65)).toBe('1:05');
+  expect(formatClock(0)).toBe('0:00');
+  expect(formatClock(3725)).toBe('1:02:05');
+  expect(formatClock(-3)).toBe('0:00');
+});
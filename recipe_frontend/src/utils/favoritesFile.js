@@ -0,0 +1,182 @@
+/**
+ * Versioned favorites export file: format, validation and import planning
+ */
+import { collectRecipeIds, sanitizeCollections } from './collections';
+import { SNAPSHOT_FIELDS, snapshotKey } from './snapshots';
+
+// PUBLIC_INTERFACE
+/**
+ * Identifier written into every export so other JSON files are rejected
+ */
+export const FAVORITES_FILE_FORMAT = 'recipe-explorer-favorites';
+
+// PUBLIC_INTERFACE
+/**
+ * Current export file version
+ */
+export const FAVORITES_FILE_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Thrown when an import file cannot be used; the message is shown to the user
+ */
+export class FavoritesFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FavoritesFileError';
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build the export document
+ * @param {Array<Object>} collections - Favorite collections
+ * @param {Object} snapshots - Snapshots keyed by snapshotKey
+ * @returns {Object} Export document, ready for JSON.stringify
+ */
+export const buildFavoritesExport = (collections, snapshots) => {
+  const favoriteKeys = new Set(collectRecipeIds(collections).map(snapshotKey));
+  return {
+    format: FAVORITES_FILE_FORMAT,
+    version: FAVORITES_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections: collections.map(({ id, name, recipeIds, createdAt }) => ({ id, name, recipeIds, createdAt })),
+    snapshots: Object.values(snapshots).filter((snapshot) => favoriteKeys.has(snapshot.key)),
+  };
+};
+
+/**
+ * Keep only known snapshot fields from an imported snapshot
+ * @param {any} value - Snapshot from the file
+ * @returns {Object|null} Clean snapshot, or null if it has no usable ID
+ */
+const sanitizeSnapshot = (value) => {
+  if (!value || (typeof value.id !== 'string' && typeof value.id !== 'number')) return null;
+
+  const snapshot = { key: snapshotKey(value.id), id: value.id };
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (value[field] !== undefined && value[field] !== null) snapshot[field] = value[field];
+  });
+  if (typeof value.savedAt === 'string') snapshot.savedAt = value.savedAt;
+  return snapshot;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parse and validate an export file
+ * @param {string} text - File contents
+ * @returns {{collections: Array<Object>, snapshots: Object, exportedAt: string|null}} Parsed favorites
+ * @throws {FavoritesFileError} If the file is not a usable favorites export
+ */
+export const parseFavoritesFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new FavoritesFileError('This file is not valid JSON.');
+  }
+
+  if (!data || data.format !== FAVORITES_FILE_FORMAT) {
+    throw new FavoritesFileError('This file is not a Recipe Explorer favorites export.');
+  }
+  if (typeof data.version !== 'number' || data.version > FAVORITES_FILE_VERSION) {
+    throw new FavoritesFileError('This file was made by a newer version of the app and cannot be imported.');
+  }
+
+  const collections = sanitizeCollections(
+    Array.isArray(data.collections)
+      ? data.collections.map((collection) => collection && {
+        ...collection,
+        recipeIds: Array.isArray(collection.recipeIds)
+          ? collection.recipeIds.filter((id) => typeof id === 'string' || typeof id === 'number')
+          : [],
+      })
+      : null
+  );
+  if (!collections) {
+    throw new FavoritesFileError('This file does not contain any collections.');
+  }
+
+  const snapshots = {};
+  (Array.isArray(data.snapshots) ? data.snapshots : []).forEach((value) => {
+    const snapshot = sanitizeSnapshot(value);
+    if (snapshot) snapshots[snapshot.key] = snapshot;
+  });
+
+  return {
+    collections,
+    snapshots,
+    exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Work out the result of importing favorites
+ * - merge: collections with the same ID or name are combined, others are added
+ * - replace: imported collections replace the current ones
+ * Recipe IDs in `excludeIds` (e.g. recipes the backend does not know) are left out.
+ * @param {Object} current - { collections, snapshots } currently stored
+ * @param {Object} incoming - { collections, snapshots } from parseFavoritesFile
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'merge' or 'replace'
+ * @param {Array<string>} [options.excludeIds] - Stringified recipe IDs to skip
+ * @returns {Object} { collections, snapshots, added, duplicates } where added and
+ *   duplicates are stringified recipe IDs
+ */
+export const planFavoritesImport = (current, incoming, { mode, excludeIds = [] }) => {
+  const excluded = new Set(excludeIds.map(snapshotKey));
+  const incomingCollections = incoming.collections.map((collection) => ({
+    ...collection,
+    recipeIds: collection.recipeIds.filter((id) => !excluded.has(snapshotKey(id))),
+  }));
+
+  const currentKeys = new Set(collectRecipeIds(current.collections).map(snapshotKey));
+  const importedKeys = collectRecipeIds(incomingCollections).map(snapshotKey);
+  const duplicates = [...new Set(importedKeys.filter((key) => currentKeys.has(key)))];
+
+  let collections;
+  if (mode === 'replace') {
+    collections = incomingCollections;
+  } else {
+    collections = current.collections.map((collection) => ({ ...collection }));
+    incomingCollections.forEach((collection) => {
+      const target = collections.find((existing) => (
+        existing.id === collection.id
+        || existing.name.trim().toLowerCase() === collection.name.trim().toLowerCase()
+      ));
+      if (target) {
+        const keys = new Set(target.recipeIds.map(snapshotKey));
+        target.recipeIds = [
+          ...target.recipeIds,
+          ...collection.recipeIds.filter((id) => !keys.has(snapshotKey(id))),
+        ];
+      } else {
+        collections.push(collection);
+      }
+    });
+  }
+
+  const keptKeys = new Set(collectRecipeIds(collections).map(snapshotKey));
+  const snapshots = {};
+  const addSnapshots = (source) => {
+    Object.values(source).forEach((snapshot) => {
+      if (keptKeys.has(snapshot.key) && !snapshots[snapshot.key]) snapshots[snapshot.key] = snapshot;
+    });
+  };
+  // Local snapshots win in a merge; the file's win in a replace
+  if (mode === 'replace') {
+    addSnapshots(incoming.snapshots);
+    addSnapshots(current.snapshots);
+  } else {
+    addSnapshots(current.snapshots);
+    addSnapshots(incoming.snapshots);
+  }
+
+  return {
+    collections: sanitizeCollections(collections),
+    snapshots,
+    added: [...new Set(importedKeys.filter((key) => !currentKeys.has(key)))],
+    duplicates,
+  };
+};
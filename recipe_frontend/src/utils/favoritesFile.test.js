@@ -0,0 +1,59 @@
+import { DEFAULT_COLLECTION_ID } from './collections';
+import {
+  FavoritesFileError,
+  buildFavoritesExport,
+  parseFavoritesFile,
+  planFavoritesImport,
+} from './favoritesFile';
+
+const current = {
+  collections: [
+    { id: DEFAULT_COLLECTION_ID, name: 'Favorites', recipeIds: ['1', '2'], createdAt: 'x' },
+    { id: 'col_a', name: 'Weeknight', recipeIds: ['2'], createdAt: 'x' },
+  ],
+  snapshots: { 1: { key: '1', id: '1', name: 'Pho' } },
+};
+
+const exported = () => JSON.stringify(buildFavoritesExport(
+  [
+    { id: DEFAULT_COLLECTION_ID, name: 'Favorites', recipeIds: ['2', '3', '9'], createdAt: 'y' },
+    { id: 'col_b', name: 'weeknight', recipeIds: ['4'], createdAt: 'y' },
+    { id: 'col_c', name: 'Baking', recipeIds: ['5'], createdAt: 'y' },
+  ],
+  { 3: { key: '3', id: '3', name: 'Ramen' }, 99: { key: '99', id: '99', name: 'Not favorited' } }
+));
+
+test('round-trips an export and drops snapshots of non-favorites', () => {
+  const parsed = parseFavoritesFile(exported());
+
+  expect(parsed.collections.map(collection => collection.name)).toEqual(['Favorites', 'weeknight', 'Baking']);
+  expect(Object.keys(parsed.snapshots)).toEqual(['3']);
+});
+
+test('rejects files that are not favorites exports', () => {
+  expect(() => parseFavoritesFile('not json')).toThrow(FavoritesFileError);
+  expect(() => parseFavoritesFile('{"format":"other"}')).toThrow('not a Recipe Explorer favorites export');
+  expect(() => parseFavoritesFile(JSON.stringify({ format: 'recipe-explorer-favorites', version: 99 })))
+    .toThrow('newer version');
+});
+
+test('merge combines collections by ID or name and reports duplicates', () => {
+  const plan = planFavoritesImport(current, parseFavoritesFile(exported()), { mode: 'merge', excludeIds: ['9'] });
+
+  expect(plan.collections.map(collection => [collection.name, collection.recipeIds])).toEqual([
+    ['Favorites', ['1', '2', '3']],
+    ['Weeknight', ['2', '4']],
+    ['Baking', ['5']],
+  ]);
+  expect(plan.duplicates).toEqual(['2']);
+  expect(plan.added).toEqual(['3', '4', '5']);
+  expect(Object.keys(plan.snapshots).sort()).toEqual(['1', '3']);
+});
+
+test('replace keeps only the imported collections', () => {
+  const plan = planFavoritesImport(current, parseFavoritesFile(exported()), { mode: 'replace' });
+
+  expect(plan.collections.map(collection => collection.id)).toEqual([DEFAULT_COLLECTION_ID, 'col_b', 'col_c']);
+  expect(plan.collections[0].recipeIds).toEqual(['2', '3', '9']);
+  expect(Object.keys(plan.snapshots)).toEqual(['3']);
+});
@@ -0,0 +1,159 @@
+/**
+ * Shared filter helpers for Recipe Explorer
+ * The same encoding is used for the URL query string and for API requests.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Filter schema
+ * - list: several values; `match` is 'any' (recipe has one of them) or 'all' (recipe has every one)
+ * - min / max: numeric bound on a recipe field
+ */
+export const FILTER_FIELDS = Object.freeze({
+  cuisine: { kind: 'list', match: 'any', recipeFields: ['cuisine'] },
+  diet: { kind: 'list', match: 'all', recipeFields: ['diet', 'diets'] },
+  difficulty: { kind: 'list', match: 'any', recipeFields: ['difficulty'] },
+  tags: { kind: 'list', match: 'all', recipeFields: ['tags'] },
+  maxTime: { kind: 'max', recipeField: 'cookTime' },
+  minServings: { kind: 'min', recipeField: 'servings' },
+  maxServings: { kind: 'max', recipeField: 'servings' },
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Default (empty) filter values
+ */
+export const DEFAULT_FILTERS = Object.freeze({
+  cuisine: [],
+  diet: [],
+  difficulty: [],
+  tags: [],
+  maxTime: '',
+  minServings: '',
+  maxServings: '',
+});
+
+const LIST_SEPARATOR = ',';
+
+/**
+ * Coerce a list filter value into an array of non-empty strings
+ * @param {Array|string|undefined} value - Array or comma separated string
+ * @returns {Array<string>} List values
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+  return list.map((item) => String(item).trim()).filter(Boolean);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize filter values: list filters become arrays, bounds become strings
+ * Accepts legacy single-value filters such as { cuisine: 'thai' }.
+ * @param {Object} filters - Raw filter values
+ * @returns {Object} Complete filter object
+ */
+export const normalizeFilters = (filters = {}) => {
+  const normalized = {};
+  Object.entries(FILTER_FIELDS).forEach(([key, field]) => {
+    const value = filters[key];
+    normalized[key] = field.kind === 'list'
+      ? toList(value)
+      : (value === undefined || value === null ? '' : String(value));
+  });
+  return normalized;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Encode filters as query parameter entries
+ * List filters are joined with commas; empty filters are omitted.
+ * @param {Object} filters - Filter values
+ * @returns {Array<Array<string>>} Array of [name, value] pairs
+ */
+export const encodeFilters = (filters) => {
+  const normalized = normalizeFilters(filters);
+  return Object.keys(FILTER_FIELDS)
+    .map((key) => {
+      const value = normalized[key];
+      return [key, Array.isArray(value) ? value.join(LIST_SEPARATOR) : value];
+    })
+    .filter(([, value]) => value !== '');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether any filter has a value set
+ * @param {Object} filters - Filter values
+ * @returns {boolean} True if at least one filter is active
+ */
+export const hasActiveFilters = (filters) => {
+  return encodeFilters(filters).length > 0;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Decode filters from query parameters
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object} Complete filter object
+ */
+export const decodeFilters = (searchParams) => {
+  const raw = {};
+  Object.entries(FILTER_FIELDS).forEach(([key, field]) => {
+    raw[key] = field.kind === 'list'
+      ? searchParams.getAll(key).join(LIST_SEPARATOR)
+      : searchParams.get(key);
+  });
+  return normalizeFilters(raw);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Add or remove a value from a list filter
+ * @param {Array<string>} list - Current values
+ * @param {string} value - Value to toggle
+ * @returns {Array<string>} New list
+ */
+export const toggleListValue = (list, value) => {
+  return list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+};
+
+/**
+ * Collect the lower-cased values a recipe holds for a list filter
+ * @param {Object} recipe - Recipe object
+ * @param {Array<string>} recipeFields - Recipe properties to read
+ * @returns {Array<string>} Lower-cased values
+ */
+const recipeValues = (recipe, recipeFields) => {
+  return recipeFields.flatMap((name) => toList(recipe[name])).map((value) => value.toLowerCase());
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a recipe satisfies all active filters (client-side filtering)
+ * @param {Object} recipe - Recipe object
+ * @param {Object} filters - Filter values
+ * @returns {boolean} True if the recipe matches
+ */
+export const matchesFilters = (recipe, filters) => {
+  const normalized = normalizeFilters(filters);
+
+  return Object.entries(FILTER_FIELDS).every(([key, field]) => {
+    const value = normalized[key];
+
+    if (field.kind === 'list') {
+      if (value.length === 0) return true;
+      const available = recipeValues(recipe, field.recipeFields);
+      const wanted = value.map((item) => item.toLowerCase());
+      return field.match === 'all'
+        ? wanted.every((item) => available.includes(item))
+        : wanted.some((item) => available.includes(item));
+    }
+
+    const bound = parseFloat(value);
+    if (Number.isNaN(bound)) return true;
+    const actual = parseFloat(recipe[field.recipeField]);
+    if (Number.isNaN(actual)) return false;
+    return field.kind === 'min' ? actual >= bound : actual <= bound;
+  });
+};
@@ -0,0 +1,44 @@
+import { encodeFilters, hasActiveFilters, matchesFilters, normalizeFilters } from './filters';
+
+const recipe = {
+  cuisine: 'Thai',
+  diet: ['Vegan', 'Gluten-Free'],
+  difficulty: 'Medium',
+  tags: ['spicy', 'curry'],
+  cookTime: 40,
+  servings: 4,
+};
+
+test('normalizes legacy single-value filters into lists', () => {
+  expect(normalizeFilters({ cuisine: 'thai', maxTime: 30 })).toEqual({
+    cuisine: ['thai'],
+    diet: [],
+    difficulty: [],
+    tags: [],
+    maxTime: '30',
+    minServings: '',
+    maxServings: '',
+  });
+});
+
+test('encodes only active filters', () => {
+  const filters = { cuisine: ['thai', 'indian'], diet: [], minServings: '2' };
+  expect(encodeFilters(filters)).toEqual([['cuisine', 'thai,indian'], ['minServings', '2']]);
+  expect(hasActiveFilters(filters)).toBe(true);
+  expect(hasActiveFilters(normalizeFilters({}))).toBe(false);
+});
+
+test('matches any selected cuisine and every selected diet', () => {
+  expect(matchesFilters(recipe, { cuisine: ['italian', 'thai'] })).toBe(true);
+  expect(matchesFilters(recipe, { cuisine: ['italian'] })).toBe(false);
+  expect(matchesFilters(recipe, { diet: ['vegan', 'gluten-free'] })).toBe(true);
+  expect(matchesFilters(recipe, { diet: ['vegan', 'keto'] })).toBe(false);
+  expect(matchesFilters(recipe, { difficulty: ['easy', 'medium'], tags: ['spicy'] })).toBe(true);
+});
+
+test('applies numeric bounds to cook time and servings', () => {
+  expect(matchesFilters(recipe, { maxTime: '45', minServings: '2', maxServings: '4' })).toBe(true);
+  expect(matchesFilters(recipe, { maxTime: '30' })).toBe(false);
+  expect(matchesFilters(recipe, { minServings: '6' })).toBe(false);
+  expect(matchesFilters({ ...recipe, servings: undefined }, { maxServings: '4' })).toBe(false);
+});
@@ -0,0 +1,68 @@
+/**
+ * Recently viewed recipes
+ * History is a newest-first list of { id, name, image, cookTime, viewedAt } with one
+ * entry per recipe; viewing a recipe again moves it to the top.
+ */
+import { toPlannedRecipe } from './planner';
+
+// PUBLIC_INTERFACE
+/**
+ * Most recipes kept in the history
+ */
+export const HISTORY_LIMIT = 50;
+
+// PUBLIC_INTERFACE
+/**
+ * Record a recipe view
+ * @param {Array<Object>} history - Current history, newest first
+ * @param {Object} recipe - Viewed recipe
+ * @param {Date} [date] - When it was viewed (defaults to now)
+ * @returns {Array<Object>} New history
+ */
+export const recordVisit = (history, recipe, date = new Date()) => {
+  const entry = { ...toPlannedRecipe(recipe), viewedAt: date.toISOString() };
+  return [entry, ...history.filter(visit => visit.id !== entry.id)].slice(0, HISTORY_LIMIT);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove a recipe from the history
+ * @param {Array<Object>} history - Current history
+ * @param {string} recipeId - Recipe ID
+ * @returns {Array<Object>} New history
+ */
+export const removeVisit = (history, recipeId) => history.filter(visit => visit.id !== String(recipeId));
+
+// PUBLIC_INTERFACE
+/**
+ * Group history by the local day it was viewed
+ * @param {Array<Object>} history - History, newest first
+ * @param {Date} [now] - Current time, for "Today" and "Yesterday"
+ * @returns {Array<{label: string, visits: Array<Object>}>} Groups, newest first
+ */
+export const groupVisitsByDay = (history, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const yesterday = new Date(today);
+  yesterday.setDate(today.getDate() - 1);
+
+  return history.reduce((groups, visit) => {
+    const viewed = new Date(visit.viewedAt);
+    const day = new Date(viewed.getFullYear(), viewed.getMonth(), viewed.getDate());
+    let label;
+    if (day.getTime() === today.getTime()) {
+      label = 'Today';
+    } else if (day.getTime() === yesterday.getTime()) {
+      label = 'Yesterday';
+    } else {
+      label = day.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+    }
+
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.visits.push(visit);
+    } else {
+      groups.push({ label, visits: [visit] });
+    }
+    return groups;
+  }, []);
+};
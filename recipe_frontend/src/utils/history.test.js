@@ -0,0 +1,34 @@
+import { HISTORY_LIMIT, groupVisitsByDay, recordVisit, removeVisit } from './history';
+
+test('recordVisit puts the latest view first without duplicates', () => {
+  let history = recordVisit([], { id: 1, name: 'Curry' }, new Date(2024, 2, 1, 19));
+  history = recordVisit(history, { id: 2, name: 'Soup' }, new Date(2024, 2, 2, 12));
+  history = recordVisit(history, { id: 1, name: 'Curry' }, new Date(2024, 2, 3, 19));
+
+  expect(history.map(visit => visit.id)).toEqual(['1', '2']);
+  expect(history[0].viewedAt).toBe(new Date(2024, 2, 3, 19).toISOString());
+  expect(removeVisit(history, 1).map(visit => visit.id)).toEqual(['2']);
+});
+
+test('recordVisit caps the history', () => {
+  let history = [];
+  for (let id = 0; id < HISTORY_LIMIT + 5; id += 1) {
+    history = recordVisit(history, { id, name: `Recipe ${id}` });
+  }
+  expect(history).toHaveLength(HISTORY_LIMIT);
+  expect(history[0].id).toBe(String(HISTORY_LIMIT + 4));
+});
+
+test('groupVisitsByDay labels today and yesterday', () => {
+  const now = new Date(2024, 2, 10, 9);
+  const history = [
+    { id: '1', viewedAt: new Date(2024, 2, 10, 8).toISOString() },
+    { id: '2', viewedAt: new Date(2024, 2, 9, 22).toISOString() },
+    { id: '3', viewedAt: new Date(2024, 2, 9, 7).toISOString() },
+    { id: '4', viewedAt: new Date(2024, 2, 1, 7).toISOString() },
+  ];
+  const groups = groupVisitsByDay(history, now);
+  expect(groups.map(group => group.label).slice(0, 2)).toEqual(['Today', 'Yesterday']);
+  expect(groups[1].visits.map(visit => visit.id)).toEqual(['2', '3']);
+  expect(groups).toHaveLength(3);
+});
@@ -0,0 +1,276 @@
+/**
+ * Ingredient line parsing, scaling and formatting
+ * Turns strings like "1 1/2 cups flour" or "½ tsp salt" into
+ * { quantity, unit, item } so amounts can be rescaled and shown as friendly fractions.
+ */
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '¼': 1 / 4,
+  '¾': 3 / 4,
+  '⅕': 1 / 5,
+  '⅖': 2 / 5,
+  '⅗': 3 / 5,
+  '⅘': 4 / 5,
+  '⅙': 1 / 6,
+  '⅚': 5 / 6,
+  '⅛': 1 / 8,
+  '⅜': 3 / 8,
+  '⅝': 5 / 8,
+  '⅞': 7 / 8,
+};
+
+// Fractions used for display, with their glyphs
+const DISPLAY_FRACTIONS = [
+  [1 / 8, '⅛'],
+  [1 / 4, '¼'],
+  [1 / 3, '⅓'],
+  [3 / 8, '⅜'],
+  [1 / 2, '½'],
+  [5 / 8, '⅝'],
+  [2 / 3, '⅔'],
+  [3 / 4, '¾'],
+  [7 / 8, '⅞'],
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Known units
+ * `type` groups units that measure the same thing (used for unit conversion);
+ * `aliases` are extra spellings recognised in ingredient lines (case-insensitive,
+ * except single letters, where "T" is a tablespoon and "t" a teaspoon).
+ */
+export const UNITS = {
+  teaspoon: { singular: 'teaspoon', plural: 'teaspoons', type: 'volume', aliases: ['tsp', 'tsps', 't'] },
+  tablespoon: { singular: 'tablespoon', plural: 'tablespoons', type: 'volume', aliases: ['tbsp', 'tbsps', 'tbs', 'tbl', 'T'] },
+  cup: { singular: 'cup', plural: 'cups', type: 'volume', aliases: ['c'] },
+  fluidOunce: { singular: 'fl oz', plural: 'fl oz', type: 'volume', aliases: ['fl. oz', 'fluid ounce', 'fluid ounces'] },
+  pint: { singular: 'pint', plural: 'pints', type: 'volume', aliases: ['pt'] },
+  quart: { singular: 'quart', plural: 'quarts', type: 'volume', aliases: ['qt'] },
+  gallon: { singular: 'gallon', plural: 'gallons', type: 'volume', aliases: ['gal'] },
+  milliliter: { singular: 'milliliter', plural: 'milliliters', type: 'volume', aliases: ['ml', 'millilitre', 'millilitres'] },
+  liter: { singular: 'liter', plural: 'liters', type: 'volume', aliases: ['l', 'litre', 'litres'] },
+  ounce: { singular: 'ounce', plural: 'ounces', type: 'weight', aliases: ['oz'] },
+  pound: { singular: 'pound', plural: 'pounds', type: 'weight', aliases: ['lb', 'lbs'] },
+  gram: { singular: 'gram', plural: 'grams', type: 'weight', aliases: ['g', 'gr', 'gramme', 'grammes'] },
+  kilogram: { singular: 'kilogram', plural: 'kilograms', type: 'weight', aliases: ['kg', 'kgs', 'kilogramme', 'kilogrammes'] },
+  pinch: { singular: 'pinch', plural: 'pinches', type: 'other', aliases: [] },
+  dash: { singular: 'dash', plural: 'dashes', type: 'other', aliases: [] },
+  clove: { singular: 'clove', plural: 'cloves', type: 'other', aliases: [] },
+  can: { singular: 'can', plural: 'cans', type: 'other', aliases: [] },
+  slice: { singular: 'slice', plural: 'slices', type: 'other', aliases: [] },
+  stick: { singular: 'stick', plural: 'sticks', type: 'other', aliases: [] },
+  bunch: { singular: 'bunch', plural: 'bunches', type: 'other', aliases: [] },
+  sprig: { singular: 'sprig', plural: 'sprigs', type: 'other', aliases: [] },
+  handful: { singular: 'handful', plural: 'handfuls', type: 'other', aliases: [] },
+  package: { singular: 'package', plural: 'packages', type: 'other', aliases: ['pkg'] },
+};
+
+// Spelling -> unit key, longest spellings first so "fl oz" wins over "oz"
+const UNIT_SPELLINGS = Object.entries(UNITS)
+  .flatMap(([key, unit]) => [unit.singular, unit.plural, ...unit.aliases].map((spelling) => [spelling, key]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+const NUMBER = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d+\\/\\d+|\\d*\\.\\d+|\\d+|[${FRACTION_CHARS}])`;
+const QUANTITY_PATTERN = new RegExp(`^\\s*(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?`);
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a single quantity such as "2", "1.5", "3/4", "1 1/2", "½" or "1½"
+ * @param {string} text - Quantity text
+ * @returns {number|null} Numeric value, or null if not a quantity
+ */
+export const parseQuantity = (text) => {
+  const value = String(text).trim();
+  if (!value) return null;
+
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    return Number(mixed[3]) === 0 ? null : Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  }
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+  }
+
+  const unicode = value.match(new RegExp(`^(\\d*)\\s*([${FRACTION_CHARS}])$`));
+  if (unicode) {
+    return Number(unicode[1] || 0) + UNICODE_FRACTIONS[unicode[2]];
+  }
+
+  if (/^(\d+|\d*\.\d+)$/.test(value)) {
+    return Number(value);
+  }
+  return null;
+};
+
+/**
+ * Match a known unit at the start of text
+ * @param {string} text - Text following the quantity
+ * @returns {{key: string, text: string}|null} Unit key and the exact text matched
+ */
+const matchUnit = (text) => {
+  for (const [spelling, key] of UNIT_SPELLINGS) {
+    // Single-letter "T" (tablespoon) vs "t" (teaspoon) is case-sensitive; the rest are not
+    const candidate = spelling.length === 1 ? text.slice(0, 1) : text.slice(0, spelling.length).toLowerCase();
+    const compare = spelling.length === 1 ? spelling : spelling.toLowerCase();
+    if (candidate !== compare) continue;
+
+    const rest = text.slice(spelling.length);
+    // Allow an abbreviation dot, and require the unit to end at a word boundary
+    const dot = rest.startsWith('.') ? '.' : '';
+    if (/^[a-z]/i.test(rest.slice(dot.length))) continue;
+    return { key, text: text.slice(0, spelling.length) + dot };
+  }
+  return null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parse an ingredient line
+ * Lines without a leading quantity (e.g. "Salt to taste") come back with
+ * `parsed: false` and should be shown as written.
+ * @param {string} line - Ingredient text
+ * @returns {Object} { original, parsed, quantity, quantityMax, unit, unitText, separator, item }
+ */
+export const parseIngredient = (line) => {
+  const original = typeof line === 'string' ? line : String(line ?? '');
+  const unparsed = { original, parsed: false, quantity: null, quantityMax: null, unit: null, unitText: '', separator: ' ', item: original };
+
+  const match = original.match(QUANTITY_PATTERN);
+  if (!match) return unparsed;
+
+  const quantity = parseQuantity(match[1]);
+  const quantityMax = match[2] ? parseQuantity(match[2]) : null;
+  if (quantity === null || (match[2] && quantityMax === null)) return unparsed;
+
+  let rest = original.slice(match[0].length);
+  // "3-inch piece" or "1/2-pound": the number is a size, not an amount to scale
+  if (/^[-/]/.test(rest)) return unparsed;
+  const separator = /^\s/.test(rest) ? ' ' : '';
+  rest = rest.trimStart();
+
+  const unit = matchUnit(rest);
+  if (unit) {
+    rest = rest.slice(unit.text.length).trimStart();
+  }
+  return {
+    original,
+    parsed: true,
+    quantity,
+    quantityMax,
+    unit: unit ? unit.key : null,
+    unitText: unit ? unit.text : '',
+    separator,
+    item: rest,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Format a number as a decimal with at most two places, e.g. 7.5 -> "7.5", 250 -> "250"
+ * Used for metric amounts, where fractions look out of place.
+ * @param {number} value - Quantity
+ * @returns {string} Display text
+ */
+export const formatDecimal = (value) => {
+  if (!Number.isFinite(value) || value <= 0) return '0';
+  return String(Math.round(value * 100) / 100);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Format a number as a friendly fraction, e.g. 1.5 -> "1½", 0.333 -> "⅓"
+ * Values that are not close to a common fraction are shown as decimals.
+ * @param {number} value - Quantity
+ * @returns {string} Display text
+ */
+export const formatQuantity = (value) => {
+  if (!Number.isFinite(value) || value <= 0) return '0';
+
+  // Large amounts do not need fractions
+  if (value >= 20) return String(Math.round(value));
+
+  const whole = Math.floor(value);
+  const fraction = value - whole;
+  if (fraction < 0.04) return String(whole);
+  if (fraction > 0.96) return String(whole + 1);
+
+  const [closest, glyph] = DISPLAY_FRACTIONS.reduce((best, candidate) => (
+    Math.abs(candidate[0] - fraction) < Math.abs(best[0] - fraction) ? candidate : best
+  ));
+  if (Math.abs(closest - fraction) <= 0.03) {
+    return whole > 0 ? `${whole}${glyph}` : glyph;
+  }
+
+  return formatDecimal(value);
+};
+
+/**
+ * Unit text to display for a quantity, keeping abbreviations as the recipe wrote them
+ * @param {Object} ingredient - Parsed ingredient
+ * @param {number} quantity - Quantity being shown
+ * @returns {string} Unit text
+ */
+const unitLabel = (ingredient, quantity) => {
+  if (!ingredient.unit) return '';
+  const unit = UNITS[ingredient.unit];
+  const written = ingredient.unitText.toLowerCase();
+  if (written !== unit.singular && written !== unit.plural) return ingredient.unitText;
+  return quantity > 1 ? unit.plural : unit.singular;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Multiply an ingredient's quantity
+ * @param {Object} ingredient - Parsed ingredient
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled ingredient (unparsed ingredients are returned as-is)
+ */
+export const scaleIngredient = (ingredient, factor) => {
+  if (!ingredient.parsed || factor === 1) return ingredient;
+  return {
+    ...ingredient,
+    quantity: ingredient.quantity * factor,
+    quantityMax: ingredient.quantityMax === null ? null : ingredient.quantityMax * factor,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn a parsed ingredient back into display text
+ * @param {Object} ingredient - Parsed (possibly scaled) ingredient
+ * @returns {string} Ingredient line
+ */
+export const formatIngredient = (ingredient) => {
+  if (!ingredient.parsed) return ingredient.original;
+
+  // Converted metric amounts set `fractions: false` to show decimals instead
+  const format = ingredient.fractions === false ? formatDecimal : formatQuantity;
+  const amount = ingredient.quantityMax === null
+    ? format(ingredient.quantity)
+    : `${format(ingredient.quantity)}–${format(ingredient.quantityMax)}`;
+  const unit = unitLabel(ingredient, ingredient.quantityMax ?? ingredient.quantity);
+
+  return [
+    unit ? `${amount}${ingredient.separator}${unit}` : amount,
+    ingredient.item,
+  ].filter(Boolean).join(' ');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Scale an ingredient line by a factor
+ * @param {string} line - Ingredient text
+ * @param {number} factor - Scale factor
+ * @returns {string} Scaled line, or the original when it cannot be parsed or factor is 1
+ */
+export const scaleIngredientLine = (line, factor) => {
+  const ingredient = parseIngredient(line);
+  if (!ingredient.parsed || factor === 1) return ingredient.original;
+  return formatIngredient(scaleIngredient(ingredient, factor));
+};
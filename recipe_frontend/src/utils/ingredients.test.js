@@ -0,0 +1,47 @@
+import { formatQuantity, parseIngredient, parseQuantity, scaleIngredientLine } from './ingredients';
+
+test('parseQuantity understands whole, decimal, fraction, mixed and unicode amounts', () => {
+  expect(parseQuantity('2')).toBe(2);
+  expect(parseQuantity('1.5')).toBe(1.5);
+  expect(parseQuantity('3/4')).toBe(0.75);
+  expect(parseQuantity('1 1/2')).toBe(1.5);
+  expect(parseQuantity('½')).toBe(0.5);
+  expect(parseQuantity('1½')).toBe(1.5);
+  expect(parseQuantity('1/0')).toBeNull();
+  expect(parseQuantity('some')).toBeNull();
+});
+
+test('parseIngredient splits quantity, unit and item', () => {
+  expect(parseIngredient('1 1/2 cups all-purpose flour')).toMatchObject({
+    parsed: true, quantity: 1.5, unit: 'cup', item: 'all-purpose flour',
+  });
+  expect(parseIngredient('½ tsp. salt')).toMatchObject({ quantity: 0.5, unit: 'teaspoon', unitText: 'tsp.', item: 'salt' });
+  expect(parseIngredient('2 T butter')).toMatchObject({ unit: 'tablespoon' });
+  expect(parseIngredient('200g caster sugar')).toMatchObject({ quantity: 200, unit: 'gram', separator: '' });
+  expect(parseIngredient('2-3 cloves garlic')).toMatchObject({ quantity: 2, quantityMax: 3, unit: 'clove' });
+  expect(parseIngredient('3 tomatoes')).toMatchObject({ quantity: 3, unit: null, item: 'tomatoes' });
+});
+
+test('parseIngredient leaves lines without an amount alone', () => {
+  expect(parseIngredient('Salt to taste').parsed).toBe(false);
+  expect(parseIngredient('3-inch piece ginger').parsed).toBe(false);
+});
+
+test('formatQuantity prefers friendly fractions', () => {
+  expect(formatQuantity(1.5)).toBe('1½');
+  expect(formatQuantity(1 / 3)).toBe('⅓');
+  expect(formatQuantity(0.66)).toBe('⅔');
+  expect(formatQuantity(2)).toBe('2');
+  expect(formatQuantity(0.44)).toBe('0.44');
+  expect(formatQuantity(37.4)).toBe('37');
+});
+
+test('scaleIngredientLine rescales amounts and fixes unit plurals', () => {
+  expect(scaleIngredientLine('1 cup milk', 2)).toBe('2 cups milk');
+  expect(scaleIngredientLine('1 1/2 cups flour', 0.5)).toBe('¾ cup flour');
+  expect(scaleIngredientLine('½ tsp salt', 3)).toBe('1½ tsp salt');
+  expect(scaleIngredientLine('200g sugar', 1.5)).toBe('300g sugar');
+  expect(scaleIngredientLine('2-3 cloves garlic', 2)).toBe('4–6 cloves garlic');
+  expect(scaleIngredientLine('Salt to taste', 2)).toBe('Salt to taste');
+  expect(scaleIngredientLine('1 1/2 cups flour', 1)).toBe('1 1/2 cups flour');
+});
@@ -0,0 +1,146 @@
+/**
+ * Personal recipe journal: the user's own rating, notes and cook log per recipe
+ * The journal maps recipe IDs to { rating, notes, madeOn }, where rating is 1–5 or
+ * null and madeOn lists ISO timestamps, oldest first.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Highest star rating
+ */
+export const MAX_RATING = 5;
+
+// PUBLIC_INTERFACE
+/**
+ * Rating filter choices for recipe listings
+ */
+export const RATING_FILTERS = Object.freeze([
+  { value: 'any', label: 'Any rating' },
+  { value: '5', label: '★★★★★' },
+  { value: '4', label: '★★★★ & up' },
+  { value: '3', label: '★★★ & up' },
+  { value: '2', label: '★★ & up' },
+  { value: 'unrated', label: 'Not rated yet' },
+]);
+
+// PUBLIC_INTERFACE
+/**
+ * An entry with nothing recorded
+ * @returns {{rating: null, notes: string, madeOn: Array<string>}} Journal entry
+ */
+export const createEmptyEntry = () => ({ rating: null, notes: '', madeOn: [] });
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a rating is a whole number of stars in range
+ * @param {any} rating - Value to check
+ * @returns {boolean} True if valid
+ */
+export const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= MAX_RATING;
+
+/**
+ * Whether an entry records nothing
+ * @param {Object} entry - Journal entry
+ * @returns {boolean} True if empty
+ */
+const isEmptyEntry = (entry) => entry.rating === null && !entry.notes.trim() && entry.madeOn.length === 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Validate a stored entry
+ * @param {any} value - Parsed stored entry
+ * @returns {Object|null} Entry, or null if nothing usable is recorded
+ */
+export const sanitizeEntry = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  const entry = {
+    rating: isValidRating(value.rating) ? value.rating : null,
+    notes: typeof value.notes === 'string' ? value.notes : '',
+    madeOn: Array.isArray(value.madeOn)
+      ? value.madeOn.filter(date => typeof date === 'string' && !Number.isNaN(Date.parse(date))).sort()
+      : [],
+  };
+  return isEmptyEntry(entry) ? null : entry;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The entry for a recipe
+ * @param {Object} journal - Journal keyed by recipe ID
+ * @param {string|number} recipeId - Recipe ID
+ * @returns {Object} Entry, empty when nothing is recorded
+ */
+export const getEntry = (journal, recipeId) => journal[String(recipeId)] || createEmptyEntry();
+
+// PUBLIC_INTERFACE
+/**
+ * Change a recipe's entry; entries left empty are removed
+ * @param {Object} journal - Journal keyed by recipe ID
+ * @param {string|number} recipeId - Recipe ID
+ * @param {Object} changes - Fields to replace (rating, notes, madeOn)
+ * @returns {Object} New journal
+ */
+export const updateEntry = (journal, recipeId, changes) => {
+  const id = String(recipeId);
+  const entry = { ...getEntry(journal, id), ...changes };
+  const next = { ...journal };
+  if (isEmptyEntry(entry)) {
+    delete next[id];
+  } else {
+    next[id] = entry;
+  }
+  return next;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Record that a recipe was cooked
+ * @param {Object} journal - Journal keyed by recipe ID
+ * @param {string|number} recipeId - Recipe ID
+ * @param {Date} [date] - When it was made (defaults to now)
+ * @returns {Object} New journal
+ */
+export const addMadeIt = (journal, recipeId, date = new Date()) => {
+  const { madeOn } = getEntry(journal, recipeId);
+  return updateEntry(journal, recipeId, { madeOn: [...madeOn, date.toISOString()].sort() });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove one cook log date, e.g. one logged by mistake
+ * @param {Object} journal - Journal keyed by recipe ID
+ * @param {string|number} recipeId - Recipe ID
+ * @param {string} date - ISO timestamp to remove
+ * @returns {Object} New journal
+ */
+export const removeMadeIt = (journal, recipeId, date) => {
+  const { madeOn } = getEntry(journal, recipeId);
+  const index = madeOn.indexOf(date);
+  if (index === -1) return journal;
+  return updateEntry(journal, recipeId, { madeOn: madeOn.filter((_, i) => i !== index) });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Ratings by recipe ID, for sorting
+ * @param {Object} journal - Journal keyed by recipe ID
+ * @returns {Object} Map of recipe ID to rating; unrated recipes are left out
+ */
+export const ratingsById = (journal) => Object.entries(journal).reduce((ratings, [id, entry]) => {
+  if (entry.rating !== null) ratings[id] = entry.rating;
+  return ratings;
+}, {});
+
+// PUBLIC_INTERFACE
+/**
+ * Check a rating against a RATING_FILTERS value
+ * @param {number|null} rating - Recipe's rating
+ * @param {string} filter - Filter value
+ * @returns {boolean} True if the recipe should be shown
+ */
+export const matchesRatingFilter = (rating, filter) => {
+  if (filter === 'unrated') return rating === null;
+  const minimum = Number(filter);
+  if (!minimum) return true;
+  return rating !== null && rating >= minimum;
+};
@@ -0,0 +1,50 @@
+import {
+  addMadeIt,
+  getEntry,
+  matchesRatingFilter,
+  ratingsById,
+  removeMadeIt,
+  sanitizeEntry,
+  updateEntry,
+} from './journal';
+
+test('updateEntry merges changes and drops entries left empty', () => {
+  let journal = updateEntry({}, 7, { rating: 4 });
+  journal = updateEntry(journal, '7', { notes: 'Use half the chili' });
+  expect(journal).toEqual({ 7: { rating: 4, notes: 'Use half the chili', madeOn: [] } });
+
+  journal = updateEntry(journal, 7, { rating: null, notes: '  ' });
+  expect(journal).toEqual({});
+});
+
+test('addMadeIt and removeMadeIt keep a sorted cook log', () => {
+  let journal = addMadeIt({}, 'a', new Date('2024-03-10T18:00:00Z'));
+  journal = addMadeIt(journal, 'a', new Date('2024-02-01T18:00:00Z'));
+  expect(getEntry(journal, 'a').madeOn).toEqual(['2024-02-01T18:00:00.000Z', '2024-03-10T18:00:00.000Z']);
+
+  journal = removeMadeIt(journal, 'a', '2024-02-01T18:00:00.000Z');
+  journal = removeMadeIt(journal, 'a', '2024-03-10T18:00:00.000Z');
+  expect(journal).toEqual({});
+});
+
+test('sanitizeEntry drops invalid fields', () => {
+  expect(sanitizeEntry({ rating: 9, notes: 3, madeOn: ['nope', '2024-01-02T00:00:00.000Z'] })).toEqual({
+    rating: null,
+    notes: '',
+    madeOn: ['2024-01-02T00:00:00.000Z'],
+  });
+  expect(sanitizeEntry({ rating: 0 })).toBeNull();
+});
+
+test('ratingsById and matchesRatingFilter', () => {
+  const journal = {
+    1: { rating: 5, notes: '', madeOn: [] },
+    2: { rating: null, notes: 'x', madeOn: [] },
+  };
+  expect(ratingsById(journal)).toEqual({ 1: 5 });
+  expect(matchesRatingFilter(5, '4')).toBe(true);
+  expect(matchesRatingFilter(3, '4')).toBe(false);
+  expect(matchesRatingFilter(null, '2')).toBe(false);
+  expect(matchesRatingFilter(null, 'unrated')).toBe(true);
+  expect(matchesRatingFilter(null, 'any')).toBe(true);
+});
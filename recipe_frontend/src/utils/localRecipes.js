@@ -0,0 +1,26 @@
+/**
+ * Recipes kept only on this device, such as imports the user chose not to publish
+ * Their IDs carry a prefix so they are never requested from the API.
+ */
+
+const LOCAL_ID_PREFIX = 'local-';
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a recipe ID belongs to a recipe stored on this device
+ * @param {string|number} id - Recipe ID
+ * @returns {boolean} True for local recipes
+ */
+export const isLocalRecipeId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+// PUBLIC_INTERFACE
+/**
+ * Give a recipe a local ID and creation time
+ * @param {Object} recipe - Recipe without an ID
+ * @returns {Object} Local recipe
+ */
+export const createLocalRecipe = (recipe) => ({
+  ...recipe,
+  id: `${LOCAL_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+  createdAt: new Date().toISOString(),
+});
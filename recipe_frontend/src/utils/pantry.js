@@ -0,0 +1,85 @@
+/**
+ * Pantry matching: how much of a recipe's ingredient list the user already has
+ */
+import { parseIngredient } from './ingredients';
+import { normalizeItemName } from './shoppingList';
+
+// Assumed to be in every kitchen, so never reported as missing
+const STAPLES = ['salt', 'water', 'black pepper', 'ice'];
+
+// PUBLIC_INTERFACE
+/**
+ * Split typed pantry text into normalized, de-duplicated items
+ * @param {string} text - Items separated by commas or new lines
+ * @returns {Array<string>} Pantry items
+ */
+export const parsePantryInput = (text) => [
+  ...new Set(
+    text
+      .split(/[,\n;]/)
+      .map(item => item.trim())
+      .filter(Boolean)
+      .map(normalizeItemName)
+  ),
+];
+
+/**
+ * Whether `phrase` appears in `name` as whole words
+ * @param {string} name - Ingredient or pantry name
+ * @param {string} phrase - Words to look for
+ * @returns {boolean} True if found
+ */
+const containsWords = (name, phrase) => ` ${name} `.includes(` ${phrase} `);
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a pantry covers an ingredient name
+ * "red onion" is covered by "onion", and "chicken" by "chicken breast".
+ * @param {string} name - Normalized ingredient name
+ * @param {Array<string>} pantry - Pantry items
+ * @returns {boolean} True if covered
+ */
+export const pantryCovers = (name, pantry) => pantry.some(item => (
+  containsWords(name, item) || containsWords(item, name)
+));
+
+// PUBLIC_INTERFACE
+/**
+ * Compare a recipe's ingredients with a pantry
+ * @param {Object} recipe - Recipe with an ingredients array
+ * @param {Array<string>} pantry - Pantry items
+ * @returns {{matched: Array<string>, missing: Array<string>, coverage: number}} Ingredient names
+ *   split by whether they are on hand, and the share on hand (0 to 1)
+ */
+export const matchPantry = (recipe, pantry) => {
+  const names = [...new Set((recipe.ingredients || []).map((line) => {
+    const ingredient = parseIngredient(line);
+    return normalizeItemName(ingredient.parsed && ingredient.item ? ingredient.item : line);
+  }))].filter(name => name && !STAPLES.includes(name));
+
+  const matched = names.filter(name => pantryCovers(name, pantry));
+  const missing = names.filter(name => !matched.includes(name));
+
+  return {
+    matched,
+    missing,
+    coverage: names.length > 0 ? matched.length / names.length : 0,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Rank recipes by pantry coverage, dropping those that use nothing from the pantry
+ * Ties go to the recipe with fewer missing ingredients, then alphabetically.
+ * @param {Array<Object>} recipes - Recipes with ingredients
+ * @param {Array<string>} pantry - Pantry items
+ * @returns {Array<Object>} Recipes with a `pantryMatch` field, best match first
+ */
+export const rankByPantry = (recipes, pantry) => recipes
+  .map(recipe => ({ ...recipe, pantryMatch: matchPantry(recipe, pantry) }))
+  .filter(recipe => recipe.pantryMatch.matched.length > 0)
+  .sort((a, b) => (
+    b.pantryMatch.coverage - a.pantryMatch.coverage
+    || a.pantryMatch.missing.length - b.pantryMatch.missing.length
+    || (a.name || '').localeCompare(b.name || '')
+  ));
@@ -0,0 +1,34 @@
+import { matchPantry, pantryCovers, parsePantryInput, rankByPantry } from './pantry';
+
+test('parsePantryInput normalizes and de-duplicates items', () => {
+  expect(parsePantryInput('Eggs, spinach\nfresh spinach;  ')).toEqual(['egg', 'spinach']);
+});
+
+test('pantryCovers matches whole words in either direction', () => {
+  expect(pantryCovers('red onion', ['onion'])).toBe(true);
+  expect(pantryCovers('chicken', ['chicken breast'])).toBe(true);
+  expect(pantryCovers('eggplant', ['egg'])).toBe(false);
+});
+
+test('matchPantry lists what is missing and ignores staples', () => {
+  const recipe = {
+    ingredients: ['2 eggs', '1 cup heavy cream', '2 shallots, minced', 'Salt to taste', '1 tbsp butter'],
+  };
+  expect(matchPantry(recipe, ['egg', 'butter'])).toEqual({
+    matched: ['egg', 'butter'],
+    missing: ['heavy cream', 'shallot'],
+    coverage: 0.5,
+  });
+});
+
+test('rankByPantry puts the best-covered recipes first and drops non-matches', () => {
+  const recipes = [
+    { id: 1, name: 'Omelette', ingredients: ['3 eggs', '1 cup spinach', '50g feta'] },
+    { id: 2, name: 'Pancakes', ingredients: ['2 eggs', '1 cup flour', '1 cup milk', '1 tbsp sugar'] },
+    { id: 3, name: 'Salad', ingredients: ['1 lettuce'] },
+    { id: 4, name: 'Boiled eggs', ingredients: ['4 eggs', 'Water'] },
+  ];
+  const ranked = rankByPantry(recipes, ['egg', 'spinach']);
+  expect(ranked.map(recipe => recipe.name)).toEqual(['Boiled eggs', 'Omelette', 'Pancakes']);
+  expect(ranked[1].pantryMatch.missing).toEqual(['feta']);
+});
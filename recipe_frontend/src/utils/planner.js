@@ -0,0 +1,173 @@
+/**
+ * Weekly meal plan helpers
+ * A plan maps slot keys ("2024-03-04:dinner") to the recipes planned for that meal.
+ * Dates are local calendar days in YYYY-MM-DD form and weeks start on Monday.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Meals shown for each day, in order
+ */
+export const MEALS = [
+  { id: 'breakfast', label: 'Breakfast' },
+  { id: 'lunch', label: 'Lunch' },
+  { id: 'dinner', label: 'Dinner' },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// PUBLIC_INTERFACE
+/**
+ * Format a Date as a local YYYY-MM-DD day
+ * @param {Date} date - Date
+ * @returns {string} Day string
+ */
+export const toDayString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a YYYY-MM-DD day as local midnight
+ * @param {string} day - Day string
+ * @returns {Date} Date
+ */
+export const parseDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Move a day forwards or backwards
+ * @param {string} day - Day string
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Day string
+ */
+export const addDays = (day, days) => {
+  const date = parseDay(day);
+  date.setDate(date.getDate() + days);
+  return toDayString(date);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Monday of the week containing a date
+ * @param {Date} [date] - Any date in the week (defaults to today)
+ * @returns {string} Day string of the Monday
+ */
+export const startOfWeek = (date = new Date()) => {
+  const day = toDayString(date);
+  // getDay() is 0 for Sunday; count days since Monday instead
+  const sinceMonday = (date.getDay() + 6) % 7;
+  return addDays(day, -sinceMonday);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The seven days of a week
+ * @param {string} weekStart - Monday's day string
+ * @returns {Array<string>} Day strings, Monday first
+ */
+export const weekDays = (weekStart) => Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+
+// PUBLIC_INTERFACE
+/**
+ * Key of a meal slot
+ * @param {string} day - Day string
+ * @param {string} meal - Meal id
+ * @returns {string} Slot key
+ */
+export const slotKey = (day, meal) => `${day}:${meal}`;
+
+// PUBLIC_INTERFACE
+/**
+ * The fields of a recipe kept in the plan
+ * @param {Object} recipe - Recipe
+ * @returns {Object} Planned recipe
+ */
+export const toPlannedRecipe = (recipe) => ({
+  id: String(recipe.id),
+  name: recipe.name,
+  image: recipe.image || null,
+  cookTime: Number(recipe.cookTime) > 0 ? Number(recipe.cookTime) : null,
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Add a recipe to a slot; a recipe already in the slot is not added twice
+ * @param {Object} plan - Plan keyed by slot
+ * @param {string} key - Slot key
+ * @param {Object} recipe - Recipe
+ * @returns {Object} New plan
+ */
+export const addToSlot = (plan, key, recipe) => {
+  const planned = toPlannedRecipe(recipe);
+  const slot = plan[key] || [];
+  if (slot.some(existing => existing.id === planned.id)) return plan;
+  return { ...plan, [key]: [...slot, planned] };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove a recipe from a slot
+ * @param {Object} plan - Plan keyed by slot
+ * @param {string} key - Slot key
+ * @param {string} recipeId - Recipe ID
+ * @returns {Object} New plan
+ */
+export const removeFromSlot = (plan, key, recipeId) => {
+  const slot = (plan[key] || []).filter(recipe => recipe.id !== String(recipeId));
+  const next = { ...plan };
+  if (slot.length > 0) {
+    next[key] = slot;
+  } else {
+    delete next[key];
+  }
+  return next;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Move a recipe from one slot to another
+ * @param {Object} plan - Plan keyed by slot
+ * @param {string} fromKey - Source slot key
+ * @param {string} toKey - Target slot key
+ * @param {string} recipeId - Recipe ID
+ * @returns {Object} New plan
+ */
+export const moveBetweenSlots = (plan, fromKey, toKey, recipeId) => {
+  if (fromKey === toKey) return plan;
+  const recipe = (plan[fromKey] || []).find(planned => planned.id === String(recipeId));
+  if (!recipe) return plan;
+  return addToSlot(removeFromSlot(plan, fromKey, recipeId), toKey, recipe);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Copy a week's meals into the following week, replacing what was planned there
+ * @param {Object} plan - Plan keyed by slot
+ * @param {string} weekStart - Monday of the week to copy
+ * @returns {Object} New plan
+ */
+export const copyWeekForward = (plan, weekStart) => {
+  const next = { ...plan };
+  weekDays(weekStart).forEach((day) => {
+    MEALS.forEach(({ id }) => {
+      const targetKey = slotKey(addDays(day, 7), id);
+      const source = plan[slotKey(day, id)];
+      if (source) {
+        next[targetKey] = source.map(recipe => ({ ...recipe }));
+      } else {
+        delete next[targetKey];
+      }
+    });
+  });
+  return next;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Total cook time of the recipes in a slot
+ * @param {Array<Object>} recipes - Planned recipes
+ * @returns {number} Minutes; recipes without a cook time count as zero
+ */
+export const totalCookTime = (recipes = []) => recipes.reduce((total, recipe) => total + (recipe.cookTime || 0), 0);
@@ -0,0 +1,56 @@
+import {
+  addDays,
+  addToSlot,
+  copyWeekForward,
+  moveBetweenSlots,
+  removeFromSlot,
+  slotKey,
+  startOfWeek,
+  totalCookTime,
+  weekDays,
+} from './planner';
+
+test('weeks start on Monday and cross month boundaries', () => {
+  expect(startOfWeek(new Date(2024, 2, 6))).toBe('2024-03-04');
+  expect(startOfWeek(new Date(2024, 2, 10))).toBe('2024-03-04');
+  expect(startOfWeek(new Date(2024, 2, 4))).toBe('2024-03-04');
+  expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+  expect(weekDays('2024-03-04')).toEqual([
+    '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-09', '2024-03-10',
+  ]);
+});
+
+test('slots hold each recipe once and can be emptied', () => {
+  const key = slotKey('2024-03-04', 'dinner');
+  let plan = addToSlot({}, key, { id: 1, name: 'Soup', cookTime: 30, description: 'ignored' });
+  plan = addToSlot(plan, key, { id: 1, name: 'Soup', cookTime: 30 });
+  plan = addToSlot(plan, key, { id: 2, name: 'Bread', cookTime: '45' });
+
+  expect(plan[key]).toEqual([
+    { id: '1', name: 'Soup', image: null, cookTime: 30 },
+    { id: '2', name: 'Bread', image: null, cookTime: 45 },
+  ]);
+  expect(totalCookTime(plan[key])).toBe(75);
+
+  plan = removeFromSlot(removeFromSlot(plan, key, '1'), key, 2);
+  expect(plan).toEqual({});
+});
+
+test('moveBetweenSlots moves a recipe to another meal', () => {
+  const from = slotKey('2024-03-04', 'lunch');
+  const to = slotKey('2024-03-05', 'dinner');
+  const plan = moveBetweenSlots(addToSlot({}, from, { id: 'a', name: 'Salad' }), from, to, 'a');
+  expect(plan).toEqual({ [to]: [{ id: 'a', name: 'Salad', image: null, cookTime: null }] });
+});
+
+test('copyWeekForward replaces the next week with this week', () => {
+  const monday = slotKey('2024-03-04', 'dinner');
+  const nextMonday = slotKey('2024-03-11', 'dinner');
+  const nextTuesday = slotKey('2024-03-12', 'lunch');
+  const plan = addToSlot(addToSlot({}, monday, { id: 1, name: 'Soup' }), nextTuesday, { id: 2, name: 'Old' });
+
+  const copied = copyWeekForward(plan, '2024-03-04');
+  expect(copied[monday]).toEqual(plan[monday]);
+  expect(copied[nextMonday]).toEqual(plan[monday]);
+  expect(copied[nextTuesday]).toBeUndefined();
+});
@@ -0,0 +1,167 @@
+/**
+ * Recipe export: Markdown, plain text and schema.org Recipe JSON-LD
+ * Exports use the recipe as written, without scaling or unit conversion.
+ */
+
+// Diet labels with a schema.org RestrictedDiet equivalent; others become keywords
+const SCHEMA_DIETS = {
+  'diabetic': 'DiabeticDiet',
+  'gluten-free': 'GlutenFreeDiet',
+  'halal': 'HalalDiet',
+  'hindu': 'HinduDiet',
+  'kosher': 'KosherDiet',
+  'low-calorie': 'LowCalorieDiet',
+  'low-fat': 'LowFatDiet',
+  'low-lactose': 'LowLactoseDiet',
+  'low-salt': 'LowSaltDiet',
+  'vegan': 'VeganDiet',
+  'vegetarian': 'VegetarianDiet',
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Minutes as an ISO 8601 duration
+ * @param {number|string} minutes - Duration in minutes
+ * @returns {string|null} Duration such as "PT1H30M", or null if not a positive number
+ */
+export const toIsoDuration = (minutes) => {
+  const total = Math.round(Number(minutes));
+  if (!(total > 0)) return null;
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * File name stem for a recipe
+ * @param {Object} recipe - Recipe
+ * @returns {string} Lowercase, hyphenated name
+ */
+export const recipeFileName = (recipe) => (
+  (recipe.name || 'recipe')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'recipe'
+);
+
+/**
+ * Label/value pairs describing a recipe, skipping what it lacks
+ * @param {Object} recipe - Recipe
+ * @returns {Array<[string, string]>} Details
+ */
+const recipeDetails = (recipe) => [
+  ['Cook time', recipe.cookTime ? `${recipe.cookTime} min` : null],
+  ['Servings', recipe.servings ? String(recipe.servings) : null],
+  ['Difficulty', recipe.difficulty],
+  ['Cuisine', recipe.cuisine],
+  ['Diet', recipe.diet],
+  ['Tags', recipe.tags && recipe.tags.length > 0 ? recipe.tags.join(', ') : null],
+].filter(([, value]) => value);
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe as Markdown
+ * @param {Object} recipe - Recipe
+ * @returns {string} Markdown document
+ */
+export const recipeToMarkdown = (recipe) => {
+  const sections = [`# ${recipe.name || 'Untitled recipe'}`];
+  if (recipe.description) sections.push(recipe.description);
+
+  const details = recipeDetails(recipe);
+  if (details.length > 0) {
+    sections.push(details.map(([label, value]) => `- **${label}:** ${value}`).join('\n'));
+  }
+  const ingredients = listOf(recipe.ingredients);
+  if (ingredients.length > 0) {
+    sections.push(`## Ingredients\n\n${ingredients.map(line => `- ${line}`).join('\n')}`);
+  }
+  const steps = listOf(recipe.steps);
+  if (steps.length > 0) {
+    sections.push(`## Instructions\n\n${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`);
+  }
+  if (recipe.notes) sections.push(`## Notes\n\n${recipe.notes}`);
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe as plain text
+ * @param {Object} recipe - Recipe
+ * @returns {string} Text document
+ */
+export const recipeToText = (recipe) => {
+  const name = recipe.name || 'Untitled recipe';
+  const sections = [`${name}\n${'='.repeat(name.length)}`];
+  if (recipe.description) sections.push(recipe.description);
+
+  const details = recipeDetails(recipe);
+  if (details.length > 0) {
+    sections.push(details.map(([label, value]) => `${label}: ${value}`).join('\n'));
+  }
+  const ingredients = listOf(recipe.ingredients);
+  if (ingredients.length > 0) {
+    sections.push(`INGREDIENTS\n${ingredients.map(line => `- ${line}`).join('\n')}`);
+  }
+  const steps = listOf(recipe.steps);
+  if (steps.length > 0) {
+    sections.push(`INSTRUCTIONS\n${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`);
+  }
+  if (recipe.notes) sections.push(`NOTES\n${recipe.notes}`);
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe as a schema.org Recipe object
+ * @param {Object} recipe - Recipe
+ * @returns {Object} JSON-LD object, without fields the recipe lacks
+ */
+export const recipeToJsonLd = (recipe) => {
+  const dietKey = String(recipe.diet || '').toLowerCase().replace(/\s+/g, '-');
+  const schemaDiet = SCHEMA_DIETS[dietKey];
+  const keywords = [...listOf(recipe.tags)];
+  if (recipe.diet && !schemaDiet) keywords.push(recipe.diet);
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.name,
+    description: recipe.description,
+    image: recipe.image,
+    cookTime: toIsoDuration(recipe.cookTime),
+    recipeYield: recipe.servings ? `${recipe.servings} servings` : null,
+    recipeCuisine: recipe.cuisine,
+    suitableForDiet: schemaDiet ? `https://schema.org/${schemaDiet}` : null,
+    keywords: keywords.length > 0 ? keywords.join(', ') : null,
+    recipeIngredient: listOf(recipe.ingredients),
+    recipeInstructions: listOf(recipe.steps).map(text => ({ '@type': 'HowToStep', text })),
+  };
+
+  return Object.fromEntries(Object.entries(jsonLd).filter(([, value]) => (
+    value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+  )));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Export formats, each turning a recipe into file contents
+ */
+export const EXPORT_FORMATS = Object.freeze([
+  { id: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown', build: recipeToMarkdown },
+  { id: 'text', label: 'Plain text', extension: 'txt', type: 'text/plain', build: recipeToText },
+  {
+    id: 'jsonld',
+    label: 'JSON-LD',
+    extension: 'json',
+    type: 'application/ld+json',
+    build: recipe => `${JSON.stringify(recipeToJsonLd(recipe), null, 2)}\n`,
+  },
+]);
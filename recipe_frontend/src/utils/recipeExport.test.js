@@ -0,0 +1,74 @@
+import { recipeFileName, recipeToJsonLd, recipeToMarkdown, recipeToText, toIsoDuration } from './recipeExport';
+
+const recipe = {
+  id: '7',
+  name: 'Crème Brûlée',
+  description: 'Silky custard.',
+  cookTime: 95,
+  servings: 4,
+  cuisine: 'French',
+  diet: 'Vegetarian',
+  tags: ['dessert'],
+  ingredients: ['2 cups cream', '5 egg yolks'],
+  steps: ['Heat the cream.', 'Bake at 160°C.'],
+};
+
+test('toIsoDuration formats hours and minutes', () => {
+  expect(toIsoDuration(95)).toBe('PT1H35M');
+  expect(toIsoDuration(120)).toBe('PT2H');
+  expect(toIsoDuration(20)).toBe('PT20M');
+  expect(toIsoDuration(0)).toBeNull();
+  expect(toIsoDuration('abc')).toBeNull();
+});
+
+test('recipeToMarkdown numbers steps and lists details', () => {
+  expect(recipeToMarkdown(recipe)).toBe([
+    '# Crème Brûlée',
+    '',
+    'Silky custard.',
+    '',
+    '- **Cook time:** 95 min',
+    '- **Servings:** 4',
+    '- **Cuisine:** French',
+    '- **Diet:** Vegetarian',
+    '- **Tags:** dessert',
+    '',
+    '## Ingredients',
+    '',
+    '- 2 cups cream',
+    '- 5 egg yolks',
+    '',
+    '## Instructions',
+    '',
+    '1. Heat the cream.',
+    '2. Bake at 160°C.',
+    '',
+  ].join('\n'));
+});
+
+test('recipeToText underlines the title', () => {
+  const text = recipeToText(recipe);
+  expect(text.startsWith('Crème Brûlée\n============\n')).toBe(true);
+  expect(text).toContain('INSTRUCTIONS\n1. Heat the cream.\n2. Bake at 160°C.');
+});
+
+test('recipeToJsonLd maps to schema.org Recipe fields', () => {
+  expect(recipeToJsonLd(recipe)).toEqual({
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: 'Crème Brûlée',
+    description: 'Silky custard.',
+    cookTime: 'PT1H35M',
+    recipeYield: '4 servings',
+    recipeCuisine: 'French',
+    suitableForDiet: 'https://schema.org/VegetarianDiet',
+    keywords: 'dessert',
+    recipeIngredient: ['2 cups cream', '5 egg yolks'],
+    recipeInstructions: [
+      { '@type': 'HowToStep', text: 'Heat the cream.' },
+      { '@type': 'HowToStep', text: 'Bake at 160°C.' },
+    ],
+  });
+  expect(recipeToJsonLd({ name: 'Bowl', diet: 'Paleo' }).keywords).toBe('Paleo');
+  expect(recipeFileName(recipe)).toBe('creme-brulee');
+});
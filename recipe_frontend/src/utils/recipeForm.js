@@ -0,0 +1,219 @@
+/**
+ * Recipe editor form state: conversion to and from recipes, and field validation
+ * The form keeps every field as entered (numbers as strings, tags as one comma separated
+ * string) so partially typed values survive re-renders and draft autosave.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Top-level form fields that can carry a validation message
+ */
+export const FORM_FIELDS = [
+  'name',
+  'description',
+  'image',
+  'cookTime',
+  'servings',
+  'difficulty',
+  'cuisine',
+  'diet',
+  'tags',
+  'ingredients',
+  'steps',
+  'notes',
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Form state for a new recipe; lists start with one blank row to type into
+ * @returns {Object} Empty form
+ */
+export const createEmptyForm = () => ({
+  name: '',
+  description: '',
+  image: '',
+  cookTime: '',
+  servings: '',
+  difficulty: '',
+  cuisine: '',
+  diet: '',
+  tags: '',
+  ingredients: [''],
+  steps: [''],
+  notes: '',
+});
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value));
+
+const toLines = (value) => {
+  const lines = Array.isArray(value) ? value.map(toText) : [];
+  return lines.length > 0 ? lines : [''];
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Form state for editing an existing recipe
+ * @param {Object} recipe - Recipe as returned by the API
+ * @returns {Object} Form
+ */
+export const recipeToForm = (recipe) => ({
+  ...createEmptyForm(),
+  name: toText(recipe.name),
+  description: toText(recipe.description),
+  image: toText(recipe.image),
+  cookTime: toText(recipe.cookTime),
+  servings: toText(recipe.servings),
+  difficulty: toText(recipe.difficulty),
+  cuisine: toText(recipe.cuisine),
+  diet: toText(recipe.diet),
+  tags: Array.isArray(recipe.tags) ? recipe.tags.join(', ') : '',
+  ingredients: toLines(recipe.ingredients),
+  steps: toLines(recipe.steps),
+  notes: toText(recipe.notes),
+});
+
+/**
+ * Whether a form value is a whole number greater than zero
+ * @param {string} value - Typed value
+ * @returns {boolean} True if valid
+ */
+const isPositiveInteger = (value) => /^\d+$/.test(value.trim()) && Number(value) > 0;
+
+/**
+ * Whether a value is an absolute http(s) URL
+ * @param {string} value - Typed URL
+ * @returns {boolean} True if valid
+ */
+const isWebUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const nonBlankLines = (lines) => lines.map(line => line.trim()).filter(Boolean);
+
+// PUBLIC_INTERFACE
+/**
+ * Check a form before it is submitted
+ * @param {Object} form - Form state
+ * @returns {Object} Messages keyed by field name; empty when the form is valid
+ */
+export const validateRecipeForm = (form) => {
+  const errors = {};
+
+  if (!form.name.trim()) {
+    errors.name = 'Give the recipe a name.';
+  } else if (form.name.trim().length > 120) {
+    errors.name = 'Keep the name under 120 characters.';
+  }
+  if (form.image.trim() && !isWebUrl(form.image.trim())) {
+    errors.image = 'Use a full image address starting with http:// or https://.';
+  }
+  if (form.cookTime.trim() && !isPositiveInteger(form.cookTime)) {
+    errors.cookTime = 'Cook time is a whole number of minutes.';
+  }
+  if (form.servings.trim() && !isPositiveInteger(form.servings)) {
+    errors.servings = 'Servings is a whole number above zero.';
+  }
+  if (nonBlankLines(form.ingredients).length === 0) {
+    errors.ingredients = 'Add at least one ingredient.';
+  }
+  if (nonBlankLines(form.steps).length === 0) {
+    errors.steps = 'Add at least one step.';
+  }
+
+  return errors;
+};
+
+/**
+ * Recipe fields the form covers, with cleared fields as empty values
+ * @param {Object} form - Validated form state
+ * @returns {Object} Recipe fields
+ */
+const formFields = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim(),
+  image: form.image.trim(),
+  cookTime: form.cookTime.trim() ? Number(form.cookTime) : null,
+  servings: form.servings.trim() ? Number(form.servings) : null,
+  difficulty: form.difficulty,
+  cuisine: form.cuisine,
+  diet: form.diet,
+  tags: [...new Set(form.tags.split(',').map(tag => tag.trim()).filter(Boolean))],
+  ingredients: nonBlankLines(form.ingredients),
+  steps: nonBlankLines(form.steps),
+  notes: form.notes.trim(),
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe fields to send to the API for a new recipe
+ * Text is trimmed, blank list rows are dropped and empty optional fields are left out.
+ * @param {Object} form - Validated form state
+ * @returns {Object} Recipe without an ID
+ */
+export const formToRecipe = (form) => Object.fromEntries(
+  Object.entries(formFields(form)).filter(([, value]) => (
+    value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  ))
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Full recipe to send when replacing an existing one
+ * The form is merged onto the recipe as loaded, so fields the form doesn't cover
+ * (createdAt, featured, sourceUrl, ...) are kept and cleared fields are sent empty.
+ * @param {Object} recipe - Recipe as returned by the API
+ * @param {Object} form - Validated form state
+ * @returns {Object} Updated recipe
+ */
+export const formToRecipeUpdate = (recipe, form) => ({ ...recipe, ...formFields(form) });
+
+// PUBLIC_INTERFACE
+/**
+ * Move a list item to another position
+ * @param {Array} list - List to reorder
+ * @param {number} from - Index of the item to move
+ * @param {number} to - Index it should end up at
+ * @returns {Array} Reordered copy, or the same list if either index is out of range
+ */
+export const moveItem = (list, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Attach server validation messages to form fields
+ * Keys for list rows such as "ingredients.2" or "steps[0]" are reported on their list,
+ * with the row number added. Messages for unknown fields are collected under `form`.
+ * @param {Object} fieldErrors - ValidationError.fieldErrors
+ * @returns {Object} Messages keyed by form field name
+ */
+export const mapServerErrors = (fieldErrors = {}) => {
+  const errors = {};
+  const add = (field, message) => {
+    errors[field] = errors[field] ? `${errors[field]} ${message}` : message;
+  };
+
+  Object.entries(fieldErrors).forEach(([key, message]) => {
+    const match = /^(\w+)(?:\.(\d+)|\[(\d+)\])?/.exec(key);
+    const field = match && match[1];
+    const index = match && (match[2] ?? match[3]);
+    if (!FORM_FIELDS.includes(field)) {
+      add('form', message);
+    } else if (index !== undefined && index !== null) {
+      add(field, `Row ${Number(index) + 1}: ${message}`);
+    } else {
+      add(field, message);
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,113 @@
+import {
+  createEmptyForm,
+  formToRecipe,
+  formToRecipeUpdate,
+  mapServerErrors,
+  moveItem,
+  recipeToForm,
+  validateRecipeForm,
+} from './recipeForm';
+
+test('validateRecipeForm reports each invalid field', () => {
+  const form = {
+    ...createEmptyForm(),
+    image: 'pizza.jpg',
+    cookTime: '20.5',
+    servings: '0',
+    ingredients: ['  '],
+  };
+
+  expect(Object.keys(validateRecipeForm(form)).sort()).toEqual(
+    ['cookTime', 'image', 'ingredients', 'name', 'servings', 'steps']
+  );
+
+  const valid = { ...form, name: 'Pizza', image: 'https://example.com/pizza.jpg', cookTime: '20', servings: '2', ingredients: ['flour'], steps: ['Bake'] };
+  expect(validateRecipeForm(valid)).toEqual({});
+});
+
+test('formToRecipe trims values and leaves out empty fields', () => {
+  const form = {
+    ...createEmptyForm(),
+    name: ' Pancakes ',
+    cookTime: '15',
+    tags: 'breakfast, sweet,, breakfast',
+    ingredients: ['200 g flour', '', ' 2 eggs '],
+    steps: ['Whisk', '  '],
+  };
+
+  expect(formToRecipe(form)).toEqual({
+    name: 'Pancakes',
+    cookTime: 15,
+    tags: ['breakfast', 'sweet'],
+    ingredients: ['200 g flour', '2 eggs'],
+    steps: ['Whisk'],
+  });
+});
+
+test('recipeToForm round-trips through formToRecipe', () => {
+  const recipe = {
+    name: 'Dal',
+    cookTime: 40,
+    servings: 4,
+    cuisine: 'Indian',
+    tags: ['lentils'],
+    ingredients: ['1 cup lentils'],
+    steps: ['Simmer'],
+  };
+
+  const form = recipeToForm({ id: '3', ...recipe });
+  expect(form.cookTime).toBe('40');
+  expect(form.tags).toBe('lentils');
+  expect(formToRecipe(form)).toEqual(recipe);
+});
+
+test('formToRecipeUpdate keeps fields the form does not cover and sends cleared ones empty', () => {
+  const recipe = {
+    id: '7',
+    name: 'Dal',
+    description: 'Weeknight lentils',
+    cookTime: 40,
+    tags: ['lentils'],
+    ingredients: ['1 cup lentils'],
+    steps: ['Simmer'],
+    createdAt: '2024-02-01T10:00:00Z',
+    featured: true,
+    sourceUrl: 'https://example.com/dal',
+  };
+  const form = { ...recipeToForm(recipe), name: 'Red dal', description: ' ', cookTime: '', tags: '' };
+
+  expect(formToRecipeUpdate(recipe, form)).toEqual({
+    ...recipe,
+    name: 'Red dal',
+    description: '',
+    image: '',
+    cookTime: null,
+    servings: null,
+    difficulty: '',
+    cuisine: '',
+    diet: '',
+    tags: [],
+    notes: '',
+  });
+});
+
+test('moveItem reorders and ignores out-of-range moves', () => {
+  expect(moveItem(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+  expect(moveItem(['a', 'b', 'c'], 2, 0)).toEqual(['c', 'a', 'b']);
+  const list = ['a', 'b'];
+  expect(moveItem(list, 1, 2)).toBe(list);
+});
+
+test('mapServerErrors attaches row errors to their list', () => {
+  expect(mapServerErrors({
+    name: 'Name is taken',
+    'ingredients.1': 'Too long',
+    'steps[0]': 'Required',
+    owner: 'Not allowed',
+  })).toEqual({
+    name: 'Name is taken',
+    ingredients: 'Row 2: Too long',
+    steps: 'Row 1: Required',
+    form: 'Not allowed',
+  });
+});
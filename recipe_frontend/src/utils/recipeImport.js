@@ -0,0 +1,202 @@
+/**
+ * Recipe import from schema.org Recipe JSON-LD, pasted directly or embedded in a saved web page
+ * Imported recipes are mapped onto the shape RecipeDetail renders.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Thrown when no recipe can be read from the input; the message is shown to the user
+ */
+export class RecipeImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecipeImportError';
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Minutes in an ISO 8601 duration
+ * @param {string} value - Duration such as "PT1H30M" or "P1DT2H"
+ * @returns {number|null} Whole minutes, or null if missing, invalid or zero
+ */
+export const parseIsoDuration = (value) => {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+    .exec(String(value || '').trim());
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Math.round(Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60);
+  return total > 0 ? total : null;
+};
+
+/**
+ * Plain text from a JSON-LD string, which may hold HTML tags and entities
+ * @param {any} value - Value to clean
+ * @returns {string} Text with whitespace collapsed, or '' if not a string
+ */
+const cleanText = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return '';
+  const doc = new DOMParser().parseFromString(String(value), 'text/html');
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+};
+
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Whether a JSON-LD node is a Recipe
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean} True for @type Recipe
+ */
+const isRecipeNode = (node) => toArray(node['@type']).some(type => String(type).replace(/^.*[/:]/, '') === 'Recipe');
+
+/**
+ * Collect Recipe nodes from parsed JSON-LD, looking inside arrays and @graph
+ * @param {any} data - Parsed JSON-LD
+ * @returns {Array<Object>} Recipe nodes
+ */
+const findRecipeNodes = (data) => {
+  if (Array.isArray(data)) return data.flatMap(findRecipeNodes);
+  if (!data || typeof data !== 'object') return [];
+  if (isRecipeNode(data)) return [data];
+  return data['@graph'] ? findRecipeNodes(data['@graph']) : [];
+};
+
+/**
+ * Steps from recipeInstructions, flattening sections and lists
+ * @param {any} instructions - recipeInstructions value
+ * @returns {Array<string>} Step texts
+ */
+const readInstructions = (instructions) => toArray(instructions).flatMap((item) => {
+  if (typeof item === 'string') {
+    return item.split(/\n+/).map(cleanText).filter(Boolean);
+  }
+  if (!item || typeof item !== 'object') return [];
+  if (item.itemListElement) return readInstructions(item.itemListElement);
+  const text = cleanText(item.text || item.name);
+  return text ? [text] : [];
+});
+
+/**
+ * Image URL from a string, ImageObject or list of either
+ * @param {any} image - image value
+ * @returns {string|null} First image URL
+ */
+const readImage = (image) => {
+  const first = toArray(image)[0];
+  if (typeof first === 'string') return first;
+  if (first && typeof first === 'object') return first.url || first.contentUrl || null;
+  return null;
+};
+
+/**
+ * Servings from recipeYield, e.g. 4, "4", "Serves 4" or ["4", "4 servings"]
+ * @param {any} recipeYield - recipeYield value
+ * @returns {number|null} Servings
+ */
+const readServings = (recipeYield) => {
+  for (const value of toArray(recipeYield)) {
+    const match = /\d+/.exec(String(value));
+    if (match && Number(match[0]) > 0) return Number(match[0]);
+  }
+  return null;
+};
+
+/**
+ * Diet label from suitableForDiet, e.g. "https://schema.org/GlutenFreeDiet" to "Gluten-Free"
+ * @param {any} diet - suitableForDiet value
+ * @returns {string|null} Diet label
+ */
+const readDiet = (diet) => {
+  const first = toArray(diet)[0];
+  if (typeof first !== 'string') return null;
+  const name = first.replace(/^.*[/:]/, '').replace(/Diet$/, '');
+  return name ? name.replace(/([a-z])([A-Z])/g, '$1-$2') : null;
+};
+
+/**
+ * Keywords as a tag list
+ * @param {any} keywords - keywords value, comma separated or a list
+ * @returns {Array<string>} Tags
+ */
+const readTags = (keywords) => [
+  ...new Set(toArray(keywords).flatMap(value => String(value).split(',')).map(cleanText).filter(Boolean)),
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Map a schema.org Recipe node onto the app's recipe shape
+ * @param {Object} node - Recipe JSON-LD node
+ * @returns {Object} Recipe without an ID; fields the node lacks are left out
+ */
+export const jsonLdToRecipe = (node) => {
+  const recipe = {
+    name: cleanText(node.name) || 'Untitled recipe',
+    description: cleanText(node.description),
+    image: readImage(node.image),
+    cookTime: parseIsoDuration(node.cookTime) || parseIsoDuration(node.totalTime),
+    servings: readServings(node.recipeYield),
+    cuisine: cleanText(toArray(node.recipeCuisine)[0]),
+    diet: readDiet(node.suitableForDiet),
+    tags: readTags(node.keywords),
+    ingredients: toArray(node.recipeIngredient || node.ingredients).map(cleanText).filter(Boolean),
+    steps: readInstructions(node.recipeInstructions),
+    sourceUrl: typeof node.url === 'string' ? node.url : null,
+  };
+
+  return Object.fromEntries(Object.entries(recipe).filter(([, value]) => (
+    value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  )));
+};
+
+/**
+ * Parse the JSON-LD blocks of an HTML page, skipping malformed ones
+ * @param {string} html - Page source
+ * @returns {Array<any>} Parsed blocks
+ */
+const readJsonLdScripts = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.querySelectorAll('script[type="application/ld+json"]')).flatMap((script) => {
+    try {
+      return [JSON.parse(script.textContent)];
+    } catch {
+      return [];
+    }
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read every recipe from pasted JSON-LD or HTML
+ * @param {string} input - JSON-LD text, or the source of a page embedding it
+ * @returns {Array<Object>} Recipes in the app's shape
+ * @throws {RecipeImportError} When the input holds no usable recipe
+ */
+export const parseRecipeImport = (input) => {
+  const text = String(input || '').trim();
+  if (!text) {
+    throw new RecipeImportError('Paste a recipe or choose a file first.');
+  }
+
+  let blocks;
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      blocks = [JSON.parse(text)];
+    } catch {
+      throw new RecipeImportError("That isn't valid JSON. Check that the whole JSON-LD block was copied.");
+    }
+  } else {
+    blocks = readJsonLdScripts(text);
+    if (blocks.length === 0) {
+      throw new RecipeImportError('No JSON-LD found in this page. Save the complete page (HTML) and try again.');
+    }
+  }
+
+  const nodes = findRecipeNodes(blocks);
+  if (nodes.length === 0) {
+    throw new RecipeImportError('No schema.org Recipe was found in the JSON-LD.');
+  }
+  return nodes.map(jsonLdToRecipe);
+};
@@ -0,0 +1,63 @@
+import { RecipeImportError, parseIsoDuration, parseRecipeImport } from './recipeImport';
+
+const node = {
+  '@context': 'https://schema.org',
+  '@type': 'Recipe',
+  name: 'Mac &amp; Cheese',
+  image: [{ '@type': 'ImageObject', url: 'https://example.com/mac.jpg' }],
+  cookTime: 'PT1H5M',
+  recipeYield: ['4', '4 servings'],
+  recipeCuisine: ['American'],
+  suitableForDiet: 'https://schema.org/VegetarianDiet',
+  keywords: 'comfort food, pasta',
+  recipeIngredient: ['200 g <b>macaroni</b>', '2 cups milk'],
+  recipeInstructions: [
+    {
+      '@type': 'HowToSection',
+      name: 'Pasta',
+      itemListElement: [{ '@type': 'HowToStep', text: 'Boil the pasta.' }],
+    },
+    { '@type': 'HowToStep', text: 'Stir in the cheese.' },
+  ],
+};
+
+test('parseIsoDuration reads days, hours and minutes', () => {
+  expect(parseIsoDuration('PT1H30M')).toBe(90);
+  expect(parseIsoDuration('P1DT2H')).toBe(1560);
+  expect(parseIsoDuration('PT90S')).toBe(2);
+  expect(parseIsoDuration('PT0M')).toBeNull();
+  expect(parseIsoDuration('90 minutes')).toBeNull();
+});
+
+test('parseRecipeImport maps pasted JSON-LD onto the recipe shape', () => {
+  expect(parseRecipeImport(JSON.stringify(node))).toEqual([{
+    name: 'Mac & Cheese',
+    image: 'https://example.com/mac.jpg',
+    cookTime: 65,
+    servings: 4,
+    cuisine: 'American',
+    diet: 'Vegetarian',
+    tags: ['comfort food', 'pasta'],
+    ingredients: ['200 g macaroni', '2 cups milk'],
+    steps: ['Boil the pasta.', 'Stir in the cheese.'],
+  }]);
+});
+
+test('parseRecipeImport finds recipes in an HTML page and its @graph', () => {
+  const html = `<!doctype html><html><head>
+    <script type="application/ld+json">{ not json</script>
+    <script type="application/ld+json">${JSON.stringify({
+      '@graph': [{ '@type': 'WebPage', name: 'Blog' }, { ...node, '@type': ['Recipe', 'NewsArticle'], name: 'Soup' }],
+    })}</script>
+  </head><body><h1>Soup</h1></body></html>`;
+
+  const recipes = parseRecipeImport(html);
+  expect(recipes.map(recipe => recipe.name)).toEqual(['Soup']);
+});
+
+test('parseRecipeImport explains what is wrong with unusable input', () => {
+  expect(() => parseRecipeImport('')).toThrow(RecipeImportError);
+  expect(() => parseRecipeImport('{ "name": ')).toThrow(/valid JSON/);
+  expect(() => parseRecipeImport('<html><body>Hi</body></html>')).toThrow(/No JSON-LD/);
+  expect(() => parseRecipeImport('{"@type": "Person"}')).toThrow(/No schema.org Recipe/);
+});
@@ -0,0 +1,266 @@
+/**
+ * Shopping list aggregation
+ * Ingredients from several recipes are merged by item name, quantities are summed
+ * where their units are compatible, and items are grouped by store aisle.
+ */
+import { UNITS, formatIngredient, formatQuantity, parseIngredient, scaleIngredient } from './ingredients';
+import { UNIT_SYSTEMS, fromBaseQuantity, isMetricUnit, toBaseQuantity } from './unitConversion';
+
+// PUBLIC_INTERFACE
+/**
+ * Store aisles in walking order; items match the aisle with the longest matching keyword
+ */
+export const AISLES = [
+  {
+    id: 'produce',
+    name: 'Produce',
+    keywords: [
+      'apple', 'avocado', 'banana', 'basil', 'bean sprout', 'bell pepper', 'berry', 'broccoli', 'cabbage',
+      'carrot', 'cauliflower', 'celery', 'chili', 'chive', 'cilantro', 'cucumber', 'dill', 'eggplant', 'garlic',
+      'ginger', 'green onion', 'herb', 'jalapeno', 'kale', 'leek', 'lemon', 'lettuce', 'lime', 'mango', 'mint',
+      'mushroom', 'onion', 'orange', 'parsley', 'pepper', 'potato', 'rosemary', 'scallion', 'shallot', 'spinach',
+      'squash', 'sweet potato', 'thyme', 'tomato', 'zucchini',
+    ],
+  },
+  {
+    id: 'meat',
+    name: 'Meat & Seafood',
+    keywords: [
+      'bacon', 'beef', 'chicken', 'chorizo', 'cod', 'fish', 'ham', 'lamb', 'mussel', 'pork', 'prawn', 'salmon',
+      'sausage', 'shrimp', 'steak', 'tuna', 'turkey',
+    ],
+  },
+  {
+    id: 'dairy',
+    name: 'Dairy & Eggs',
+    keywords: [
+      'butter', 'buttermilk', 'cheddar', 'cheese', 'cream', 'cream cheese', 'egg', 'feta', 'milk', 'mozzarella',
+      'parmesan', 'ricotta', 'sour cream', 'yogurt',
+    ],
+  },
+  {
+    id: 'bakery',
+    name: 'Bakery',
+    keywords: ['bagel', 'baguette', 'bread', 'bun', 'pita', 'roll', 'tortilla'],
+  },
+  {
+    id: 'spices',
+    name: 'Spices & Seasonings',
+    keywords: [
+      'black pepper', 'cardamom', 'cayenne', 'chili flake', 'chili powder', 'cinnamon', 'clove', 'coriander',
+      'cumin', 'curry powder', 'garam masala', 'nutmeg', 'oregano', 'paprika', 'pepper flake', 'salt',
+      'turmeric', 'vanilla',
+    ],
+  },
+  {
+    id: 'baking',
+    name: 'Baking',
+    keywords: [
+      'baking powder', 'baking soda', 'brown sugar', 'chocolate', 'cocoa', 'cornstarch', 'flour', 'honey',
+      'maple syrup', 'sugar', 'yeast',
+    ],
+  },
+  {
+    id: 'pantry',
+    name: 'Pantry',
+    keywords: [
+      'bean', 'beef broth', 'beef stock', 'broth', 'chicken broth', 'chicken stock', 'chickpea', 'coconut milk',
+      'lentil', 'mustard', 'noodle', 'nut', 'oat', 'oil', 'pasta', 'peanut butter', 'quinoa', 'rice', 'sauce', 'soy sauce', 'spaghetti', 'stock', 'tomato paste',
+      'vinegar', 'wine',
+    ],
+  },
+  {
+    id: 'frozen',
+    name: 'Frozen',
+    keywords: ['frozen', 'ice cream'],
+  },
+  {
+    id: 'other',
+    name: 'Other',
+    keywords: [],
+  },
+];
+
+// Words describing preparation rather than what to buy
+const PREPARATION_WORDS = new Set([
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed', 'peeled', 'melted', 'softened',
+  'beaten', 'cubed', 'halved', 'quartered', 'trimmed', 'rinsed', 'drained', 'packed', 'sifted', 'fresh',
+  'freshly', 'finely', 'roughly', 'thinly', 'coarsely', 'large', 'medium', 'small', 'whole', 'optional',
+]);
+
+const TRAILING_PHRASES = /\b(to taste|as needed|for garnish|for serving|or more|plus more.*)$/;
+
+/**
+ * Crude singular form of the last word, enough to merge "tomatoes" with "tomato"
+ * @param {string} word - Word
+ * @returns {string} Singular word
+ */
+const singularize = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(oes|ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Reduce an ingredient's item text to the thing you buy
+ * "large onions, finely chopped" becomes "onion".
+ * @param {string} item - Item text
+ * @returns {string} Normalized name
+ */
+export const normalizeItemName = (item) => {
+  const words = item
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0]
+    .replace(TRAILING_PHRASES, '')
+    .replace(/^of\s+/, '')
+    .split(/\s+/)
+    .filter(word => word && !PREPARATION_WORDS.has(word));
+
+  if (words.length === 0) return item.trim().toLowerCase();
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(' ');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Aisle for an item name
+ * @param {string} name - Normalized item name
+ * @returns {string} Aisle id
+ */
+export const categorizeItem = (name) => {
+  let best = { id: 'other', length: 0 };
+  AISLES.forEach(({ id, keywords }) => {
+    keywords.forEach((keyword) => {
+      if (keyword.length > best.length && new RegExp(`\\b${keyword}`).test(name)) {
+        best = { id, length: keyword.length };
+      }
+    });
+  });
+  return best.id;
+};
+
+/**
+ * Format a summed amount in one unit
+ * @param {number} quantity - Amount
+ * @param {string|null} unit - Key of UNITS, or null for a count
+ * @param {Object} [options] - unitText and fractions for converted amounts
+ * @returns {string} Amount text
+ */
+const formatAmount = (quantity, unit, { unitText, fractions } = {}) => {
+  if (!unit) return formatQuantity(quantity);
+  return formatIngredient({
+    parsed: true,
+    quantity,
+    quantityMax: null,
+    unit,
+    // Metric units read best abbreviated ("400 g"), others spelled out
+    unitText: unitText || (isMetricUnit(unit) ? UNITS[unit].aliases[0] : UNITS[unit].singular),
+    separator: ' ',
+    item: '',
+    fractions,
+  });
+};
+
+/**
+ * Summed amounts of one item, one entry per group of compatible units
+ * @param {Object} totals - Totals keyed by dimension
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {Array<string>} Amount texts
+ */
+const formatTotals = (totals, system) => Object.values(totals).map((total) => {
+  if (total.type !== 'volume' && total.type !== 'weight') {
+    return formatAmount(total.quantity, total.unit);
+  }
+  // Amounts all written in one unit stay in it unless another system was asked for
+  if (total.units.size === 1 && system === UNIT_SYSTEMS.original) {
+    const [unit] = total.units;
+    return formatAmount(total.base / toBaseQuantity(1, unit), unit, { fractions: !isMetricUnit(unit) });
+  }
+  const targetSystem = system === UNIT_SYSTEMS.original ? total.firstSystem : system;
+  const converted = fromBaseQuantity(total.base, total.type, targetSystem);
+  return formatAmount(converted.quantity, converted.unit, converted);
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Merge the ingredients of several recipes into an aisle-grouped shopping list
+ * @param {Array<Object>} entries - Shopping list recipes ({ id, name, scale, ingredients })
+ * @param {string} [system] - Unit system to show summed amounts in
+ * @returns {Array<{aisle: Object, items: Array<Object>}>} Non-empty aisles in store order;
+ *   each item has key, name, amounts (texts) and recipes (names)
+ */
+export const buildShoppingList = (entries, system = UNIT_SYSTEMS.original) => {
+  const items = new Map();
+
+  entries.forEach((entry) => {
+    (entry.ingredients || []).forEach((line) => {
+      const ingredient = scaleIngredient(parseIngredient(line), entry.scale || 1);
+      const name = normalizeItemName(ingredient.parsed ? ingredient.item || line : line);
+      if (!name) return;
+
+      if (!items.has(name)) {
+        items.set(name, { key: name, name, totals: {}, recipes: [] });
+      }
+      const item = items.get(name);
+      if (!item.recipes.includes(entry.name)) item.recipes.push(entry.name);
+      if (!ingredient.parsed) return;
+
+      // Buy enough for the top of a range
+      const quantity = ingredient.quantityMax ?? ingredient.quantity;
+      const type = ingredient.unit ? UNITS[ingredient.unit].type : 'count';
+
+      if (type === 'volume' || type === 'weight') {
+        const total = item.totals[type] || {
+          type,
+          base: 0,
+          units: new Set(),
+          firstSystem: isMetricUnit(ingredient.unit) ? UNIT_SYSTEMS.metric : UNIT_SYSTEMS.us,
+        };
+        total.base += toBaseQuantity(quantity, ingredient.unit);
+        total.units.add(ingredient.unit);
+        item.totals[type] = total;
+      } else {
+        const dimension = ingredient.unit || 'count';
+        const total = item.totals[dimension] || { type, unit: ingredient.unit, quantity: 0 };
+        total.quantity += quantity;
+        item.totals[dimension] = total;
+      }
+    });
+  });
+
+  const byAisle = new Map(AISLES.map(aisle => [aisle.id, []]));
+  items.forEach(({ totals, ...item }) => {
+    byAisle.get(categorizeItem(item.name)).push({ ...item, amounts: formatTotals(totals, system) });
+  });
+
+  return AISLES
+    .map(aisle => ({
+      aisle: { id: aisle.id, name: aisle.name },
+      items: byAisle.get(aisle.id).sort((a, b) => a.name.localeCompare(b.name)),
+    }))
+    .filter(group => group.items.length > 0);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Plain-text version of a shopping list, for copying or saving
+ * @param {Array<Object>} groups - Result of buildShoppingList
+ * @param {Array<string>} [checkedKeys] - Keys of items already bought
+ * @returns {string} Text with one aisle heading per group and one item per line
+ */
+export const formatShoppingListText = (groups, checkedKeys = []) => {
+  const sections = groups.map(({ aisle, items }) => [
+    aisle.name,
+    ...items.map((item) => {
+      const box = checkedKeys.includes(item.key) ? '[x]' : '[ ]';
+      const amount = item.amounts.length > 0 ? `: ${item.amounts.join(' + ')}` : '';
+      return `${box} ${item.name}${amount}`;
+    }),
+  ].join('\n'));
+
+  return `Shopping list\n\n${sections.join('\n\n')}\n`;
+};
@@ -0,0 +1,52 @@
+import { buildShoppingList, categorizeItem, formatShoppingListText, normalizeItemName } from './shoppingList';
+import { UNIT_SYSTEMS } from './unitConversion';
+
+const findItem = (groups, name) => groups.flatMap(group => group.items).find(item => item.name === name);
+
+test('normalizeItemName keeps just the thing to buy', () => {
+  expect(normalizeItemName('large onions, finely chopped')).toBe('onion');
+  expect(normalizeItemName('fresh tomatoes')).toBe('tomato');
+  expect(normalizeItemName('all-purpose flour (sifted)')).toBe('all-purpose flour');
+  expect(normalizeItemName('salt to taste')).toBe('salt');
+  expect(normalizeItemName('fresh berries')).toBe('berry');
+});
+
+test('categorizeItem prefers the most specific keyword', () => {
+  expect(categorizeItem('onion')).toBe('produce');
+  expect(categorizeItem('peanut butter')).toBe('pantry');
+  expect(categorizeItem('butter')).toBe('dairy');
+  expect(categorizeItem('black pepper')).toBe('spices');
+  expect(categorizeItem('chicken stock')).toBe('pantry');
+  expect(categorizeItem('mystery ingredient')).toBe('other');
+});
+
+test('buildShoppingList merges like items and sums compatible units', () => {
+  const groups = buildShoppingList([
+    { id: 1, name: 'Soup', scale: 1, ingredients: ['1 cup milk', '2 onions, diced', '2 cloves garlic', 'Salt to taste'] },
+    { id: 2, name: 'Pie', scale: 2, ingredients: ['2 tbsp milk', '1 onion', '1 clove garlic', '200g flour'] },
+    { id: 3, name: 'Bread', scale: 1, ingredients: ['1 cup flour'] },
+  ]);
+
+  expect(groups.map(group => group.aisle.id)).toEqual(['produce', 'dairy', 'spices', 'baking']);
+  expect(findItem(groups, 'onion')).toMatchObject({ amounts: ['4'], recipes: ['Soup', 'Pie'] });
+  expect(findItem(groups, 'garlic').amounts).toEqual(['4 cloves']);
+  expect(findItem(groups, 'milk').amounts).toEqual(['1¼ cups']);
+  expect(findItem(groups, 'salt').amounts).toEqual([]);
+  // Weight and volume cannot be added up, so both are listed
+  expect(findItem(groups, 'flour').amounts).toEqual(['400 g', '1 cup']);
+});
+
+test('buildShoppingList shows summed amounts in the chosen unit system', () => {
+  const groups = buildShoppingList([
+    { id: 1, name: 'A', ingredients: ['1 cup milk'] },
+    { id: 2, name: 'B', ingredients: ['1 cup milk'] },
+  ], UNIT_SYSTEMS.metric);
+  expect(findItem(groups, 'milk').amounts).toEqual(['475 ml']);
+});
+
+test('formatShoppingListText lists aisles and ticks bought items', () => {
+  const groups = buildShoppingList([{ id: 1, name: 'Soup', ingredients: ['2 onions', 'Salt to taste'] }]);
+  expect(formatShoppingListText(groups, ['salt'])).toBe(
+    'Shopping list\n\nProduce\n[ ] onion: 2\n\nSpices & Seasonings\n[x] salt\n'
+  );
+});
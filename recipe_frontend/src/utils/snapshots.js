@@ -0,0 +1,89 @@
+/**
+ * Helpers for offline recipe snapshots
+ * A snapshot keeps the fields needed to show a favorite on the Favorites page and
+ * RecipeDetail when the API cannot be reached.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Recipe fields copied into a snapshot
+ */
+export const SNAPSHOT_FIELDS = [
+  'name',
+  'description',
+  'image',
+  'cuisine',
+  'diet',
+  'cookTime',
+  'difficulty',
+  'servings',
+  'tags',
+  'ingredients',
+  'steps',
+  'notes',
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Storage key for a recipe ID (IDs may be numbers or strings)
+ * @param {string|number} recipeId - Recipe ID
+ * @returns {string} Snapshot key
+ */
+export const snapshotKey = (recipeId) => String(recipeId);
+
+/**
+ * Whether two snapshots hold the same recipe data, ignoring savedAt
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean} True if the recipe fields match
+ */
+const sameRecipeData = (a, b) => {
+  return SNAPSHOT_FIELDS.every((field) => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a snapshot from recipe data, keeping fields from an earlier snapshot that the
+ * new data lacks (e.g. a list response without ingredients)
+ * @param {Object} recipe - Recipe from the API
+ * @param {Object} [previous] - Existing snapshot for the same recipe
+ * @returns {Object} Snapshot; `previous` itself if nothing changed
+ */
+export const createSnapshot = (recipe, previous) => {
+  const snapshot = {
+    ...(previous || {}),
+    key: snapshotKey(recipe.id),
+    id: recipe.id,
+  };
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (recipe[field] !== undefined && recipe[field] !== null) {
+      snapshot[field] = recipe[field];
+    }
+  });
+
+  if (previous && sameRecipeData(previous, snapshot)) {
+    return previous;
+  }
+  snapshot.savedAt = new Date().toISOString();
+  return snapshot;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Return snapshots updated with fresh recipe data
+ * @param {Object} snapshots - Snapshots keyed by snapshotKey
+ * @param {Array<Object>} recipes - Recipes to snapshot
+ * @returns {Object} Updated snapshots (the same object if nothing changed)
+ */
+export const mergeSnapshots = (snapshots, recipes) => {
+  let next = snapshots;
+  recipes.forEach((recipe) => {
+    const key = snapshotKey(recipe.id);
+    const snapshot = createSnapshot(recipe, snapshots[key]);
+    if (snapshot !== snapshots[key]) {
+      if (next === snapshots) next = { ...snapshots };
+      next[key] = snapshot;
+    }
+  });
+  return next;
+};
@@ -0,0 +1,38 @@
+import { createSnapshot, mergeSnapshots, snapshotKey } from './snapshots';
+
+const recipe = {
+  id: 7,
+  name: 'Shakshuka',
+  cuisine: 'Middle Eastern',
+  cookTime: 25,
+  ingredients: ['4 eggs', '1 can tomatoes'],
+  rating: 4.8,
+};
+
+test('createSnapshot keeps summary fields and drops the rest', () => {
+  const snapshot = createSnapshot(recipe);
+
+  expect(snapshot).toMatchObject({ key: '7', id: 7, name: 'Shakshuka', cookTime: 25 });
+  expect(snapshot.ingredients).toEqual(['4 eggs', '1 can tomatoes']);
+  expect(snapshot).not.toHaveProperty('rating');
+  expect(typeof snapshot.savedAt).toBe('string');
+});
+
+test('createSnapshot keeps earlier fields missing from fresh data', () => {
+  const previous = createSnapshot(recipe);
+  const updated = createSnapshot({ id: 7, name: 'Shakshuka Verde' }, previous);
+
+  expect(updated.name).toBe('Shakshuka Verde');
+  expect(updated.ingredients).toEqual(recipe.ingredients);
+});
+
+test('mergeSnapshots returns the same object when nothing changed', () => {
+  const snapshots = { [snapshotKey(7)]: createSnapshot(recipe) };
+
+  expect(mergeSnapshots(snapshots, [recipe])).toBe(snapshots);
+
+  const merged = mergeSnapshots(snapshots, [{ ...recipe, cookTime: 30 }, { id: 'a1', name: 'Dal' }]);
+  expect(merged).not.toBe(snapshots);
+  expect(merged['7'].cookTime).toBe(30);
+  expect(merged.a1.name).toBe('Dal');
+});
@@ -0,0 +1,117 @@
+/**
+ * Sort options for recipe listings and matching client-side comparators
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Default sort: keep the order the backend (or favorites list) provides
+ */
+export const DEFAULT_SORT = 'relevance';
+
+// PUBLIC_INTERFACE
+/**
+ * Available sort options
+ */
+export const SORT_OPTIONS = Object.freeze([
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'cookTime', label: 'Cook time' },
+  { value: 'name', label: 'Name (A–Z)' },
+  { value: 'difficulty', label: 'Difficulty' },
+  { value: 'newest', label: 'Newest' },
+]);
+
+// PUBLIC_INTERFACE
+/**
+ * Sort options based on data kept on this device, for client-side listings only
+ */
+export const PERSONAL_SORT_OPTIONS = Object.freeze([
+  { value: 'rating', label: 'My rating' },
+]);
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+/**
+ * Numeric rank for a difficulty label; unknown values sort last
+ * @param {string} difficulty - Difficulty label
+ * @returns {number} Rank
+ */
+const difficultyRank = (difficulty) => {
+  const index = DIFFICULTY_ORDER.indexOf(String(difficulty || '').toLowerCase());
+  return index === -1 ? DIFFICULTY_ORDER.length : index;
+};
+
+/**
+ * Timestamp used for "newest" ordering; recipes without a date sort last
+ * @param {Object} recipe - Recipe object
+ * @returns {number} Milliseconds since epoch, or -Infinity
+ */
+const createdTime = (recipe) => {
+  const time = Date.parse(recipe.createdAt || recipe.created_at || recipe.updatedAt || '');
+  return Number.isNaN(time) ? -Infinity : time;
+};
+
+/**
+ * Cook time for ordering; recipes without one sort last
+ * @param {Object} recipe - Recipe object
+ * @returns {number} Cook time in minutes, or Infinity
+ */
+const cookTime = (recipe) => {
+  const time = parseFloat(recipe.cookTime);
+  return Number.isNaN(time) ? Infinity : time;
+};
+
+/**
+ * Compare recipe names alphabetically; recipes without a name sort last
+ * @param {Object} a - Recipe object
+ * @param {Object} b - Recipe object
+ * @returns {number} Comparison result
+ */
+const compareNames = (a, b) => {
+  if (!a.name || !b.name) return (a.name ? 0 : 1) - (b.name ? 0 : 1);
+  return a.name.localeCompare(b.name);
+};
+
+const COMPARATORS = {
+  cookTime: (a, b) => cookTime(a) - cookTime(b),
+  name: compareNames,
+  difficulty: (a, b) => difficultyRank(a.difficulty) - difficultyRank(b.difficulty),
+  newest: (a, b) => createdTime(b) - createdTime(a),
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a value is a sort option every listing, and the backend, supports
+ * @param {string} sort - Sort value
+ * @returns {boolean} True for SORT_OPTIONS values
+ */
+export const isValidSort = (sort) => {
+  return SORT_OPTIONS.some((option) => option.value === sort);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a value is a personal sort option, valid only in client-side listings
+ * @param {string} sort - Sort value
+ * @returns {boolean} True for PERSONAL_SORT_OPTIONS values
+ */
+export const isPersonalSort = (sort) => {
+  return PERSONAL_SORT_OPTIONS.some((option) => option.value === sort);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sort recipes locally, mirroring the backend sort options
+ * The sort is stable, so ties keep their original order.
+ * @param {Array<Object>} recipes - Recipes to sort
+ * @param {string} sort - Sort option value
+ * @param {Object} [personal] - Data for PERSONAL_SORT_OPTIONS
+ * @param {Object} [personal.ratings] - Personal ratings by recipe ID; unrated recipes sort last
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortRecipes = (recipes, sort, { ratings = {} } = {}) => {
+  const comparator = sort === 'rating'
+    ? (a, b) => (ratings[String(b.id)] || 0) - (ratings[String(a.id)] || 0)
+    : COMPARATORS[sort];
+  if (!comparator) return recipes;
+  return [...recipes].sort(comparator);
+};
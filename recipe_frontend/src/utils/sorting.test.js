@@ -0,0 +1,65 @@
+import { isPersonalSort, isValidSort, sortRecipes } from './sorting';
+
+const ids = recipes => recipes.map(recipe => recipe.id);
+
+test('sorts by cook time with missing times last', () => {
+  const recipes = [
+    { id: 'a', cookTime: 45 },
+    { id: 'b' },
+    { id: 'c', cookTime: '10' },
+    { id: 'd', cookTime: 20 },
+  ];
+  expect(ids(sortRecipes(recipes, 'cookTime'))).toEqual(['c', 'd', 'a', 'b']);
+});
+
+test('sorts by name with missing names last', () => {
+  const recipes = [{ id: 'a', name: 'Tacos' }, { id: 'b' }, { id: 'c', name: 'apple pie' }, { id: 'd', name: '' }];
+  expect(ids(sortRecipes(recipes, 'name'))).toEqual(['c', 'a', 'b', 'd']);
+});
+
+test('sorts by difficulty with unknown levels last', () => {
+  const recipes = [
+    { id: 'a', difficulty: 'Hard' },
+    { id: 'b', difficulty: 'expert' },
+    { id: 'c', difficulty: 'easy' },
+    { id: 'd' },
+    { id: 'e', difficulty: 'Medium' },
+  ];
+  expect(ids(sortRecipes(recipes, 'difficulty'))).toEqual(['c', 'e', 'a', 'b', 'd']);
+});
+
+test('sorts newest first from any date field, undated last', () => {
+  const recipes = [
+    { id: 'a', createdAt: '2024-01-01' },
+    { id: 'b' },
+    { id: 'c', created_at: '2024-03-01' },
+    { id: 'd', updatedAt: '2024-02-01' },
+    { id: 'e', createdAt: 'not a date' },
+  ];
+  expect(ids(sortRecipes(recipes, 'newest'))).toEqual(['c', 'd', 'a', 'b', 'e']);
+});
+
+test('sorts by personal rating with unrated recipes last', () => {
+  const recipes = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  expect(ids(sortRecipes(recipes, 'rating', { ratings: { 2: 3, 3: 5 } }))).toEqual([3, 2, 1]);
+  expect(ids(sortRecipes(recipes, 'rating'))).toEqual([1, 2, 3]);
+});
+
+test('returns a sorted copy and leaves unknown sorts alone', () => {
+  const recipes = [{ id: 'a', name: 'B' }, { id: 'b', name: 'A' }];
+  expect(sortRecipes(recipes, 'name')).not.toBe(recipes);
+  expect(ids(recipes)).toEqual(['a', 'b']);
+  expect(sortRecipes(recipes, 'relevance')).toBe(recipes);
+  expect(sortRecipes(recipes, 'random')).toBe(recipes);
+});
+
+test('isValidSort accepts only the shared sort options', () => {
+  ['relevance', 'cookTime', 'name', 'difficulty', 'newest'].forEach((sort) => {
+    expect(isValidSort(sort)).toBe(true);
+  });
+  [undefined, null, '', 'random', 'rating'].forEach((sort) => {
+    expect(isValidSort(sort)).toBe(false);
+  });
+  expect(isPersonalSort('rating')).toBe(true);
+  expect(isPersonalSort('name')).toBe(false);
+});
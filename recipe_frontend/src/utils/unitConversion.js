@@ -0,0 +1,250 @@
+/**
+ * Metric / US customary conversion for parsed ingredients and oven temperatures
+ */
+import { UNITS, formatIngredient, parseIngredient, scaleIngredient } from './ingredients';
+
+// PUBLIC_INTERFACE
+/**
+ * Unit systems the user can pick; 'original' shows amounts as the recipe wrote them
+ */
+export const UNIT_SYSTEMS = Object.freeze({
+  original: 'original',
+  metric: 'metric',
+  us: 'us',
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Options for the unit system toggle
+ */
+export const UNIT_SYSTEM_OPTIONS = [
+  { value: UNIT_SYSTEMS.original, label: 'As written' },
+  { value: UNIT_SYSTEMS.metric, label: 'Metric' },
+  { value: UNIT_SYSTEMS.us, label: 'US' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a value is a known unit system
+ * @param {any} value - Value to check
+ * @returns {boolean} True if valid
+ */
+export const isValidUnitSystem = (value) => Object.values(UNIT_SYSTEMS).includes(value);
+
+// Millilitres per volume unit and grams per weight unit
+const TO_BASE = {
+  teaspoon: 4.92892,
+  tablespoon: 14.7868,
+  cup: 236.588,
+  fluidOunce: 29.5735,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  milliliter: 1,
+  liter: 1000,
+  ounce: 28.3495,
+  pound: 453.592,
+  gram: 1,
+  kilogram: 1000,
+};
+
+const METRIC_UNITS = ['milliliter', 'liter', 'gram', 'kilogram'];
+
+/**
+ * Round a metric amount to a precision that makes sense for its size
+ * @param {number} value - Amount in ml or g
+ * @returns {number} Rounded amount
+ */
+const roundMetric = (value) => {
+  if (value < 10) return Math.round(value * 2) / 2;
+  if (value < 100) return Math.round(value);
+  if (value < 500) return Math.round(value / 5) * 5;
+  return Math.round(value / 10) * 10;
+};
+
+/**
+ * Snap a US amount to the nearest eighth or third, the fractions measuring sets use
+ * @param {number} value - Amount
+ * @returns {number} Snapped amount
+ */
+const snapToKitchenFraction = (value) => {
+  const eighths = Math.round(value * 8) / 8;
+  const thirds = Math.round(value * 3) / 3;
+  const snapped = Math.abs(thirds - value) < Math.abs(eighths - value) ? thirds : eighths;
+  return snapped > 0 ? snapped : value;
+};
+
+/**
+ * Pick a metric unit and amount for a base amount
+ * @param {number} base - Amount in ml or g
+ * @param {string} type - 'volume' or 'weight'
+ * @returns {{unit: string, unitText: string, factor: number}} Target unit and divisor
+ */
+const metricTarget = (base, type) => {
+  if (type === 'volume') {
+    return base >= 1000
+      ? { unit: 'liter', unitText: 'l', factor: 1000 }
+      : { unit: 'milliliter', unitText: 'ml', factor: 1 };
+  }
+  return base >= 1000
+    ? { unit: 'kilogram', unitText: 'kg', factor: 1000 }
+    : { unit: 'gram', unitText: 'g', factor: 1 };
+};
+
+/**
+ * Pick a US customary unit and amount for a base amount
+ * @param {number} base - Amount in ml or g
+ * @param {string} type - 'volume' or 'weight'
+ * @returns {{unit: string, unitText: string, factor: number}} Target unit and divisor
+ */
+const usTarget = (base, type) => {
+  if (type === 'volume') {
+    if (base >= TO_BASE.cup / 4) return { unit: 'cup', unitText: 'cup', factor: TO_BASE.cup };
+    if (base >= TO_BASE.tablespoon) return { unit: 'tablespoon', unitText: 'tbsp', factor: TO_BASE.tablespoon };
+    return { unit: 'teaspoon', unitText: 'tsp', factor: TO_BASE.teaspoon };
+  }
+  return base >= TO_BASE.pound
+    ? { unit: 'pound', unitText: 'lb', factor: TO_BASE.pound }
+    : { unit: 'ounce', unitText: 'oz', factor: TO_BASE.ounce };
+};
+
+/**
+ * Round an amount in a target unit the way a cook would measure it
+ * @param {number} amount - Amount in the target unit
+ * @param {Object} target - Target from metricTarget or usTarget
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {number} Rounded amount
+ */
+const roundForTarget = (amount, target, system) => {
+  if (system === UNIT_SYSTEMS.us) {
+    // Ounces are weighed rather than measured with cups, so halves are enough
+    return target.unit === 'ounce' ? Math.max(0.5, Math.round(amount * 2) / 2) : snapToKitchenFraction(amount);
+  }
+  return target.factor === 1 ? roundMetric(amount) : Math.round(amount * 10) / 10;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Express a volume or weight amount in millilitres or grams
+ * @param {number} quantity - Amount in `unit`
+ * @param {string} unit - Key of UNITS
+ * @returns {number|null} Base amount, or null for units that are not volume or weight
+ */
+export const toBaseQuantity = (quantity, unit) => (TO_BASE[unit] ? quantity * TO_BASE[unit] : null);
+
+// PUBLIC_INTERFACE
+/**
+ * Express millilitres or grams in the most readable unit of a system
+ * @param {number} base - Amount in ml or g
+ * @param {string} type - 'volume' or 'weight'
+ * @param {string} system - UNIT_SYSTEMS.metric or UNIT_SYSTEMS.us
+ * @returns {{quantity: number, unit: string, unitText: string, fractions: boolean}} Rounded amount and unit
+ */
+export const fromBaseQuantity = (base, type, system) => {
+  const target = system === UNIT_SYSTEMS.us ? usTarget(base, type) : metricTarget(base, type);
+  return {
+    quantity: roundForTarget(base / target.factor, target, system),
+    unit: target.unit,
+    unitText: target.unitText,
+    fractions: system === UNIT_SYSTEMS.us,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a unit belongs to the metric system
+ * @param {string} unit - Key of UNITS
+ * @returns {boolean} True for millilitres, litres, grams and kilograms
+ */
+export const isMetricUnit = (unit) => METRIC_UNITS.includes(unit);
+
+// PUBLIC_INTERFACE
+/**
+ * Convert a parsed ingredient to a unit system
+ * Ingredients without a volume or weight unit, or already in the target system,
+ * are returned unchanged.
+ * @param {Object} ingredient - Parsed (possibly scaled) ingredient
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {Object} Converted ingredient
+ */
+export const convertIngredient = (ingredient, system) => {
+  if (!ingredient.parsed || !ingredient.unit || system === UNIT_SYSTEMS.original) return ingredient;
+
+  const { type } = UNITS[ingredient.unit];
+  if (type !== 'volume' && type !== 'weight') return ingredient;
+  if ((system === UNIT_SYSTEMS.metric) === isMetricUnit(ingredient.unit)) return ingredient;
+
+  const base = toBaseQuantity(ingredient.quantityMax ?? ingredient.quantity, ingredient.unit);
+  const target = system === UNIT_SYSTEMS.metric ? metricTarget(base, type) : usTarget(base, type);
+  const convert = (quantity) => roundForTarget(
+    toBaseQuantity(quantity, ingredient.unit) / target.factor,
+    target,
+    system
+  );
+
+  return {
+    ...ingredient,
+    quantity: convert(ingredient.quantity),
+    quantityMax: ingredient.quantityMax === null ? null : convert(ingredient.quantityMax),
+    unit: target.unit,
+    unitText: target.unitText,
+    separator: ' ',
+    fractions: system === UNIT_SYSTEMS.us,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Scale and convert an ingredient line for display
+ * @param {string} line - Ingredient text
+ * @param {number} scale - Factor to multiply quantities by
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {string} Display text; lines left untouched keep their original wording
+ */
+export const displayIngredientLine = (line, scale, system) => {
+  const ingredient = parseIngredient(line);
+  const converted = convertIngredient(scaleIngredient(ingredient, scale), system);
+  return converted === ingredient ? ingredient.original : formatIngredient(converted);
+};
+
+// "350°F", "180 °C", "350 degrees F", "200 C"; an optional "(175°C)" right after is captured too
+const TEMPERATURE = '(\\d{2,3})\\s*(°|º|degrees?\\s*)?\\s*([FC])\\b';
+const TEMPERATURE_PATTERN = new RegExp(`${TEMPERATURE}(\\s*\\(\\s*${TEMPERATURE}\\s*\\))?`, 'g');
+
+/**
+ * Convert one temperature, rounding to the nearest 5 degrees as oven dials do
+ * @param {number} value - Temperature
+ * @param {string} scale - 'F' or 'C'
+ * @returns {number} Converted temperature
+ */
+const convertTemperature = (value, scale) => {
+  const converted = scale === 'F' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+  return Math.round(converted / 5) * 5;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Rewrite temperatures in text (e.g. a recipe step) for a unit system
+ * "350°F (175°C)" keeps just the half that matches the system.
+ * @param {string} text - Text that may mention temperatures
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {string} Text with temperatures converted
+ */
+export const convertTemperatures = (text, system) => {
+  if (typeof text !== 'string' || system === UNIT_SYSTEMS.original) return text;
+  const targetScale = system === UNIT_SYSTEMS.metric ? 'C' : 'F';
+
+  return text.replace(TEMPERATURE_PATTERN, (match, value, degree, scale, paired, pairedValue, pairedDegree, pairedScale) => {
+    const upperScale = scale.toUpperCase();
+    // Without a degree sign, only an upper-case letter on a plausible oven temperature counts
+    if (!degree && (scale !== upperScale || Number(value) < 90)) return match;
+
+    if (paired && pairedScale.toUpperCase() === targetScale && upperScale !== targetScale) {
+      return `${pairedValue}°${targetScale}`;
+    }
+    if (upperScale === targetScale) {
+      return paired ? `${value}°${targetScale}` : match;
+    }
+    return `${convertTemperature(Number(value), upperScale)}°${targetScale}`;
+  });
+};
@@ -0,0 +1,42 @@
+import { formatIngredient, parseIngredient } from './ingredients';
+import { UNIT_SYSTEMS, convertIngredient, convertTemperatures } from './unitConversion';
+
+const convertLine = (line, system) => formatIngredient(convertIngredient(parseIngredient(line), system));
+
+test('convertIngredient turns US volumes and weights into rounded metric', () => {
+  expect(convertLine('1 cup milk', UNIT_SYSTEMS.metric)).toBe('235 ml milk');
+  expect(convertLine('2 tbsp butter', UNIT_SYSTEMS.metric)).toBe('30 ml butter');
+  expect(convertLine('1/2 tsp salt', UNIT_SYSTEMS.metric)).toBe('2.5 ml salt');
+  expect(convertLine('1 lb ground beef', UNIT_SYSTEMS.metric)).toBe('455 g ground beef');
+  expect(convertLine('3 lb potatoes', UNIT_SYSTEMS.metric)).toBe('1.4 kg potatoes');
+  expect(convertLine('5 cups stock', UNIT_SYSTEMS.metric)).toBe('1.2 l stock');
+});
+
+test('convertIngredient turns metric amounts into kitchen-friendly US units', () => {
+  expect(convertLine('250ml milk', UNIT_SYSTEMS.us)).toBe('1 cup milk');
+  expect(convertLine('30 ml oil', UNIT_SYSTEMS.us)).toBe('2 tbsp oil');
+  expect(convertLine('5 ml vanilla', UNIT_SYSTEMS.us)).toBe('1 tsp vanilla');
+  expect(convertLine('200g sugar', UNIT_SYSTEMS.us)).toBe('7 oz sugar');
+  expect(convertLine('1 kg flour', UNIT_SYSTEMS.us)).toBe('2¼ lb flour');
+  expect(convertLine('80 ml cream', UNIT_SYSTEMS.us)).toBe('⅓ cup cream');
+});
+
+test('convertIngredient leaves other units and lines already in the target system alone', () => {
+  const garlic = parseIngredient('2 cloves garlic');
+  expect(convertIngredient(garlic, UNIT_SYSTEMS.metric)).toBe(garlic);
+  const sugar = parseIngredient('200g sugar');
+  expect(convertIngredient(sugar, UNIT_SYSTEMS.metric)).toBe(sugar);
+  const milk = parseIngredient('1 cup milk');
+  expect(convertIngredient(milk, UNIT_SYSTEMS.original)).toBe(milk);
+  expect(convertLine('Salt to taste', UNIT_SYSTEMS.metric)).toBe('Salt to taste');
+});
+
+test('convertTemperatures rewrites oven temperatures in steps', () => {
+  expect(convertTemperatures('Preheat the oven to 350°F.', UNIT_SYSTEMS.metric)).toBe('Preheat the oven to 175°C.');
+  expect(convertTemperatures('Bake at 200 °C for 20 minutes', UNIT_SYSTEMS.us)).toBe('Bake at 390°F for 20 minutes');
+  expect(convertTemperatures('Heat to 425 degrees F', UNIT_SYSTEMS.metric)).toBe('Heat to 220°C');
+  expect(convertTemperatures('Roast at 400°F (200°C)', UNIT_SYSTEMS.metric)).toBe('Roast at 200°C');
+  expect(convertTemperatures('Roast at 400°F (200°C)', UNIT_SYSTEMS.us)).toBe('Roast at 400°F');
+  expect(convertTemperatures('Cook for 10 c', UNIT_SYSTEMS.us)).toBe('Cook for 10 c');
+  expect(convertTemperatures('Preheat to 350°F', UNIT_SYSTEMS.original)).toBe('Preheat to 350°F');
+});
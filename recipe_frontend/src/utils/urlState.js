@@ -0,0 +1,50 @@
+import { decodeFilters, encodeFilters } from './filters';
+import { DEFAULT_SORT, isPersonalSort, isValidSort } from './sorting';
+
+/**
+ * Helpers for mapping search, filter, sort and pagination state to and from the URL query string
+ */
+
+const SEARCH_PARAM = 'q';
+const SORT_PARAM = 'sort';
+const PAGE_PARAM = 'page';
+
+// PUBLIC_INTERFACE
+/**
+ * Parse search, filters, sort and page from URL search params
+ * @param {URLSearchParams} searchParams - Params from the current location
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.personal - Whether PERSONAL_SORT_OPTIONS are accepted
+ * @returns {Object} Object with searchQuery, filters, sort and page
+ */
+export const parseUrlState = (searchParams, { personal = false } = {}) => {
+  const page = parseInt(searchParams.get(PAGE_PARAM), 10);
+  const sort = searchParams.get(SORT_PARAM);
+
+  return {
+    searchQuery: searchParams.get(SEARCH_PARAM) || '',
+    filters: decodeFilters(searchParams),
+    sort: isValidSort(sort) || (personal && isPersonalSort(sort)) ? sort : DEFAULT_SORT,
+    page: Number.isNaN(page) || page < 1 ? 1 : page,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize search, filters, sort and page into a normalized query string
+ * Empty values, the default sort and page 1 are omitted so equivalent states produce identical strings.
+ * @param {Object} state - Object with searchQuery, filters, sort and page
+ * @param {Object} options - Serialization options
+ * @param {boolean} options.includePage - Whether to include the page number
+ * @returns {string} Query string without the leading '?'
+ */
+export const serializeUrlState = ({ searchQuery, filters, sort, page }, { includePage = false } = {}) => {
+  const params = new URLSearchParams();
+
+  if (searchQuery) params.set(SEARCH_PARAM, searchQuery);
+  encodeFilters(filters).forEach(([key, value]) => params.set(key, value));
+  if (sort && sort !== DEFAULT_SORT) params.set(SORT_PARAM, sort);
+  if (includePage && page > 1) params.set(PAGE_PARAM, page.toString());
+
+  return params.toString();
+};
@@ -0,0 +1,62 @@
+import { parseUrlState, serializeUrlState } from './urlState';
+
+test('parses search, filters and page from the query string', () => {
+  const state = parseUrlState(
+    new URLSearchParams('q=curry&cuisine=thai,indian&diet=vegan&maxTime=30&minServings=2&page=3')
+  );
+  expect(state).toEqual({
+    searchQuery: 'curry',
+    filters: {
+      cuisine: ['thai', 'indian'],
+      diet: ['vegan'],
+      difficulty: [],
+      tags: [],
+      maxTime: '30',
+      minServings: '2',
+      maxServings: '',
+    },
+    sort: 'relevance',
+    page: 3,
+  });
+});
+
+test('falls back to defaults for missing or invalid values', () => {
+  const state = parseUrlState(new URLSearchParams('page=abc&sort=random&unknown=1'));
+  expect(state).toEqual({
+    searchQuery: '',
+    filters: {
+      cuisine: [],
+      diet: [],
+      difficulty: [],
+      tags: [],
+      maxTime: '',
+      minServings: '',
+      maxServings: '',
+    },
+    sort: 'relevance',
+    page: 1,
+  });
+});
+
+test('accepts personal sorts only when asked to', () => {
+  const searchParams = new URLSearchParams('sort=rating');
+  expect(parseUrlState(searchParams).sort).toBe('relevance');
+  expect(parseUrlState(searchParams, { personal: true }).sort).toBe('rating');
+});
+
+test('serializes only non-empty values and omits page unless requested', () => {
+  const state = { searchQuery: 'curry', filters: { cuisine: ['thai'], diet: [], maxTime: '30' }, page: 2 };
+  expect(serializeUrlState(state)).toBe('q=curry&cuisine=thai&maxTime=30');
+  expect(serializeUrlState(state, { includePage: true })).toBe('q=curry&cuisine=thai&maxTime=30&page=2');
+  expect(serializeUrlState({ ...state, page: 1 }, { includePage: true })).toBe('q=curry&cuisine=thai&maxTime=30');
+});
+
+test('encodes list filters as comma separated values', () => {
+  const state = { searchQuery: '', filters: { diet: ['vegan', 'gluten-free'], tags: ['spicy'] } };
+  expect(serializeUrlState(state)).toBe('diet=vegan%2Cgluten-free&tags=spicy');
+});
+
+test('round-trips through parse and serialize', () => {
+  const query = 'q=pad+thai&cuisine=thai%2Cindian&maxServings=4&sort=cookTime&page=4';
+  expect(serializeUrlState(parseUrlState(new URLSearchParams(query)), { includePage: true })).toBe(query);
+});